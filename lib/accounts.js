@@ -0,0 +1,191 @@
+/**
+ * User accounts and session tokens (Redis).
+ * - Registration/login with scrypt-hashed passwords
+ * - Short-lived access JWTs ({ sub, role, tier, jti }) plus opaque refresh tokens that rotate on
+ *   every use; presenting an already-rotated refresh token revokes its whole family. Rotation is
+ *   an atomic compare-and-set, so two refreshes racing with one token count as reuse too
+ * - Logout and a revocation list of access token ids, checked on every WS upgrade and API call
+ * - Accounts register as player or spectator. Admins are provisioned: a name listed in
+ *   `adminUsers` can only be registered by the server operator (`provisionAdmin`), which stores
+ *   an admin flag; the role needs both the flag and the name still being listed
+ * - An account's tier (rate limits, model, cost cap) is set by admins; accounts without one
+ *   carry no tier claim and get the server's default tier
+ *
+ * Keys:
+ * - account:<id>                 JSON account { id, username, role, admin?, tier?, passwordHash, createdAt }
+ * - refresh:<sha256(token)>      JSON { sub, family, rotated } (expires with the token)
+ * - refresh_family_revoked:<id>  set when a family is revoked (logout or token reuse)
+ * - revoked:<jti>                revoked access token (expires when the token would have)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_RE = /^[a-zA-Z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const SELF_SERVICE_ROLES = ['player', 'spectator'];
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+  const want = Buffer.from(expected, 'base64');
+  const got = await scrypt(password, Buffer.from(salt, 'base64'), want.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(got, want);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Replace a value only if it is still exactly ARGV[1], keeping its expiry; 1 when swapped, 0 otherwise
+// KEYS: key   ARGV: expected value, new value
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl > 0 then redis.call('SET', KEYS[1], ARGV[2], 'PX', ttl) else redis.call('SET', KEYS[1], ARGV[2]) end
+return 1
+`;
+
+function createAccountStore({ redis, jwtSecret, accessTtlSeconds = 900, refreshTtlSeconds = 30 * 24 * 3600, adminUsers = [] }) {
+  const admins = new Set(adminUsers.map(name => String(name).toLowerCase()));
+  if (!redis.compareAndSet) {
+    redis.defineCommand('compareAndSet', { numberOfKeys: 1, lua: COMPARE_AND_SET_SCRIPT });
+  }
+  function accountKey(id) { return `account:${id}`; }
+  function refreshKey(token) { return `refresh:${sha256(token)}`; }
+
+  // Admin needs the stored flag and the configured name: listing a name never promotes an account
+  // someone else registered, and removing it takes effect on the next refresh
+  function roleOf(account) {
+    return account.admin && admins.has(account.id) ? 'admin' : account.role;
+  }
+
+  function publicAccount(account) {
+    return { id: account.id, username: account.username, role: roleOf(account), tier: account.tier || null };
+  }
+
+  async function getAccount(id) {
+    const raw = await redis.get(accountKey(String(id).toLowerCase()));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  function signAccess(claims) {
+    return jwt.sign({ ...claims, jti: crypto.randomBytes(12).toString('hex') }, jwtSecret, { expiresIn: accessTtlSeconds });
+  }
+
+  async function issueRefresh(sub, family = crypto.randomBytes(12).toString('hex')) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await redis.set(refreshKey(token), JSON.stringify({ sub, family, rotated: false }), 'EX', refreshTtlSeconds);
+    return token;
+  }
+
+  async function issueSession(account, family) {
+    return {
+      user: publicAccount(account),
+      accessToken: signAccess({ sub: account.id, role: roleOf(account), ...(account.tier ? { tier: account.tier } : {}) }),
+      refreshToken: await issueRefresh(account.id, family),
+      expiresIn: accessTtlSeconds
+    };
+  }
+
+  async function register(username, password, role = 'player', { provisionAdmin = false } = {}) {
+    if (typeof username !== 'string' || !USERNAME_RE.test(username)) {
+      return { error: 'username must be 3-32 letters, digits, _ or -', status: 400 };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`, status: 400 };
+    }
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return { error: `role must be one of ${SELF_SERVICE_ROLES.join(', ')}`, status: 400 };
+    }
+    const id = username.toLowerCase();
+    const admin = admins.has(id);
+    if (admin && !provisionAdmin) return { error: 'username is reserved for an administrator', status: 403 };
+    const account = {
+      id,
+      username,
+      role,
+      ...(admin ? { admin: true } : {}),
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    const created = await redis.set(accountKey(account.id), JSON.stringify(account), 'NX');
+    if (!created) return { error: 'username already taken', status: 409 };
+    return issueSession(account);
+  }
+
+  async function login(username, password) {
+    const account = typeof username === 'string' ? await getAccount(username) : null;
+    if (!account || typeof password !== 'string' || !(await verifyPassword(password, account.passwordHash))) {
+      return { error: 'invalid username or password', status: 401 };
+    }
+    return issueSession(account);
+  }
+
+  // Exchange a refresh token for a new access/refresh pair; the old refresh token stops working.
+  // Like register/login, failures resolve to { error, status } rather than throwing.
+  async function refresh(token) {
+    if (typeof token !== 'string' || !token) return { error: 'missing refresh token', status: 401 };
+    const key = refreshKey(token);
+    const raw = await redis.get(key);
+    if (!raw) return { error: 'invalid refresh token', status: 401 };
+    const entry = JSON.parse(raw);
+    if (await redis.exists(`refresh_family_revoked:${entry.family}`)) return { error: 'session revoked', status: 401 };
+    // A rotated token coming back means it leaked: end every session of that family. Losing the
+    // swap to a concurrent refresh with the same token is the same reuse, just closer together
+    const rotated = !entry.rotated && await redis.compareAndSet(key, raw, JSON.stringify({ ...entry, rotated: true }));
+    if (!rotated) {
+      await redis.set(`refresh_family_revoked:${entry.family}`, '1', 'EX', refreshTtlSeconds);
+      return { error: 'refresh token reused; session revoked', status: 401 };
+    }
+    const account = await getAccount(entry.sub);
+    if (!account) return { error: 'account not found', status: 401 };
+    return issueSession(account, entry.family);
+  }
+
+  // New tier shows up in the account's next access token (login or refresh)
+  async function setTier(id, tier) {
+    const account = await getAccount(id);
+    if (!account) return { error: 'account not found', status: 404 };
+    account.tier = tier;
+    await redis.set(accountKey(account.id), JSON.stringify(account));
+    return publicAccount(account);
+  }
+
+  // Revoke an access token until it would have expired anyway
+  async function revokeAccess(claims) {
+    if (!claims?.jti) return;
+    const remaining = claims.exp ? claims.exp - Math.floor(Date.now() / 1000) : accessTtlSeconds;
+    if (remaining > 0) await redis.set(`revoked:${claims.jti}`, '1', 'EX', remaining);
+  }
+
+  async function logout(claims, refreshToken) {
+    await revokeAccess(claims);
+    if (typeof refreshToken !== 'string' || !refreshToken) return;
+    const raw = await redis.get(refreshKey(refreshToken));
+    if (!raw) return;
+    const entry = JSON.parse(raw);
+    if (entry.sub !== claims?.sub) return;
+    await redis.set(`refresh_family_revoked:${entry.family}`, '1', 'EX', refreshTtlSeconds);
+    await redis.del(refreshKey(refreshToken));
+  }
+
+  async function isRevoked(claims) {
+    if (!claims?.jti) return false;
+    return (await redis.exists(`revoked:${claims.jti}`)) > 0;
+  }
+
+  return { register, login, refresh, logout, revokeAccess, isRevoked, getAccount, setTier, signAccess, publicAccount };
+}
+
+module.exports = { createAccountStore, hashPassword, verifyPassword };
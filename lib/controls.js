@@ -0,0 +1,108 @@
+/**
+ * Typed AI control channel.
+ * - The model adjusts the solo game only by calling the `adjust_game` function
+ * - Every lever has a server-configured range; values are validated before a
+ *   `control` message ever reaches the client
+ *
+ * Levers:
+ * - aiSpeed: max px/frame of the computer paddle
+ * - aiError: computer aim error (px); the paddle aims up to this far off the ball
+ * - ballSpeedCap: max ball speed (px/frame) after paddle hits
+ * - paddleHeight: player paddle height (px)
+ * - serveDirection: who receives the next serves (auto = the default rule)
+ */
+
+const SERVE_DIRECTIONS = ['auto', 'player', 'computer'];
+
+function numberFromEnv(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const v = Number(raw);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+function loadControlLimits(env = process.env) {
+  return {
+    aiSpeed: { min: numberFromEnv(env, 'CONTROL_AI_SPEED_MIN', 2), max: numberFromEnv(env, 'CONTROL_AI_SPEED_MAX', 8) },
+    aiError: { min: numberFromEnv(env, 'CONTROL_AI_ERROR_MIN', 0), max: numberFromEnv(env, 'CONTROL_AI_ERROR_MAX', 60) },
+    ballSpeedCap: { min: numberFromEnv(env, 'CONTROL_BALL_SPEED_CAP_MIN', 8), max: numberFromEnv(env, 'CONTROL_BALL_SPEED_CAP_MAX', 16) },
+    paddleHeight: { min: numberFromEnv(env, 'CONTROL_PADDLE_HEIGHT_MIN', 60), max: numberFromEnv(env, 'CONTROL_PADDLE_HEIGHT_MAX', 160) }
+  };
+}
+
+const LEVER_DESCRIPTIONS = {
+  aiSpeed: 'Computer paddle max speed in px per frame',
+  aiError: 'Computer aim error in px (higher is easier)',
+  ballSpeedCap: 'Maximum ball speed in px per frame',
+  paddleHeight: 'Player paddle height in px'
+};
+
+// Function definition handed to the model (openai@4.6.0 `functions` format).
+// `levers` limits which numeric levers the model may touch (e.g. when adaptive difficulty owns the AI).
+function controlFunction(limits, levers = Object.keys(limits)) {
+  const range = (key, description) => ({
+    type: 'number',
+    minimum: limits[key].min,
+    maximum: limits[key].max,
+    description: `${description} (${limits[key].min}-${limits[key].max})`
+  });
+  return {
+    name: 'adjust_game',
+    description: 'Adjust the solo Pong game against the computer. Only call this when a change would make the game better matched; include only the levers you want to change.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(levers.map(key => [key, range(key, LEVER_DESCRIPTIONS[key])])),
+        serveDirection: { type: 'string', enum: SERVE_DIRECTIONS, description: 'Who receives the next serves; auto restores the default rule' },
+        reason: { type: 'string', description: 'Short reason for the adjustment' }
+      },
+      additionalProperties: false
+    }
+  };
+}
+
+/**
+ * Validate raw tool-call arguments against the configured limits.
+ * Returns { control, rejected } where control is null when nothing valid remains.
+ * Out-of-range values are rejected, never clamped: a model asking for them is a bug worth seeing.
+ */
+function validateControl(args, limits, levers = Object.keys(limits)) {
+  const rejected = [];
+  const control = { type: 'adjust' };
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return { control: null, rejected: [{ field: '*', reason: 'arguments must be an object' }] };
+  }
+  for (const key of levers) {
+    if (!(key in args)) continue;
+    const v = args[key];
+    if (typeof v !== 'number' || !Number.isFinite(v)) {
+      rejected.push({ field: key, reason: 'not a number' });
+    } else if (v < limits[key].min || v > limits[key].max) {
+      rejected.push({ field: key, reason: `out of range ${limits[key].min}-${limits[key].max}` });
+    } else {
+      control[key] = Number(v.toFixed(2));
+    }
+  }
+  if ('serveDirection' in args) {
+    if (SERVE_DIRECTIONS.includes(args.serveDirection)) control.serveDirection = args.serveDirection;
+    else rejected.push({ field: 'serveDirection', reason: `must be one of ${SERVE_DIRECTIONS.join(', ')}` });
+  }
+  for (const key of Object.keys(args)) {
+    if (!levers.includes(key) && key !== 'serveDirection' && key !== 'reason') rejected.push({ field: key, reason: 'unknown lever' });
+  }
+  const hasLever = Object.keys(control).length > 1;
+  return { control: hasLever ? control : null, rejected };
+}
+
+// Human-readable summary for the commentary feed
+function describeControl(control) {
+  const parts = [];
+  if (control.aiSpeed !== undefined) parts.push(`AI speed ${control.aiSpeed}`);
+  if (control.aiError !== undefined) parts.push(`AI aim error ${control.aiError}px`);
+  if (control.ballSpeedCap !== undefined) parts.push(`ball speed cap ${control.ballSpeedCap}`);
+  if (control.paddleHeight !== undefined) parts.push(`paddle height ${control.paddleHeight}`);
+  if (control.serveDirection !== undefined) parts.push(`serve ${control.serveDirection}`);
+  return parts.join(', ');
+}
+
+module.exports = { loadControlLimits, controlFunction, validateControl, describeControl, SERVE_DIRECTIONS };
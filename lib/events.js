@@ -0,0 +1,147 @@
+/**
+ * Game event detection from a stream of state snapshots.
+ * - Works on solo client states (score player/ai) and online match snapshots (score left/right)
+ * - Compares each snapshot with the previous one: paddle hits, wall bounces, points,
+ *   long rallies, near misses and comebacks
+ * - Events carry a priority so the commentary worker can react to the most relevant one
+ */
+
+const EVENT_PRIORITY = {
+  wall_bounce: 1,
+  paddle_hit: 2,
+  long_rally: 3,
+  near_miss: 4,
+  point_scored: 5,
+  comeback: 6
+};
+
+function scoreOf(state) {
+  const s = state?.score || {};
+  if ('left' in s) return { left: Number(s.left) || 0, right: Number(s.right) || 0 };
+  return { left: Number(s.player) || 0, right: Number(s.ai) || 0 };
+}
+
+function isValidState(state) {
+  return !!(state && state.ball && state.leftPaddle && state.rightPaddle && state.score);
+}
+
+// -1..1 where the ball met the paddle (0 = center, +-1 = edges)
+function contactOffset(ball, paddle) {
+  const half = (paddle.height || 100) / 2;
+  return (ball.y - (paddle.y + half)) / half;
+}
+
+// px between the ball and the nearest point of the paddle span (0 when inside it)
+function missDistance(ball, paddle) {
+  const top = paddle.y, bottom = paddle.y + (paddle.height || 100);
+  if (ball.y < top) return top - ball.y;
+  if (ball.y > bottom) return ball.y - bottom;
+  return 0;
+}
+
+function createEventDetector({
+  longRallyHits = 6,
+  nearMissPx = 20,
+  edgeHit = 0.8,
+  comebackDeficit = 3
+} = {}) {
+  let prev = null;
+  let rally = 0; // paddle hits since the last point
+  let maxDeficit = { left: 0, right: 0 }; // largest deficit each side has faced
+
+  function reset() {
+    prev = null;
+    rally = 0;
+    maxDeficit = { left: 0, right: 0 };
+  }
+
+  /**
+   * Feed the next snapshot; returns the events between the previous snapshot and this one.
+   * Each event: { type, priority, at, details }
+   */
+  function detect(state, now = Date.now()) {
+    if (!isValidState(state)) return [];
+    const events = [];
+    const push = (type, details) => events.push({ type, priority: EVENT_PRIORITY[type], at: now, details });
+    const score = scoreOf(state);
+
+    if (!prev) {
+      prev = state;
+      return events;
+    }
+    const prevScore = scoreOf(prev);
+    const { ball } = state;
+    const pb = prev.ball;
+
+    // A new match (scores went backwards) starts from scratch
+    if (score.left < prevScore.left || score.right < prevScore.right) {
+      reset();
+      prev = state;
+      return events;
+    }
+
+    const scorer = score.left > prevScore.left ? 'left' : (score.right > prevScore.right ? 'right' : null);
+    if (scorer) {
+      const loser = scorer === 'left' ? 'right' : 'left';
+      const loserPaddle = prev[`${loser}Paddle`];
+      const distance = Math.round(missDistance(pb, loserPaddle));
+      push('point_scored', { scorer, score, rally, missDistance: distance });
+      if (distance <= nearMissPx) push('near_miss', { side: loser, distance, missed: true });
+
+      const before = prevScore[scorer] - prevScore[loser];
+      const after = score[scorer] - score[loser];
+      if (before < 0) maxDeficit[scorer] = Math.max(maxDeficit[scorer], -before);
+      if (after >= 0 && before < 0 && maxDeficit[scorer] >= comebackDeficit) {
+        push('comeback', { side: scorer, from: maxDeficit[scorer], score, leading: after > 0 });
+        maxDeficit[scorer] = 0;
+      }
+      rally = 0;
+      prev = state;
+      return events;
+    }
+
+    // Serves and pauses reset velocities; only a live ball can hit or bounce
+    if (!state.running || !prev.running) {
+      prev = state;
+      return events;
+    }
+
+    // Horizontal direction flips between snapshots mean a paddle returned the ball
+    if (pb.vx < 0 && ball.vx > 0) {
+      rally++;
+      const offset = contactOffset(ball, state.leftPaddle);
+      push('paddle_hit', { side: 'left', rally, offset: Number(offset.toFixed(2)) });
+      if (Math.abs(offset) >= edgeHit) push('near_miss', { side: 'left', offset: Number(offset.toFixed(2)), missed: false });
+    } else if (pb.vx > 0 && ball.vx < 0) {
+      rally++;
+      const offset = contactOffset(ball, state.rightPaddle);
+      push('paddle_hit', { side: 'right', rally, offset: Number(offset.toFixed(2)) });
+      if (Math.abs(offset) >= edgeHit) push('near_miss', { side: 'right', offset: Number(offset.toFixed(2)), missed: false });
+    }
+    const hit = events.some(e => e.type === 'paddle_hit');
+    if (hit && rally >= longRallyHits && (rally - longRallyHits) % 4 === 0) {
+      push('long_rally', { rally });
+    }
+
+    // Vertical flips without a paddle hit are wall bounces (paddle hits also change vy)
+    if (!hit && pb.vy !== 0 && ball.vy !== 0 && Math.sign(pb.vy) !== Math.sign(ball.vy)) {
+      push('wall_bounce', { wall: ball.vy > 0 ? 'top' : 'bottom' });
+    }
+
+    prev = state;
+    return events;
+  }
+
+  return { detect, reset, rally: () => rally };
+}
+
+// Highest priority wins; among equals the newest wins
+function pickEvent(current, events) {
+  let best = current;
+  for (const ev of events) {
+    if (!best || ev.priority >= best.priority) best = ev;
+  }
+  return best;
+}
+
+module.exports = { createEventDetector, pickEvent, scoreOf, isValidState, missDistance, EVENT_PRIORITY };
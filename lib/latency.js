@@ -0,0 +1,56 @@
+/**
+ * Per-connection latency from WebSocket ping/pong round trips.
+ * - rtt is a smoothed average (1/8 weight per sample, like TCP's SRTT); jitter is the smoothed
+ *   difference between consecutive round trips (1/16 weight, as in RFC 3550)
+ * - quality buckets the two into good | fair | poor for the client's indicator
+ * - streamHz scales the tier's state stream rate down on slow links, where extra frames only
+ *   queue up behind each other
+ */
+
+const QUALITY = [
+  // [name, max rtt ms, max jitter ms, share of the tier's stream rate]
+  ['good', 100, 30, 1],
+  ['fair', 250, 80, 0.5],
+  ['poor', Infinity, Infinity, 0.25]
+];
+const MIN_STREAM_HZ = 5;
+
+function createLatencyTracker() {
+  let rtt = null;
+  let jitter = 0;
+  let last = null;
+  let samples = 0;
+
+  function sample(ms) {
+    samples += 1;
+    if (rtt === null) rtt = ms;
+    else rtt += (ms - rtt) / 8;
+    if (last !== null) jitter += (Math.abs(ms - last) - jitter) / 16;
+    last = ms;
+  }
+
+  function quality() {
+    if (rtt === null) return null;
+    return QUALITY.find(([, maxRtt, maxJitter]) => rtt <= maxRtt && jitter <= maxJitter)[0];
+  }
+
+  function streamHz(tierHz) {
+    const q = QUALITY.find(([name]) => name === quality());
+    if (!q) return tierHz;
+    return Math.max(Math.min(MIN_STREAM_HZ, tierHz), Math.round(tierHz * q[3]));
+  }
+
+  function snapshot() {
+    return {
+      rttMs: rtt === null ? null : Math.round(rtt),
+      jitterMs: Math.round(jitter),
+      lastRttMs: last,
+      quality: quality(),
+      samples
+    };
+  }
+
+  return { sample, quality, streamHz, snapshot };
+}
+
+module.exports = { createLatencyTracker };
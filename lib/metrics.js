@@ -0,0 +1,126 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ * - counter(name, help, labelNames) -> { inc(labels, n) }
+ * - gauge(name, help, labelNames, collect) -> { set(labels, value) }; `collect` (optional) is called
+ *   at scrape time and returns a number or [[labels, value], ...], for values that already live elsewhere
+ * - histogram(name, help, labelNames, buckets) -> { observe(labels, value), startTimer(labels) }
+ * - render() produces the /metrics body
+ * Label values are whatever the caller passes; keep them to small, known sets (message types,
+ * limiter and provider names), never user ids.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra = '') {
+  const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const keyOf = (labelNames, labels) => labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = prefix + metric.name;
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // key -> { labels, value }
+    register({
+      name, help, type: 'counter',
+      lines: (full) => [...values.values()].map(v => `${full}${formatLabels(labelNames, v.labels)} ${v.value}`)
+    });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = keyOf(labelNames, labels);
+        const entry = values.get(key);
+        if (entry) entry.value += n;
+        else values.set(key, { labels, value: n });
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const values = new Map();
+    register({
+      name, help, type: 'gauge',
+      lines: (full) => {
+        if (collect) {
+          const result = collect();
+          const rows = Array.isArray(result) ? result : [[{}, result]];
+          return rows.map(([labels, value]) => `${full}${formatLabels(labelNames, labels)} ${value}`);
+        }
+        return [...values.values()].map(v => `${full}${formatLabels(labelNames, v.labels)} ${v.value}`);
+      }
+    });
+    return {
+      set(labels = {}, value) {
+        values.set(keyOf(labelNames, labels), { labels, value });
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts (per bucket, not cumulative), sum, count }
+    register({
+      name, help, type: 'histogram',
+      lines: (full) => {
+        const out = [];
+        for (const s of series.values()) {
+          let cumulative = 0;
+          buckets.forEach((le, i) => {
+            cumulative += s.counts[i];
+            out.push(`${full}_bucket${formatLabels(labelNames, s.labels, `le="${le}"`)} ${cumulative}`);
+          });
+          out.push(`${full}_bucket${formatLabels(labelNames, s.labels, 'le="+Inf"')} ${s.count}`);
+          out.push(`${full}_sum${formatLabels(labelNames, s.labels)} ${s.sum}`);
+          out.push(`${full}_count${formatLabels(labelNames, s.labels)} ${s.count}`);
+        }
+        return out;
+      }
+    });
+
+    function observe(labels = {}, value) {
+      const key = keyOf(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      const i = buckets.findIndex(le => value <= le);
+      if (i >= 0) s.counts[i] += 1;
+      s.sum += value;
+      s.count += 1;
+    }
+
+    // Returns a function that observes the seconds elapsed since startTimer was called
+    function startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    return { observe, startTimer };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines(m.name));
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
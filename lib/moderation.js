@@ -0,0 +1,219 @@
+/**
+ * Output moderation for model-written text (commentary, coach tips and answers, match reviews)
+ * before it reaches the page and speech synthesis, plus the log of lines players report.
+ * - HTML tags go first, over the whole text, and no `<` or `>` survives, so a tag can never be
+ *   split across sentences and reach the page
+ * - Then sentence by sentence: markup, links and invisible characters are stripped, profanity is
+ *   masked, and a sentence with unsafe content or control-looking text (JSON, tool/lever names,
+ *   role or prompt markers) is dropped whole
+ * - createStreamFilter() buffers streamed chunks and releases only finished sentences before a
+ *   tag still being written, so a streamed line is filtered exactly like a complete one; lines are cut to `maxChars`
+ * - Extra blocked words or phrases come from `blocklist` (MODERATION_BLOCKLIST)
+ *
+ * Keys:
+ * - line_reports  list  (newest first, JSON reports, capped)
+ */
+
+// Whole words only, so every inflection is listed ("putative" and "Shitake" stay as they are)
+const PROFANITY = [
+  'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking', 'fuckin', 'motherfucker', 'motherfuckers', 'motherfucking',
+  'shit', 'shits', 'shitty', 'shitting', 'bullshit', 'bitch', 'bitches', 'bitching', 'bastard', 'bastards',
+  'asshole', 'assholes', 'dickhead', 'dickheads', 'cunt', 'cunts', 'wanker', 'wankers', 'bollocks', 'twat', 'twats',
+  'mierda', 'mierdas', 'puta', 'putas', 'joder', 'jodido', 'jodida', 'cabron', 'cabrón', 'cabrones', 'gilipollas', 'coño',
+  'merde', 'merdes', 'putain', 'connard', 'connards', 'connasse', 'connasses', 'salope', 'salopes', 'enculé', 'enculés',
+  'scheiße', 'scheisse', 'scheiß', 'scheiss', 'arschloch', 'arschlöcher', 'fotze', 'fotzen', 'wichser'
+];
+
+const UNSAFE = [
+  /\b(kill|hang|hurt|shoot)\s+(yourself|urself)\b/i,
+  /\bkys\b/i,
+  /\b(suicide|self[- ]harm)\b/i,
+  /\b(i\s*(will|'ll)|gonna)\s+(kill|hurt|find|shoot|stab)\s+(you|u)\b/i,
+  /\b(porn\w*|nude|naked|nsfw)\b/i,
+  /\b(nazi|heil hitler)\b/i
+];
+
+const CONTROL = [
+  /\{\s*"?[\w-]+"?\s*:/, // JSON objects
+  /\b(adjust_game|function_call|tool_calls?|aiSpeed|aiError|ballSpeedCap|paddleHeight|serveDirection)\b/i,
+  /^\s*(system|assistant|user|developer|tool)\s*:/i, // chat role prefixes
+  /<\|[^|]*\|>/, // model special tokens
+  /\[\/?(INST|SYS)\]/i,
+  /\bignore\s+(all\s+|any\s+)?(the\s+)?(previous|prior|above)\s+instructions\b/i,
+  /\bgame adjusted\b/i, // looks like the server's own control announcement
+  /\btype"?\s*[:=]\s*"?control\b/i
+];
+
+const INVISIBLE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g; // control, zero-width and bidi characters
+// A sentence ends at . ! ? or … (plus closing quotes/brackets) followed by whitespace
+const SENTENCE_END = /[.!?…]+["'”’»)\]]*\s+/g;
+// The start of a tag still being written at the end of a stream buffer: `<`, `</` or `<` + a tag
+// name with no `>` yet. A bare `<` before anything else ("score is < 3") is text, and so is one
+// left open for more than a tag's worth of characters
+const OPEN_TAG = /<\/?(?:[a-z!][^<>]{0,255})?$/i;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Any of the words or phrases, standing alone (not inside a longer word)
+function wordPattern(words, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, flags);
+}
+
+const PROFANITY_PATTERN = wordPattern(PROFANITY);
+
+// Whole tags become spaces and any other angle bracket disappears
+function stripTags(text) {
+  return String(text || '')
+    .replace(/<\/?[a-z!][^>]*>/gi, ' ')
+    .replace(/[<>]/g, '');
+}
+
+// Markdown/HTML down to plain text; links and URLs disappear (nothing to click in speech)
+function stripMarkup(text) {
+  return stripTags(text)
+    .replace(INVISIBLE, '')
+    .replace(/```[\w-]*/g, ' ')
+    .replace(/&(nbsp|amp|lt|gt|quot|#\d+);/gi, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\b(https?:\/\/|www\.)\S+/gi, '')
+    .replace(/`+/g, '')
+    .replace(/(\*\*|__|\*|~~)(?=\S)([^*_~]*?\S)\1/g, '$2')
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function createModerator({ blocklist = [] } = {}) {
+  const blocked = blocklist.length ? wordPattern(blocklist, 'iu') : null;
+
+  // One sentence: { text, reason } where reason is null, 'profanity' (masked), 'unsafe' or 'control' (dropped)
+  function moderateSentence(sentence) {
+    const text = stripMarkup(sentence);
+    if (!text) return { text: '', reason: null };
+    if (CONTROL.some(re => re.test(text))) return { text: '', reason: 'control' };
+    if (UNSAFE.some(re => re.test(text)) || (blocked && blocked.test(text))) return { text: '', reason: 'unsafe' };
+    let masked = false;
+    const clean = text.replace(PROFANITY_PATTERN, (word) => {
+      masked = true;
+      return word[0] + '*'.repeat(word.length - 1);
+    });
+    return { text: clean, reason: masked ? 'profanity' : null };
+  }
+
+  // Drop the tags, then split into sentences (the last one may lack an ending) and moderate each
+  function moderateSentences(raw) {
+    const text = stripTags(raw);
+    const out = [];
+    let last = 0;
+    for (const m of text.matchAll(SENTENCE_END)) {
+      out.push(moderateSentence(text.slice(last, m.index + m[0].length)));
+      last = m.index + m[0].length;
+    }
+    if (last < text.length) out.push(moderateSentence(text.slice(last)));
+    return out;
+  }
+
+  // Cut at a word boundary so that text plus "…" fits in maxChars
+  function truncate(text, maxChars) {
+    if (text.length <= maxChars) return { text, cut: false };
+    const head = text.slice(0, maxChars - 1);
+    const space = head.lastIndexOf(' ');
+    return { text: `${(space > maxChars / 2 ? head.slice(0, space) : head).trimEnd()}…`, cut: true };
+  }
+
+  /**
+   * A complete text: { text, filtered } where filtered lists the reasons applied
+   * ('profanity', 'unsafe', 'control', 'length'); text is '' when nothing survived.
+   */
+  function moderate(text, { maxChars = Infinity } = {}) {
+    const results = moderateSentences(text);
+    const filtered = results.map(r => r.reason).filter(Boolean);
+    const joined = results.map(r => r.text).filter(Boolean).join(' ');
+    const { text: out, cut } = truncate(joined, maxChars);
+    if (cut) filtered.push('length');
+    return { text: out, filtered };
+  }
+
+  /**
+   * Streamed text: push(chunk) returns the moderated finished sentences ('' while a sentence
+   * is still open), end() the rest; filtered() lists the reasons applied so far. Once
+   * maxChars is reached the line is closed with "…" and later chunks are ignored.
+   */
+  function createStreamFilter({ maxChars = Infinity } = {}) {
+    let buffer = '';
+    let length = 0;
+    let closed = false;
+    const reasons = [];
+
+    function emit(raw) {
+      if (closed) return '';
+      let out = '';
+      for (const result of moderateSentences(raw)) {
+        if (result.reason) reasons.push(result.reason);
+        if (!result.text) continue;
+        const piece = length || out ? ` ${result.text}` : result.text;
+        const room = maxChars - length - out.length;
+        if (piece.length > room) {
+          const cut = truncate(piece.trimStart(), room - (length || out ? 1 : 0));
+          if (room > 1) out += (length || out ? ' ' : '') + cut.text;
+          reasons.push('length');
+          closed = true;
+          break;
+        }
+        out += piece;
+      }
+      length += out.length;
+      return out;
+    }
+
+    function push(chunk) {
+      if (closed) return '';
+      buffer += chunk;
+      // a tag still being written holds back everything from its `<`
+      const tagAt = buffer.search(OPEN_TAG);
+      const open = tagAt < 0 ? buffer.length : tagAt;
+      let end = -1;
+      for (const m of buffer.slice(0, open).matchAll(SENTENCE_END)) end = m.index + m[0].length;
+      // a sentence that never ends is released once it alone would fill the line
+      if (end < 0 && buffer.length > maxChars) end = buffer.length;
+      if (end < 0) return '';
+      const ready = buffer.slice(0, end);
+      buffer = buffer.slice(end);
+      return emit(ready);
+    }
+
+    function end() {
+      const rest = buffer;
+      buffer = '';
+      return emit(rest);
+    }
+
+    return { push, end, filtered: () => [...reasons] };
+  }
+
+  return { moderate, createStreamFilter };
+}
+
+// Reported lines, kept for review (newest first, at most `limit`)
+function createLineReports({ redis, limit = 1000 }) {
+  const key = 'line_reports';
+
+  async function add(report) {
+    await redis.multi()
+      .lpush(key, JSON.stringify(report))
+      .ltrim(key, 0, limit - 1)
+      .exec();
+  }
+
+  async function list(count = 50) {
+    const raw = await redis.lrange(key, 0, Math.max(0, count - 1));
+    return raw.map(r => JSON.parse(r));
+  }
+
+  return { add, list };
+}
+
+module.exports = { createModerator, createLineReports, stripMarkup };
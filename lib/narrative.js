@@ -0,0 +1,144 @@
+/**
+ * Match narrative and commentary memory for one holder (a solo session or an online match).
+ * - Follows point_scored / comeback events and keeps the storylines that span points:
+ *   scoring streaks, lead changes, comebacks, match point and the longest rally
+ * - Keeps the last `lineLimit` commentary lines so prompts can steer away from them, and spots
+ *   near-duplicates (shared words and word pairs, see similarity()) of the last `repeatWindow`
+ *   before a line goes out; older lines may come back, small phrase banks need that
+ * - A score that goes backwards means a new match: the storylines start over, the lines stay
+ */
+
+const DUPLICATE_SIMILARITY = 0.7;
+
+// Lowercase words without accents or punctuation ("¡Qué reflejos!" -> ['que', 'reflejos'])
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Dice coefficient over words and word pairs: 1 for the same wording, 0 for nothing in common
+function similarity(a, b) {
+  const grams = (list) => list.concat(list.slice(1).map((w, i) => `${list[i]} ${w}`));
+  const ga = grams(Array.isArray(a) ? a : words(a));
+  const gb = grams(Array.isArray(b) ? b : words(b));
+  if (!ga.length || !gb.length) return 0;
+  const counts = new Map();
+  for (const g of gb) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of ga) {
+    const left = counts.get(g);
+    if (left) {
+      shared += 1;
+      counts.set(g, left - 1);
+    }
+  }
+  return (2 * shared) / (ga.length + gb.length);
+}
+
+/**
+ * The earlier line `text` repeats, or null. With `partial` the text is the start of a line
+ * still being written and is compared with the same number of opening words of each line.
+ */
+function findRepeat(text, lines, { partial = false } = {}) {
+  const candidate = words(text);
+  if (!candidate.length) return null;
+  for (const line of lines) {
+    const other = words(line);
+    const compared = partial ? other.slice(0, candidate.length) : other;
+    if (similarity(candidate, compared) >= DUPLICATE_SIMILARITY) return line;
+  }
+  return null;
+}
+
+function createMatchNarrative({ matchPoints = null, lineLimit = 8, repeatWindow = 4 } = {}) {
+  let story;
+  const lines = [];
+
+  function reset() {
+    story = {
+      score: { left: 0, right: 0 },
+      streak: null, // { side, count }
+      leader: null,
+      leadChanges: 0,
+      comeback: null, // latest { side, from, score }
+      longestRally: 0
+    };
+  }
+  reset();
+
+  function record(event) {
+    const d = event.details || {};
+    if (event.type === 'point_scored') {
+      if (d.score.left < story.score.left || d.score.right < story.score.right) reset();
+      story.score = { ...d.score };
+      story.longestRally = Math.max(story.longestRally, d.rally || 0);
+      story.streak = story.streak?.side === d.scorer
+        ? { side: d.scorer, count: story.streak.count + 1 }
+        : { side: d.scorer, count: 1 };
+      const diff = d.score.left - d.score.right;
+      const leader = diff > 0 ? 'left' : (diff < 0 ? 'right' : null);
+      if (leader && story.leader && leader !== story.leader) story.leadChanges += 1;
+      if (leader) story.leader = leader;
+    } else if (event.type === 'comeback') {
+      story.comeback = { side: d.side, from: d.from, score: { ...d.score } };
+    } else if (event.type === 'long_rally') {
+      story.longestRally = Math.max(story.longestRally, d.rally || 0);
+    }
+  }
+
+  // 'left' | 'right' | 'both' when a point would win the match, else null
+  function matchPoint() {
+    if (!matchPoints) return null;
+    const left = story.score.left === matchPoints - 1;
+    const right = story.score.right === matchPoints - 1;
+    return left && right ? 'both' : (left ? 'left' : (right ? 'right' : null));
+  }
+
+  // Structured storylines (the template provider builds phrases from these)
+  function highlights() {
+    return {
+      score: { ...story.score },
+      streak: story.streak && story.streak.count >= 2 ? { ...story.streak } : null,
+      matchPoint: matchPoint(),
+      comeback: story.comeback,
+      leadChanges: story.leadChanges,
+      longestRally: story.longestRally
+    };
+  }
+
+  // The storylines as prompt sentences; labels name the sides ({ left, right })
+  function describe(labels = {}) {
+    const who = (side) => labels[side] || side;
+    const h = highlights();
+    const out = [];
+    if (h.matchPoint === 'both') out.push(`both sides are one point from winning: the next point decides the match`);
+    else if (h.matchPoint) out.push(`match point for ${who(h.matchPoint)}`);
+    if (h.streak) out.push(`${who(h.streak.side)} has won ${h.streak.count} points in a row`);
+    if (h.comeback) out.push(`${who(h.comeback.side)} came back from ${h.comeback.from} points down (at ${h.comeback.score.left}-${h.comeback.score.right})`);
+    if (h.leadChanges) out.push(`the lead has changed hands ${h.leadChanges} time${h.leadChanges === 1 ? '' : 's'}`);
+    if (h.longestRally >= 4) out.push(`longest rally so far: ${h.longestRally} hits`);
+    return out;
+  }
+
+  function remember(text) {
+    lines.push(text);
+    if (lines.length > lineLimit) lines.shift();
+  }
+
+  function recent() {
+    return [...lines];
+  }
+
+  function repeats(text, opts) {
+    return findRepeat(text, lines.slice(-repeatWindow), opts);
+  }
+
+  return { record, highlights, describe, remember, recent, repeats };
+}
+
+module.exports = { createMatchNarrative, findRepeat, similarity, words, DUPLICATE_SIMILARITY };
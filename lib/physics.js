@@ -0,0 +1,118 @@
+/**
+ * Authoritative Pong physics for server-run matches.
+ * - Mirrors the local update() loop in public/script.js so online play feels the same
+ * - Players never move the ball; they only supply a target Y for their own paddle
+ * - One step == one 60 Hz frame of the browser loop
+ */
+
+const W = 800;
+const H = 500;
+const PADDLE_WIDTH = 12;
+const PADDLE_HEIGHT = 100;
+const PADDLE_MAX_STEP = 18; // max px a paddle may travel per step (stops teleporting inputs)
+const BALL_RADIUS = 8;
+const BALL_START_SPEED = 5;
+const BALL_MAX_SPEED = 12;
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function round1(v) { return Math.round(v * 10) / 10; }
+
+function createGameState() {
+  const state = {
+    ball: { x: W / 2, y: H / 2, r: BALL_RADIUS, vx: 0, vy: 0, speed: BALL_START_SPEED },
+    leftPaddle: { x: 10, y: (H - PADDLE_HEIGHT) / 2, width: PADDLE_WIDTH, height: PADDLE_HEIGHT },
+    rightPaddle: { x: W - PADDLE_WIDTH - 10, y: (H - PADDLE_HEIGHT) / 2, width: PADDLE_WIDTH, height: PADDLE_HEIGHT },
+    score: { left: 0, right: 0 },
+    running: false
+  };
+  resetBall(state);
+  return state;
+}
+
+// Center the ball and give it a fresh serve velocity (direction: -1 = left, 1 = right)
+function resetBall(state, direction = null) {
+  const ball = state.ball;
+  ball.x = W / 2; ball.y = H / 2; ball.speed = BALL_START_SPEED;
+  const angle = (Math.random() * Math.PI / 4) - (Math.PI / 8);
+  const dir = (direction === -1 || direction === 1) ? direction : (Math.random() > 0.5 ? 1 : -1);
+  ball.vx = Math.cos(angle) * ball.speed * dir;
+  ball.vy = Math.sin(angle) * ball.speed;
+}
+
+function circleRectCollision(cx, cy, r, rx, ry, rw, rh) {
+  const closestX = clamp(cx, rx, rx + rw);
+  const closestY = clamp(cy, ry, ry + rh);
+  const dx = cx - closestX, dy = cy - closestY;
+  return (dx * dx + dy * dy) <= r * r;
+}
+
+function movePaddle(paddle, targetY) {
+  if (typeof targetY !== 'number' || !Number.isFinite(targetY)) return;
+  const goal = clamp(targetY, 0, H - paddle.height);
+  paddle.y += clamp(goal - paddle.y, -PADDLE_MAX_STEP, PADDLE_MAX_STEP);
+}
+
+function bounceOffPaddle(ball, paddle, dirSign) {
+  const relativeY = (ball.y - (paddle.y + paddle.height / 2)) / (paddle.height / 2);
+  const bounceAngle = relativeY * (Math.PI / 4);
+  const speed = Math.min(BALL_MAX_SPEED, Math.hypot(ball.vx, ball.vy) * 1.05);
+  ball.vx = dirSign * Math.abs(Math.cos(bounceAngle) * speed);
+  ball.vy = Math.sin(bounceAngle) * speed;
+}
+
+/**
+ * Advance one frame.
+ * targets: { left: <paddle y>, right: <paddle y> } (latest input per side, may be null)
+ * Returns { scored: 'left'|'right'|null } — the side that won the point, if any.
+ */
+function stepGame(state, targets = {}) {
+  const { ball, leftPaddle, rightPaddle } = state;
+  movePaddle(leftPaddle, targets.left);
+  movePaddle(rightPaddle, targets.right);
+  if (!state.running) return { scored: null };
+
+  ball.x += ball.vx; ball.y += ball.vy;
+
+  if (ball.y - ball.r <= 0) { ball.y = ball.r; ball.vy = -ball.vy; }
+  else if (ball.y + ball.r >= H) { ball.y = H - ball.r; ball.vy = -ball.vy; }
+
+  if (ball.vx < 0 && circleRectCollision(ball.x, ball.y, ball.r, leftPaddle.x, leftPaddle.y, leftPaddle.width, leftPaddle.height)) {
+    ball.x = leftPaddle.x + leftPaddle.width + ball.r + 0.1;
+    bounceOffPaddle(ball, leftPaddle, 1);
+  }
+  if (ball.vx > 0 && circleRectCollision(ball.x, ball.y, ball.r, rightPaddle.x, rightPaddle.y, rightPaddle.width, rightPaddle.height)) {
+    ball.x = rightPaddle.x - ball.r - 0.1;
+    bounceOffPaddle(ball, rightPaddle, -1);
+  }
+
+  let scored = null;
+  if (ball.x < 0) scored = 'right';
+  else if (ball.x > W) scored = 'left';
+  if (scored) {
+    state.score[scored]++;
+    state.running = false;
+    // serve toward the side that just won the point, like the local game
+    resetBall(state, scored === 'right' ? 1 : -1);
+  }
+  return { scored };
+}
+
+// Plain, rounded copy suitable for sending over the wire
+function snapshot(state) {
+  const { ball, leftPaddle, rightPaddle } = state;
+  return {
+    ball: { x: round1(ball.x), y: round1(ball.y), vx: round1(ball.vx), vy: round1(ball.vy), r: ball.r },
+    leftPaddle: { x: leftPaddle.x, y: round1(leftPaddle.y), width: leftPaddle.width, height: leftPaddle.height },
+    rightPaddle: { x: rightPaddle.x, y: round1(rightPaddle.y), width: rightPaddle.width, height: rightPaddle.height },
+    score: { left: state.score.left, right: state.score.right },
+    running: state.running
+  };
+}
+
+module.exports = {
+  W, H, PADDLE_WIDTH, PADDLE_HEIGHT, BALL_RADIUS,
+  createGameState,
+  resetBall,
+  stepGame,
+  snapshot
+};
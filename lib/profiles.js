@@ -0,0 +1,142 @@
+/**
+ * Persistent player profiles, match history and leaderboard (Redis).
+ * - Profiles are keyed by the JWT `sub`: matches played, wins/losses, points for/against,
+ *   longest rally and an Elo rating
+ * - Each player keeps a capped list of their most recent online matches
+ * - The leaderboard is a sorted set of ratings
+ * - A match result updates both profiles in one Lua script (counters, longest rally and the Elo
+ *   update read-modify-write), so matches ending together for the same player never lose an update
+ *
+ * Keys:
+ * - player:<id>          hash  (profile)
+ * - player:<id>:matches  list  (newest first, JSON match summaries)
+ * - leaderboard          zset  (member = player id, score = rating)
+ */
+
+const NUMERIC_FIELDS = ['matches', 'wins', 'losses', 'pointsFor', 'pointsAgainst', 'longestRally', 'rating'];
+
+function profileKey(id) { return `player:${id}`; }
+function matchesKey(id) { return `player:${id}:matches`; }
+
+// Elo expected score of a player rated `a` against one rated `b`
+function expectedScore(a, b) {
+  return 1 / (1 + Math.pow(10, (b - a) / 400));
+}
+
+function eloUpdate(winnerRating, loserRating, kFactor) {
+  const delta = kFactor * (1 - expectedScore(winnerRating, loserRating));
+  return { winner: Math.round(winnerRating + delta), loser: Math.round(loserRating - delta) };
+}
+
+// Atomically apply one rated result to the winner's and loser's profiles (same math as eloUpdate).
+// KEYS: winner profile, loser profile, leaderboard
+// ARGV: winner id, loser id, initial rating, K factor, winner points, loser points, longest rally, updatedAt
+// Returns { winnerBefore, winnerAfter, loserBefore, loserAfter }
+const RECORD_RESULT_SCRIPT = `
+local initial, k = tonumber(ARGV[3]), tonumber(ARGV[4])
+local rally = tonumber(ARGV[7])
+local function rating(key)
+  return tonumber(redis.call('HGET', key, 'rating')) or initial
+end
+local winner, loser = rating(KEYS[1]), rating(KEYS[2])
+local delta = k * (1 - 1 / (1 + 10 ^ ((loser - winner) / 400)))
+local after = { math.floor(winner + delta + 0.5), math.floor(loser - delta + 0.5) }
+local points = { tonumber(ARGV[5]), tonumber(ARGV[6]) }
+for i = 1, 2 do
+  local key, won = KEYS[i], i == 1
+  redis.call('HINCRBY', key, 'matches', 1)
+  redis.call('HINCRBY', key, 'wins', won and 1 or 0)
+  redis.call('HINCRBY', key, 'losses', won and 0 or 1)
+  redis.call('HINCRBY', key, 'pointsFor', points[i])
+  redis.call('HINCRBY', key, 'pointsAgainst', points[3 - i])
+  if rally > (tonumber(redis.call('HGET', key, 'longestRally')) or 0) then
+    redis.call('HSET', key, 'longestRally', rally)
+  end
+  redis.call('HSET', key, 'rating', after[i], 'updatedAt', ARGV[8])
+  redis.call('ZADD', KEYS[3], after[i], ARGV[i])
+end
+return { winner, after[1], loser, after[2] }
+`;
+
+function createProfileStore({ redis, initialRating = 1200, kFactor = 32, historyLimit = 50 }) {
+  if (!redis.recordMatchResult) {
+    redis.defineCommand('recordMatchResult', { numberOfKeys: 3, lua: RECORD_RESULT_SCRIPT });
+  }
+
+  function parseProfile(id, hash) {
+    if (!hash || !Object.keys(hash).length) return null;
+    const profile = { id, updatedAt: hash.updatedAt || null };
+    for (const field of NUMERIC_FIELDS) profile[field] = Number(hash[field]) || 0;
+    return profile;
+  }
+
+  function emptyProfile(id) {
+    return { id, matches: 0, wins: 0, losses: 0, pointsFor: 0, pointsAgainst: 0, longestRally: 0, rating: initialRating, updatedAt: null };
+  }
+
+  async function getProfile(id) {
+    return parseProfile(id, await redis.hgetall(profileKey(id)));
+  }
+
+  async function getMatches(id, limit = 20) {
+    const raw = await redis.lrange(matchesKey(id), 0, Math.max(0, limit - 1));
+    return raw.map(entry => JSON.parse(entry));
+  }
+
+  async function leaderboard(limit = 10) {
+    const flat = await redis.zrevrange('leaderboard', 0, Math.max(0, limit - 1), 'WITHSCORES');
+    const ids = [];
+    for (let i = 0; i < flat.length; i += 2) ids.push(flat[i]);
+    const profiles = await Promise.all(ids.map(getProfile));
+    return profiles.map((p, i) => ({ rank: i + 1, ...(p || emptyProfile(ids[i])) }));
+  }
+
+  /**
+   * Record a finished online match for both players.
+   * `result` is the room manager's match_end payload plus `longestRally`.
+   * Returns { left: { before, after }, right: { before, after } } ratings, or null when the
+   * match is not rated (a seat without a user, or the same user on both sides).
+   */
+  async function recordMatch(result) {
+    const ids = result.players;
+    if (!ids.left || !ids.right || ids.left === ids.right) return null;
+    const winnerSide = result.winner;
+    const loserSide = winnerSide === 'left' ? 'right' : 'left';
+    const endedAt = new Date().toISOString();
+    const [winnerBefore, winnerAfter, loserBefore, loserAfter] = await redis.recordMatchResult(
+      profileKey(ids[winnerSide]), profileKey(ids[loserSide]), 'leaderboard',
+      ids[winnerSide], ids[loserSide], initialRating, kFactor,
+      result.score[winnerSide], result.score[loserSide], result.longestRally || 0, endedAt
+    );
+    const ratings = {
+      [winnerSide]: { before: winnerBefore, after: winnerAfter },
+      [loserSide]: { before: loserBefore, after: loserAfter }
+    };
+
+    const tx = redis.multi();
+    for (const side of ['left', 'right']) {
+      const other = side === 'left' ? 'right' : 'left';
+      const won = side === winnerSide;
+      tx.lpush(matchesKey(ids[side]), JSON.stringify({
+        id: result.roomId,
+        endedAt,
+        side,
+        opponent: ids[other],
+        result: won ? 'win' : 'loss',
+        reason: result.reason,
+        score: { for: result.score[side], against: result.score[other] },
+        longestRally: result.longestRally || 0,
+        durationMs: result.durationMs,
+        rating: ratings[side]
+      }));
+      tx.ltrim(matchesKey(ids[side]), 0, historyLimit - 1);
+    }
+    await tx.exec();
+
+    return { left: ratings.left, right: ratings.right };
+  }
+
+  return { getProfile, getMatches, leaderboard, recordMatch };
+}
+
+module.exports = { createProfileStore, expectedScore, eloUpdate };
@@ -0,0 +1,235 @@
+/**
+ * WebSocket protocol: versions, message schemas and typed errors.
+ * - Clients offer one or more subprotocols (plus their JWT); the server picks the newest
+ *   one it supports, so old clients keep working while new ones get the newer behaviour
+ * - pong-proto.v1: JSON messages { type, ... }; binary MessagePack only for ["state", state];
+ *   errors are { type: "error", message }
+ * - pong-proto.v2: like v1, but any message may be sent as MessagePack [type, fields]
+ *   (["state", state] keeps its v1 shape), and errors carry a code from ERROR_CODES plus
+ *   the offending message type (`ref`) and, for schema failures, the field (`path`)
+ * - Every inbound message is checked against CLIENT_MESSAGES before it is handled;
+ *   SERVER_MESSAGES documents (and can check) everything the server sends
+ * - Fields not named in a schema are ignored, so adding optional fields never needs a new version
+ */
+
+const { OPTIONS } = require('./settings');
+
+const PROTOCOLS = ['pong-proto.v2', 'pong-proto.v1']; // newest first
+const PROTOCOL_PREFIX = 'pong-proto.';
+
+const ERROR_CODES = {
+  BAD_FRAME: 'bad_frame', // not valid JSON / MessagePack
+  UNKNOWN_TYPE: 'unknown_type',
+  INVALID_MESSAGE: 'invalid_message', // failed its schema
+  FORBIDDEN: 'forbidden', // role too low
+  RATE_LIMITED: 'rate_limited',
+  COACH_LOCKED: 'coach_locked',
+  UNKNOWN_PROVIDER: 'unknown_provider',
+  ROOM_REJECTED: 'room_rejected' // the lobby refused (room full, not found, already in a room...)
+};
+
+// Schema building blocks; every field is required unless `optional: true`
+const number = (opts = {}) => ({ type: 'number', ...opts });
+const string = (opts = {}) => ({ type: 'string', ...opts });
+const boolean = (opts = {}) => ({ type: 'boolean', ...opts });
+const object = (fields = {}, opts = {}) => ({ type: 'object', fields, ...opts });
+const array = (opts = {}) => ({ type: 'array', ...opts });
+const any = (opts = {}) => ({ type: 'any', ...opts });
+const optional = (spec) => ({ ...spec, optional: true });
+
+const SIDE = string({ enum: ['left', 'right'] });
+const settingOf = (field) => optional(string({ enum: Object.keys(OPTIONS[field]) }));
+const ROOM_REF = { roomId: optional(string({ maxLength: 64 })), code: optional(string({ maxLength: 16 })) };
+
+// Solo game state sent by the browser (the server reads these fields for commentary/coaching)
+const SOLO_STATE = object({
+  ball: object({ x: number(), y: number(), vx: number(), vy: number(), r: optional(number()) }),
+  leftPaddle: object({ y: number(), x: optional(number()), width: optional(number()), height: optional(number({ min: 1 })) }),
+  rightPaddle: object({ y: number(), x: optional(number()), width: optional(number()), height: optional(number({ min: 1 })), speed: optional(number()) }),
+  score: object({ player: optional(number({ min: 0 })), ai: optional(number({ min: 0 })) }),
+  running: optional(boolean())
+});
+
+// Authoritative match snapshot (lib/physics.js)
+const MATCH_STATE = object({
+  ball: object({ x: number(), y: number(), vx: number(), vy: number() }),
+  leftPaddle: object({ y: number() }),
+  rightPaddle: object({ y: number() }),
+  score: object({ left: number(), right: number() }),
+  running: boolean()
+});
+
+// Client -> server, keyed by type (fields besides `type`)
+const CLIENT_MESSAGES = {
+  state: { state: SOLO_STATE },
+  input: { y: number(), seq: optional(number({ integer: true, min: 0 })) },
+  // keyframe/delta state stream (lib/stateStream.js)
+  state_key: { seq: number({ integer: true, min: 0 }), k: array() },
+  state_delta: { seq: number({ integer: true, min: 0 }), base: number({ integer: true, min: 0 }), mask: number({ integer: true, min: 0 }), d: array() },
+  coach_enable: { enable: optional(boolean()) },
+  coach_ask: { question: string({ maxLength: 500 }) },
+  // any subset; lib/settings.js lists the accepted values
+  settings: { persona: settingOf('persona'), language: settingOf('language'), verbosity: settingOf('verbosity'), coachFocus: settingOf('coachFocus') },
+  // a commentary/coach line the player finds inappropriate, logged for review
+  report_line: { kind: string({ enum: ['commentary', 'coach', 'coach_answer'] }), text: string({ maxLength: 1000 }), reason: optional(string({ maxLength: 200 })) },
+  create_room: { name: optional(string({ maxLength: 40 })), private: optional(boolean()) },
+  join_room: ROOM_REF,
+  list_rooms: {},
+  ready: { ready: optional(boolean()) },
+  quick_match: {},
+  cancel_quick_match: {},
+  leave_room: {},
+  spectate: ROOM_REF,
+  stop_spectating: {},
+  set_provider: { provider: string({ maxLength: 32 }) },
+  skill_debug: {},
+  set_encoding: { encoding: string({ enum: ['json', 'msgpack'] }) },
+  ping: {}
+};
+
+// Server -> client, keyed by type
+const SERVER_MESSAGES = {
+  welcome: { user: object({ sub: string() }), protocol: string(), encodings: optional(array()), stream: optional(object({ hz: number(), keyframeIntervalMs: number() })), tier: optional(object()), session: optional(object({ id: string(), graceMs: number(), resumed: boolean() })), providers: array(), provider: string() },
+  session_resumed: { coachEnabled: boolean(), coachLocked: optional(boolean()), history: array() },
+  latency: { rttMs: number(), jitterMs: number(), quality: string({ enum: ['good', 'fair', 'poor'] }), stateHz: number() },
+  state_resync: { lastSeq: number() },
+  encoding_status: { encoding: string({ enum: ['json', 'msgpack'] }) },
+  error: { message: string(), code: optional(string()), ref: optional(string()), path: optional(string()) },
+  pong: { ts: number() },
+  kicked: { reason: string() },
+  commentary: { text: string() },
+  commentary_chunk: { text: string() },
+  coach: { text: string() },
+  coach_chunk: { id: string(), text: string() },
+  coach_answer: { id: string(), question: string(), text: string() },
+  settings: { settings: object({ persona: string(), language: string(), verbosity: string(), coachFocus: string() }), options: optional(object()) },
+  report_received: { id: string() },
+  coach_status: { enabled: boolean(), locked: optional(boolean()) },
+  control: { control: object({ type: string() }), source: optional(string()) },
+  skill_model: { enabled: boolean(), model: any({ optional: true }) },
+  provider_status: { provider: string(), reason: optional(string()), costUsd: optional(number()) },
+  room_joined: { side: SIDE, code: string(), room: object({ id: string() }), resumed: optional(boolean()) },
+  room_event: { event: string(), roomId: string() },
+  room_list: { rooms: array() },
+  room_left: {},
+  room_closed: { roomId: string() },
+  quick_match_queued: { position: number() },
+  spectate_joined: { room: object({ id: string() }), state: MATCH_STATE },
+  match_state: { roomId: string(), tick: number(), state: MATCH_STATE },
+  match_point: { roomId: string(), scorer: SIDE, score: object({ left: number(), right: number() }) },
+  match_end: { roomId: string(), winner: SIDE, reason: string(), score: object({ left: number(), right: number() }), players: object() },
+  match_report: { report: object({ id: string(), narrative: string() }) },
+  rating_update: { roomId: string(), players: object(), ratings: object({ left: object(), right: object() }) }
+};
+
+// Check a value against a spec; returns null or { path, message }
+function check(spec, value, path) {
+  if (value === undefined || value === null) {
+    return spec.optional ? null : { path, message: `${path} is required` };
+  }
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { path, message: `${path} must be a number` };
+      if (spec.integer && !Number.isInteger(value)) return { path, message: `${path} must be an integer` };
+      if (spec.min !== undefined && value < spec.min) return { path, message: `${path} must be at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { path, message: `${path} must be at most ${spec.max}` };
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return { path, message: `${path} must be a string` };
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) return { path, message: `${path} must be at most ${spec.maxLength} characters` };
+      if (spec.enum && !spec.enum.includes(value)) return { path, message: `${path} must be one of ${spec.enum.join(', ')}` };
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : { path, message: `${path} must be a boolean` };
+    case 'array':
+      return Array.isArray(value) ? null : { path, message: `${path} must be an array` };
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return { path, message: `${path} must be an object` };
+      return checkFields(spec.fields, value, path);
+    default:
+      return null;
+  }
+}
+
+function checkFields(fields, value, prefix) {
+  for (const [name, spec] of Object.entries(fields || {})) {
+    const problem = check(spec, value[name], prefix ? `${prefix}.${name}` : name);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Newest protocol the client offered that we support, or null
+function selectProtocol(offered) {
+  return PROTOCOLS.find(p => offered.includes(p)) || null;
+}
+
+function protocolVersion(protocol) {
+  return protocol === 'pong-proto.v2' ? 2 : 1;
+}
+
+// True for subprotocol entries that name a protocol version (the JWT rides along as another entry)
+function isProtocolName(entry) {
+  return entry.startsWith(PROTOCOL_PREFIX);
+}
+
+/**
+ * Turn a decoded frame into { type, ...fields } for the negotiated version.
+ * Returns { message } or { error: { code, message } }.
+ */
+function normalizeFrame(data, isBinary, version) {
+  if (isBinary) {
+    if (!Array.isArray(data) || typeof data[0] !== 'string') return { error: { code: ERROR_CODES.BAD_FRAME, message: 'binary frames must be [type, payload]' } };
+    const [type, payload] = data;
+    if (type === 'state') return { message: { type, state: payload } };
+    if (version < 2) return { error: { code: ERROR_CODES.BAD_FRAME, message: 'only state may be sent as binary in pong-proto.v1' } };
+    if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+      return { error: { code: ERROR_CODES.BAD_FRAME, message: 'binary payload must be a map' } };
+    }
+    return { message: { ...(payload || {}), type } };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+    return { error: { code: ERROR_CODES.BAD_FRAME, message: 'messages must be objects with a type' } };
+  }
+  return { message: data };
+}
+
+// Own keys only: "constructor" or "__proto__" are not message types
+function isClientMessageType(type) {
+  return Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, type);
+}
+
+// Schema check for an inbound message; returns null or { code, message, path }
+function validateClientMessage(message) {
+  if (!isClientMessageType(message.type)) return { code: ERROR_CODES.UNKNOWN_TYPE, message: 'unknown message type' };
+  const problem = checkFields(CLIENT_MESSAGES[message.type], message, '');
+  return problem ? { code: ERROR_CODES.INVALID_MESSAGE, message: problem.message, path: problem.path } : null;
+}
+
+// Same for outbound messages (used when VALIDATE_SERVER_MESSAGES is on)
+function validateServerMessage(message) {
+  const fields = Object.prototype.hasOwnProperty.call(SERVER_MESSAGES, message?.type) ? SERVER_MESSAGES[message.type] : null;
+  if (!fields) return { path: 'type', message: `unknown server message type ${message?.type}` };
+  return checkFields(fields, message, '');
+}
+
+// Error message in the shape the connection's protocol version expects
+function errorMessage(version, code, message, extra = {}) {
+  if (version < 2) return { type: 'error', message };
+  return { type: 'error', code, message, ...extra };
+}
+
+module.exports = {
+  PROTOCOLS,
+  ERROR_CODES,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  selectProtocol,
+  protocolVersion,
+  isProtocolName,
+  normalizeFrame,
+  isClientMessageType,
+  validateClientMessage,
+  validateServerMessage,
+  errorMessage
+};
@@ -0,0 +1,16 @@
+/**
+ * Provider for any server that speaks the OpenAI chat-completions API
+ * (a local mock, vLLM, Ollama, LM Studio, ...). Same client, different baseURL;
+ * many local servers ignore the API key, so a placeholder is sent when none is set.
+ */
+
+const { createOpenAIProvider } = require('./openai');
+
+function createCompatibleProvider({ baseURL, apiKey, model }) {
+  if (!baseURL) throw new Error('compatible provider requires a base URL');
+  // The server decides what it serves: no per-tier model names, and no stream_options
+  // (not every server accepts it); usage is taken from responses when present, else estimated
+  return createOpenAIProvider({ name: 'compatible', baseURL, apiKey: apiKey || 'not-needed', model, modelOverride: false, streamUsage: false });
+}
+
+module.exports = { createCompatibleProvider };
@@ -0,0 +1,62 @@
+/**
+ * Commentary/coach provider registry.
+ * Every provider exposes the same interface:
+ * - name, model
+ * - stream({ system, user, maxTokens, temperature, context, tools? }) -> async iterable of
+ *   { type: 'text', text } and { type: 'tool_call', name, arguments } items
+ * - complete({ system, user, maxTokens, temperature, context }) -> Promise<string>
+ * - optional request fields: model (per-tier override), onUsage(usage) for token accounting,
+ *   signal (AbortSignal) to cancel the call, history (earlier conversation turns)
+ *
+ * Providers: openai (OPENAI_API_KEY), compatible (COMPATIBLE_BASE_URL), template (always available).
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createCompatibleProvider } = require('./compatible');
+const { createTemplateProvider } = require('./template');
+
+function createProviderRegistry({
+  openaiKey = '',
+  model,
+  compatibleBaseURL = '',
+  compatibleApiKey = '',
+  compatibleModel,
+  defaultProvider = null,
+  simulated = false
+}) {
+  const providers = new Map();
+  providers.set('template', createTemplateProvider());
+
+  // SIMULATED_MODE means no OpenAI calls at all
+  if (openaiKey && !simulated) {
+    try {
+      providers.set('openai', createOpenAIProvider({ apiKey: openaiKey, model }));
+    } catch (e) {
+      console.warn('OpenAI init failed, provider unavailable:', e?.message);
+    }
+  }
+  if (compatibleBaseURL) {
+    try {
+      providers.set('compatible', createCompatibleProvider({ baseURL: compatibleBaseURL, apiKey: compatibleApiKey, model: compatibleModel || model }));
+    } catch (e) {
+      console.warn('OpenAI-compatible provider init failed:', e?.message);
+    }
+  }
+
+  let defaultName = 'template';
+  if (defaultProvider && providers.has(defaultProvider)) defaultName = defaultProvider;
+  else if (defaultProvider) console.warn(`Provider "${defaultProvider}" not configured, falling back.`);
+  if (!defaultProvider || !providers.has(defaultProvider)) {
+    if (providers.has('openai')) defaultName = 'openai';
+  }
+
+  return {
+    defaultName,
+    names: () => [...providers.keys()],
+    has: (name) => providers.has(name),
+    // Unknown or unconfigured names resolve to the default provider
+    get: (name) => providers.get(name) || providers.get(defaultName)
+  };
+}
+
+module.exports = { createProviderRegistry };
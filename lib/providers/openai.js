@@ -0,0 +1,104 @@
+/**
+ * OpenAI chat-completions provider (openai@4.6.0).
+ * - stream(): async iterable of { type: 'text', text } and { type: 'tool_call', name, arguments }
+ *   items (stream:true); tool calls use the legacy `functions` API that 4.6.0 supports
+ * - complete(): full reply text (stream:false)
+ * - req.model overrides the model per request (per-tier models) when modelOverride is on
+ * - req.onUsage({ model, promptTokens, completionTokens, estimated }) is called once per request;
+ *   token counts come from the API when it reports them, otherwise they are estimated (~4 chars/token)
+ * - req.signal (AbortSignal) cancels the HTTP request, also in the middle of a stream
+ * Also backs the OpenAI-compatible provider by pointing the client at another baseURL.
+ */
+
+const OpenAI = require('openai');
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, modelOverride = true, streamUsage = true }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  function modelFor(req) {
+    return (modelOverride && req.model) || model;
+  }
+
+  function reportUsage(req, usedModel, usage, outputText) {
+    if (!req.onUsage) return;
+    req.onUsage(usage
+      ? { model: usedModel, promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0, estimated: false }
+      : { model: usedModel, promptTokens: messages(req).reduce((n, m) => n + estimateTokens(m.content), 0), completionTokens: estimateTokens(outputText), estimated: true });
+  }
+
+  // req.history: earlier turns of a conversation ({ role: 'user' | 'assistant', content }), oldest first
+  function messages({ system, user, history = [] }) {
+    return [
+      { role: 'system', content: system },
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: user }
+    ];
+  }
+
+  async function* stream(req) {
+    const tools = req.tools || [];
+    const usedModel = modelFor(req);
+    const response = await client.chat.completions.create({
+      model: usedModel,
+      messages: messages(req),
+      max_tokens: req.maxTokens,
+      temperature: req.temperature,
+      ...(tools.length ? { functions: tools, function_call: 'auto' } : {}),
+      // the final chunk then carries token usage (4.6.0 passes the option through as-is)
+      ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+      stream: true
+    }, { signal: req.signal });
+    // stream is an async iterable of chunks; function_call name/arguments arrive in pieces
+    let call = null;
+    let usage = null;
+    let output = '';
+    for await (const part of response) {
+      if (part?.usage) usage = part.usage;
+      const choices = part?.choices || [];
+      for (const ch of choices) {
+        const fc = ch?.delta?.function_call;
+        if (fc) {
+          call = call || { name: '', args: '' };
+          if (fc.name) call.name += fc.name;
+          if (fc.arguments) call.args += fc.arguments;
+        }
+        const textChunk = ch?.delta?.content || ch?.delta?.text || ch?.text || '';
+        if (textChunk) {
+          output += textChunk;
+          yield { type: 'text', text: textChunk };
+        }
+      }
+    }
+    reportUsage(req, usedModel, usage, output + (call ? call.name + call.args : ''));
+    if (call) yield toolCall(call.name, call.args);
+  }
+
+  // Arguments that are not valid JSON still surface, so the caller can reject them visibly
+  function toolCall(name, rawArgs) {
+    let args = null;
+    try { args = JSON.parse(rawArgs || '{}'); } catch (e) { /* keep null */ }
+    return { type: 'tool_call', name, arguments: args, raw: rawArgs };
+  }
+
+  async function complete(req) {
+    const usedModel = modelFor(req);
+    const resp = await client.chat.completions.create({
+      model: usedModel,
+      messages: messages(req),
+      max_tokens: req.maxTokens,
+      temperature: req.temperature,
+      stream: false
+    }, { signal: req.signal });
+    const text = String(resp?.choices?.[0]?.message?.content ?? resp?.choices?.[0]?.text ?? '').trim();
+    reportUsage(req, usedModel, resp?.usage, text);
+    return text;
+  }
+
+  return { name, model, stream, complete };
+}
+
+module.exports = { createOpenAIProvider, estimateTokens };
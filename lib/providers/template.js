@@ -0,0 +1,246 @@
+/**
+ * Template (simulated) provider: canned phrases, no network calls.
+ * Used when SIMULATED_MODE=true, when no OpenAI key is configured, and for offline tests.
+ * Requests carry a `context` ({ kind, state, event, solo, report, question, stats, settings, narrative, recent })
+ * so the phrase fits what happened; `settings` (lib/settings.js) picks the language bank, the persona's
+ * tone, the length and the coach focus. Commentary follows the match storylines (`narrative`, see
+ * lib/narrative.js) and steers clear of the `recent` lines. When offered tools it occasionally calls
+ * adjust_game like a model would, on one of the levers the tool allows.
+ */
+
+const { findRepeat } = require('../narrative');
+
+// One phrase bank per language and game event type
+const COMMENTARY_PHRASES = {
+  en: {
+    paddle_hit: ['Nice block!', 'Amazing reflex!', 'Fast return!', 'Deep to the corner!', 'Solid contact!'],
+    wall_bounce: ['Off the wall!', 'Watch the angle!', 'Banked shot!'],
+    point_scored: ['Point scored!', 'That one got through!', 'And the point is won!'],
+    long_rally: ['What a rally!', 'Neither side will give an inch!', 'This rally keeps going!'],
+    near_miss: ['Edge of the paddle — nearly missed!', 'By a whisker!', 'So close!'],
+    comeback: ['What a comeback!', 'Never count them out!', 'The comeback is on!']
+  },
+  es: {
+    paddle_hit: ['¡Buen bloqueo!', '¡Qué reflejos!', '¡Devolución rápida!', '¡Al fondo de la esquina!'],
+    wall_bounce: ['¡Rebote en la pared!', '¡Ojo al ángulo!', '¡Tiro de banda!'],
+    point_scored: ['¡Punto!', '¡Esa se coló!', '¡Y el punto es suyo!'],
+    long_rally: ['¡Qué peloteo!', '¡Nadie cede ni un centímetro!', '¡Este peloteo no termina!'],
+    near_miss: ['¡Con el borde de la pala, por poco!', '¡Por un pelo!', '¡Qué cerca!'],
+    comeback: ['¡Qué remontada!', '¡Nunca los des por vencidos!', '¡La remontada está en marcha!']
+  },
+  fr: {
+    paddle_hit: ['Joli contre !', 'Quels réflexes !', 'Retour rapide !', 'En plein dans le coin !'],
+    wall_bounce: ['Rebond sur le mur !', 'Attention à l’angle !', 'Tir par la bande !'],
+    point_scored: ['Point marqué !', 'Celle-là est passée !', 'Et le point est gagné !'],
+    long_rally: ['Quel échange !', 'Personne ne lâche rien !', 'Cet échange n’en finit plus !'],
+    near_miss: ['Du bord de la raquette, de justesse !', 'À un cheveu !', 'Si près !'],
+    comeback: ['Quelle remontada !', 'Ne les enterrez jamais !', 'La remontée est lancée !']
+  },
+  de: {
+    paddle_hit: ['Starker Block!', 'Was für ein Reflex!', 'Schneller Return!', 'Tief in die Ecke!'],
+    wall_bounce: ['Von der Wand!', 'Achtung, der Winkel!', 'Über die Bande!'],
+    point_scored: ['Punkt!', 'Der ging durch!', 'Und der Punkt ist gewonnen!'],
+    long_rally: ['Was für ein Ballwechsel!', 'Keiner gibt nach!', 'Dieser Ballwechsel hört nicht auf!'],
+    near_miss: ['Mit der Schlägerkante, knapp!', 'Um Haaresbreite!', 'So knapp!'],
+    comeback: ['Was für ein Comeback!', 'Niemals abschreiben!', 'Das Comeback läuft!']
+  }
+};
+
+// Storyline add-ons per language; {n} is a count
+const STORY_PHRASES = {
+  en: {
+    match_point: ['Match point!', 'One more and it is over!'],
+    deciding_point: ['Next point takes it all!', 'Everything on the next point!'],
+    streak: ['{n} in a row!', 'That is {n} straight points!'],
+    comeback: ['From {n} down to level terms!', 'Wiped out a {n}-point deficit!']
+  },
+  es: {
+    match_point: ['¡Punto de partido!', '¡Uno más y se acabó!'],
+    deciding_point: ['¡El próximo punto lo decide todo!', '¡Todo al siguiente punto!'],
+    streak: ['¡{n} seguidos!', '¡Ya van {n} puntos seguidos!'],
+    comeback: ['¡De {n} abajo al empate!', '¡Borró una desventaja de {n} puntos!']
+  },
+  fr: {
+    match_point: ['Balle de match !', 'Encore un et c’est fini !'],
+    deciding_point: ['Le prochain point décide de tout !', 'Tout se joue sur le prochain point !'],
+    streak: ['{n} d’affilée !', 'Ça fait {n} points de suite !'],
+    comeback: ['De {n} points derrière à l’égalité !', 'Un retard de {n} points effacé !']
+  },
+  de: {
+    match_point: ['Matchball!', 'Noch einer und es ist vorbei!'],
+    deciding_point: ['Der nächste Punkt entscheidet alles!', 'Alles auf den nächsten Punkt!'],
+    streak: ['{n} in Folge!', 'Schon {n} Punkte am Stück!'],
+    comeback: ['Von {n} Punkten zurück zum Ausgleich!', '{n} Punkte Rückstand aufgeholt!']
+  }
+};
+
+// Coach tips per language and focus (general picks from all of them)
+const COACH_TIPS = {
+  en: {
+    positioning: ['Keep paddle centered and move small amounts; this reduces overcommit and increases reach for angled returns.'],
+    timing: ['Anticipate opponent returns by watching their paddle center; move preemptively rather than reacting late.'],
+    strategy: ['Aim slightly ahead of the ball to push returns low — low angles are harder to reach and often cause misses.']
+  },
+  es: {
+    positioning: ['Mantén la pala centrada y muévete poco a poco; así no te pasas y llegas mejor a los ángulos.'],
+    timing: ['Mira el centro de la pala rival para anticipar la devolución y muévete antes, no tarde.'],
+    strategy: ['Golpea con el borde para abrir ángulos bajos: son los más difíciles de alcanzar.']
+  },
+  fr: {
+    positioning: ['Garde la raquette au centre et fais de petits mouvements : tu couvres mieux les angles.'],
+    timing: ['Regarde le centre de la raquette adverse pour anticiper le retour et bouge avant, pas après.'],
+    strategy: ['Vise légèrement devant la balle pour renvoyer bas : ces angles sont les plus durs à rattraper.']
+  },
+  de: {
+    positioning: ['Halte den Schläger mittig und bewege dich in kleinen Schritten; so erreichst du auch schräge Bälle.'],
+    timing: ['Beobachte die Mitte des gegnerischen Schlägers und bewege dich früh statt spät zu reagieren.'],
+    strategy: ['Triff den Ball mit der Kante, um flache Winkel zu spielen; die sind am schwersten zu erreichen.']
+  }
+};
+
+// Persona tone applied to any phrase
+const PERSONA_TONE = {
+  hype: (text) => text.replace(/!$/, '!!'),
+  analyst: (text) => text.replace(/\s*!+/g, '.').replace(/¡/g, ''),
+  retro: (text) => text.toUpperCase()
+};
+
+// Answers to player questions, by the first keyword that matches
+const COACH_ANSWERS = [
+  [/high|top|upper/, 'High balls usually beat you because the paddle starts too low. Between rallies drift back to the middle, and when the ball leaves the opponent moving upward, start climbing early instead of waiting for the wall bounce.'],
+  [/low|bottom|lower/, 'For low balls, read the angle off the opponent paddle: a return from its lower half heads down. Move early and stop a little above the ball so it meets the paddle center.'],
+  [/fast|speed|quick/, 'Against fast balls, shorten your moves: stay near the center and make small corrections. Big late swings are what make fast balls slip past.'],
+  [/miss|lose|losing|lost/, 'Most misses come from reacting late. Watch the ball as it leaves the other paddle and move on that first read; fine-tune once it crosses the middle line.'],
+  [/serve/, 'After a serve the ball is slow for a moment: use it to get centered, then follow its direction before it speeds up off the first hit.'],
+  [/angle|edge|corner/, 'Hitting with the paddle edge sends the ball at a sharp angle. Meet it slightly off-center on purpose when the opponent is far from that corner.']
+];
+
+function answerQuestion({ question, stats, settings } = {}) {
+  const q = String(question || '').toLowerCase();
+  // the keyword answers are English; other languages get a tip in their own language
+  const match = (settings?.language || 'en') === 'en' && COACH_ANSWERS.find(([pattern]) => pattern.test(q));
+  const answer = match ? match[1] : coachTip(settings);
+  const returnRate = stats?.returnRate;
+  return typeof returnRate === 'number'
+    ? `${answer} Right now you return ${Math.round(returnRate * 100)}% of the balls that reach you.`
+    : answer;
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function bankFor(banks, settings) {
+  return banks[settings?.language] || banks.en;
+}
+
+function withTone(text, settings) {
+  const tone = PERSONA_TONE[settings?.persona];
+  return tone ? tone(text) : text;
+}
+
+// A phrase unlike the recent lines; when they are all taken, the one used longest ago
+function pickFresh(list, recent = []) {
+  const fresh = list.filter(phrase => !findRepeat(phrase, recent));
+  if (fresh.length) return pick(fresh);
+  const lastUse = (phrase) => recent.findLastIndex(line => findRepeat(phrase, [line]));
+  return list.reduce((best, phrase) => (lastUse(phrase) < lastUse(best) ? phrase : best));
+}
+
+// The storyline worth mentioning after a point, or null
+function storyPhrase(event, narrative, settings, recent) {
+  if (!narrative || !['point_scored', 'comeback'].includes(event?.type)) return null;
+  const bank = bankFor(STORY_PHRASES, settings);
+  const fill = (list, n) => pickFresh(list.map(p => p.replace('{n}', n)), recent);
+  if (narrative.matchPoint === 'both') return fill(bank.deciding_point);
+  if (narrative.matchPoint) return fill(bank.match_point);
+  if (event.type === 'comeback') return fill(bank.comeback, event.details?.from);
+  if (narrative.streak?.count >= 3) return fill(bank.streak, narrative.streak.count);
+  return null;
+}
+
+function generateCommentary({ event, settings, narrative, recent } = {}) {
+  const bank = bankFor(COMMENTARY_PHRASES, settings);
+  let text = pickFresh(bank[event?.type] || bank.paddle_hit, recent);
+  const story = storyPhrase(event, narrative, settings, recent);
+  if (story) text += ` ${story}`;
+  // long lines add a second reaction from another bank
+  else if (settings?.verbosity === 'long') text += ` ${pickFresh(bank.long_rally.concat(bank.near_miss), recent)}`;
+  return withTone(text, settings);
+}
+
+function coachTip(settings) {
+  const bank = bankFor(COACH_TIPS, settings);
+  const tips = bank[settings?.coachFocus] || Object.values(bank).flat();
+  return pick(tips);
+}
+
+// Where each lever currently sits in a solo state, when the state shows it
+const LEVER_VALUES = {
+  aiSpeed: (state) => state?.rightPaddle?.speed,
+  paddleHeight: (state) => state?.leftPaddle?.height
+};
+
+// A small step on one of the numeric levers the offered tool allows (null when it allows none)
+function simulatedAdjustment(tool, state) {
+  const properties = tool.parameters?.properties || {};
+  const levers = Object.keys(properties).filter(key => properties[key].type === 'number');
+  if (!levers.length) return null;
+  const lever = levers[Math.floor(Math.random() * levers.length)];
+  const { minimum, maximum } = properties[lever];
+  const current = Number(LEVER_VALUES[lever]?.(state));
+  const base = Number.isFinite(current) ? current : (minimum + maximum) / 2;
+  const step = (maximum - minimum) / 10;
+  const value = Math.max(minimum, Math.min(maximum, base + (Math.random() < 0.5 ? -step : step)));
+  return { type: 'tool_call', name: 'adjust_game', arguments: { [lever]: Number(value.toFixed(2)), reason: 'simulated tuning' } };
+}
+
+// Post-match narrative built only from the report's numbers
+function generateReportNarrative(report) {
+  if (!report) return 'Match finished.';
+  const lines = [`${report.players[report.winner] || report.winner} won ${report.score.left}-${report.score.right}${report.reason === 'forfeit' ? ' by forfeit' : ''}.`];
+  lines.push(`There were ${report.rallies.count} points with ${report.rallies.avg ?? 0} hits per rally on average; the longest rally lasted ${report.rallies.longest} hits.`);
+  for (const side of ['left', 'right']) {
+    const s = report.sides[side];
+    const who = report.players[side] || side;
+    const [zone, lost] = Object.entries(s.pointsLostByZone).sort((a, b) => b[1] - a[1])[0];
+    if (lost > 0) lines.push(`${who} lost most points in the ${zone} zone (${lost}); start moving there earlier.`);
+    if (s.reactionMs.avg !== null) lines.push(`${who} reacted in ${s.reactionMs.avg}ms on average${s.reactionMs.avg > 300 ? ' — watch the opponent paddle to read the return sooner' : ''}.`);
+  }
+  return lines.join(' ');
+}
+
+function generate(req) {
+  const context = req.context || {};
+  if (context.kind === 'report') return generateReportNarrative(context.report);
+  if (context.kind === 'coach_answer') return answerQuestion(context);
+  return context.kind === 'coach' ? withTone(coachTip(context.settings), context.settings) : generateCommentary(context);
+}
+
+function createTemplateProvider() {
+  async function* stream(req) {
+    if (req.signal?.aborted) return;
+    const context = req.context || {};
+    const tool = req.tools?.find(t => t.name === 'adjust_game');
+    const adjustment = tool && Math.random() < 0.05 ? simulatedAdjustment(tool, context.state) : null;
+    if (adjustment) {
+      yield adjustment;
+      return;
+    }
+    // answers stream in sentence by sentence, like a model would send them
+    const text = generate(req);
+    const parts = context.kind === 'coach_answer' ? text.match(/[^.!?]+[.!?]*\s*/g) || [text] : [text];
+    for (const part of parts) {
+      if (req.signal?.aborted) return;
+      yield { type: 'text', text: part };
+    }
+  }
+
+  async function complete(req) {
+    return generate(req);
+  }
+
+  return { name: 'template', model: 'template', stream, complete };
+}
+
+module.exports = { createTemplateProvider, generateReportNarrative, COMMENTARY_PHRASES, STORY_PHRASES, COACH_TIPS };
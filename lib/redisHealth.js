@@ -0,0 +1,41 @@
+/**
+ * Redis connection health.
+ * - Follows the ioredis connection events: "up" once the client is ready, "down" after a
+ *   connection error or close, and "up" again when ioredis reconnects by itself
+ * - Transitions are logged once, not on every failed reconnect attempt
+ */
+
+function trackRedisHealth(client, { log = console } = {}) {
+  const state = {
+    status: 'connecting',
+    since: new Date().toISOString(),
+    lastError: null,
+    outages: 0
+  };
+
+  function set(status) {
+    if (state.status === status) return;
+    if (status === 'down') {
+      state.outages += 1;
+      log.warn(`Redis unavailable (${state.lastError || 'connection closed'}); running degraded with in-memory rate limits`);
+    } else if (status === 'up' && state.outages) {
+      log.log('Redis connection restored');
+    }
+    state.status = status;
+    state.since = new Date().toISOString();
+  }
+
+  client.on('ready', () => set('up'));
+  client.on('error', (err) => {
+    state.lastError = err?.message || String(err);
+    set('down');
+  });
+  client.on('close', () => set('down'));
+
+  return {
+    isUp: () => state.status === 'up',
+    snapshot: () => ({ ...state })
+  };
+}
+
+module.exports = { trackRedisHealth };
@@ -0,0 +1,70 @@
+/**
+ * Match recording for replays.
+ * - Every online match snapshot becomes one compact frame (integers only, fields in
+ *   FRAME_FIELDS order) timestamped in ms from the match start
+ * - Commentary lines are recorded as captions on the same timeline, together with the
+ *   event they reacted to, so commentary lag can be reviewed
+ * - The finished replay is encoded as MessagePack for storage and the HTTP route
+ */
+
+const msgpack = require('msgpack-lite');
+
+const REPLAY_VERSION = 1;
+const FRAME_FIELDS = ['t', 'ballX', 'ballY', 'leftY', 'rightY', 'leftHeight', 'rightHeight', 'scoreLeft', 'scoreRight', 'running'];
+const CAPTION_FIELDS = ['t', 'text', 'eventType', 'eventT'];
+
+function createReplayRecorder({ startedAt = Date.now(), maxFrames = 36000 } = {}) {
+  const frames = [];
+  const captions = [];
+  let truncated = false;
+
+  function at(now) { return Math.max(0, Math.round(now - startedAt)); }
+
+  function frame(state, now = Date.now()) {
+    if (frames.length >= maxFrames) { truncated = true; return; }
+    frames.push([
+      at(now),
+      Math.round(state.ball.x), Math.round(state.ball.y),
+      Math.round(state.leftPaddle.y), Math.round(state.rightPaddle.y),
+      state.leftPaddle.height, state.rightPaddle.height,
+      state.score.left, state.score.right,
+      state.running ? 1 : 0
+    ]);
+  }
+
+  // A commentary line; `event` is the game event it reacted to (if any)
+  function caption(text, now = Date.now(), event = null) {
+    captions.push([at(now), String(text), event ? event.type : null, event ? at(event.at) : null]);
+  }
+
+  // `result` is the room manager's match_end payload
+  function finish(result) {
+    return {
+      version: REPLAY_VERSION,
+      id: result.roomId,
+      players: result.players,
+      winner: result.winner,
+      reason: result.reason,
+      score: result.score,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: result.durationMs,
+      truncated,
+      frameFields: FRAME_FIELDS,
+      captionFields: CAPTION_FIELDS,
+      frames,
+      captions
+    };
+  }
+
+  return { frame, caption, finish };
+}
+
+function encodeReplay(replay) {
+  return msgpack.encode(replay);
+}
+
+function decodeReplay(buffer) {
+  return msgpack.decode(buffer);
+}
+
+module.exports = { createReplayRecorder, encodeReplay, decodeReplay, FRAME_FIELDS, CAPTION_FIELDS };
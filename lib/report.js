@@ -0,0 +1,161 @@
+/**
+ * Post-match coaching report for online 1v1 matches.
+ * - A recorder follows the match snapshot/event stream and aggregates, per side:
+ *   points lost by zone (where the ball got past the paddle), paddle positioning
+ *   heatmap and reaction times; rally lengths are shared by both sides
+ * - buildReport() turns the recorder and the match result into the structured report;
+ *   the narrative is written by a provider (LLM or template) on top of that structure
+ */
+
+const { isValidState } = require('./events');
+const { predictInterceptY } = require('./skill');
+
+const SIDES = ['left', 'right'];
+const ZONES = ['top', 'middle', 'bottom'];
+const REACT_PX = 8; // paddle travel that counts as "reacting"
+
+function round(v, digits = 2) { return v === null ? null : Number(v.toFixed(digits)); }
+
+function average(list) {
+  return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+}
+
+function median(list) {
+  if (!list.length) return null;
+  const sorted = [...list].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function zoneOf(y, fieldHeight) {
+  return ZONES[Math.max(0, Math.min(ZONES.length - 1, Math.floor(y / (fieldHeight / ZONES.length))))];
+}
+
+function createMatchRecorder({ fieldHeight = 500, heatmapBins = 10 } = {}) {
+  const perSide = Object.fromEntries(SIDES.map(side => [side, {
+    pointsLost: Object.fromEntries(ZONES.map(z => [z, 0])),
+    heatmap: new Array(heatmapBins).fill(0),
+    samples: 0,
+    reactions: [],
+    approach: null // { startAt, startCenter, dir } while waiting for this side to react
+  }]));
+  const rallies = [];
+  let prev = null;
+
+  function paddleOf(state, side) { return state[`${side}Paddle`]; }
+  function centerOf(paddle) { return paddle.y + (paddle.height || 100) / 2; }
+
+  function startApproach(state, side, now) {
+    const paddle = paddleOf(state, side);
+    const contactX = side === 'left' ? paddle.x + (paddle.width || 12) : paddle.x;
+    const needed = predictInterceptY(state.ball, contactX, fieldHeight) - centerOf(paddle);
+    // Ball already lined up: nothing to react to, so no reaction sample
+    perSide[side].approach = Math.abs(needed) < (paddle.height || 100) / 4
+      ? null
+      : { startAt: now, startCenter: centerOf(paddle), dir: Math.sign(needed) };
+  }
+
+  function trackReaction(state, side, now) {
+    const track = perSide[side];
+    if (!track.approach) return;
+    const moved = (centerOf(paddleOf(state, side)) - track.approach.startCenter) * track.approach.dir;
+    if (moved >= REACT_PX) {
+      track.reactions.push(now - track.approach.startAt);
+      track.approach = null;
+    }
+  }
+
+  /** Feed the next snapshot and the events detected for it. */
+  function observe(state, events = [], now = Date.now()) {
+    if (!isValidState(state)) return;
+
+    for (const ev of events) {
+      if (ev.type !== 'point_scored') continue;
+      const loser = ev.details.scorer === 'left' ? 'right' : 'left';
+      const ballY = (prev || state).ball.y; // last position before the ball left the field
+      perSide[loser].pointsLost[zoneOf(ballY, fieldHeight)]++;
+      rallies.push(ev.details.rally || 0);
+      for (const side of SIDES) perSide[side].approach = null;
+    }
+
+    if (state.running) {
+      for (const side of SIDES) {
+        const bin = Math.floor(centerOf(paddleOf(state, side)) / (fieldHeight / heatmapBins));
+        perSide[side].heatmap[Math.max(0, Math.min(heatmapBins - 1, bin))]++;
+        perSide[side].samples++;
+      }
+      if (prev && prev.running) {
+        if (prev.ball.vx >= 0 && state.ball.vx < 0) startApproach(state, 'left', now);
+        if (prev.ball.vx <= 0 && state.ball.vx > 0) startApproach(state, 'right', now);
+      }
+      for (const side of SIDES) trackReaction(state, side, now);
+    }
+    prev = state;
+  }
+
+  function summary() {
+    const sides = {};
+    for (const side of SIDES) {
+      const track = perSide[side];
+      sides[side] = {
+        pointsLostByZone: { ...track.pointsLost },
+        // share of the match the paddle center spent in each band, top to bottom
+        heatmap: track.heatmap.map(n => (track.samples ? round(n / track.samples, 3) : 0)),
+        reactionMs: {
+          samples: track.reactions.length,
+          avg: round(average(track.reactions), 0),
+          median: round(median(track.reactions), 0),
+          best: track.reactions.length ? Math.min(...track.reactions) : null
+        }
+      };
+    }
+    return {
+      rallies: {
+        count: rallies.length,
+        avg: round(average(rallies), 1),
+        longest: rallies.length ? Math.max(...rallies) : 0,
+        lengths: [...rallies]
+      },
+      sides
+    };
+  }
+
+  return { observe, summary };
+}
+
+/**
+ * Structured report for a finished match (narrative is filled in separately).
+ * `result` is the room manager's match_end payload.
+ */
+function buildReport(result, recorder) {
+  const { rallies, sides } = recorder.summary();
+  return {
+    id: result.roomId,
+    players: result.players,
+    winner: result.winner,
+    reason: result.reason,
+    score: result.score,
+    durationMs: result.durationMs,
+    endedAt: new Date().toISOString(),
+    rallies,
+    sides,
+    narrative: null,
+    narrativeSource: null
+  };
+}
+
+// Compact text version of the report for narrative prompts
+function formatReport(report) {
+  const lines = [
+    `Result: ${report.winner} won ${report.score.left}-${report.score.right} (${report.reason}) in ${Math.round(report.durationMs / 1000)}s`,
+    `Rallies: ${report.rallies.count} points, average ${report.rallies.avg ?? 0} hits, longest ${report.rallies.longest}`
+  ];
+  for (const side of SIDES) {
+    const s = report.sides[side];
+    const lost = ZONES.map(z => `${z} ${s.pointsLostByZone[z]}`).join(', ');
+    lines.push(`${side} (${report.players[side] || side}): points lost by zone ${lost}; reaction avg ${s.reactionMs.avg ?? '-'}ms over ${s.reactionMs.samples} balls; paddle heatmap top->bottom ${s.heatmap.join(' ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { createMatchRecorder, buildReport, formatReport, ZONES };
@@ -0,0 +1,67 @@
+/**
+ * Roles and permissions.
+ * - spectator < player < admin; every role can do what the roles below it can
+ * - WebSocket message types and HTTP routes declare the minimum role they need
+ * - Tokens minted before roles existed carry role "tester", treated as a player
+ */
+
+const ROLES = ['spectator', 'player', 'admin'];
+const ROLE_ALIASES = { tester: 'player' };
+
+// Minimum role per WebSocket message type; unlisted types need a player
+const WS_MIN_ROLE = {
+  ping: 'spectator',
+  list_rooms: 'spectator',
+  spectate: 'spectator',
+  stop_spectating: 'spectator',
+  set_encoding: 'spectator',
+  settings: 'spectator',
+  report_line: 'spectator',
+  state: 'player',
+  state_key: 'player',
+  state_delta: 'player',
+  input: 'player',
+  coach_enable: 'player',
+  coach_ask: 'player',
+  create_room: 'player',
+  join_room: 'player',
+  ready: 'player',
+  quick_match: 'player',
+  cancel_quick_match: 'player',
+  leave_room: 'player',
+  set_provider: 'player',
+  skill_debug: 'player'
+};
+
+// Own keys only, so names like "constructor" never match inherited properties
+function own(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+// Known role for a JWT claim; unknown or missing roles get the least privilege
+function normalizeRole(role) {
+  const name = own(ROLE_ALIASES, role) ? ROLE_ALIASES[role] : role;
+  return ROLES.includes(name) ? name : 'spectator';
+}
+
+function hasRole(role, minRole) {
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(minRole);
+}
+
+function minRoleFor(type) {
+  return own(WS_MIN_ROLE, type) ? WS_MIN_ROLE[type] : 'player';
+}
+
+function canSend(role, type) {
+  return hasRole(role, minRoleFor(type));
+}
+
+// Express middleware (after authentication has set req.user)
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, minRole)) return res.status(403).json({ error: `requires role ${minRole}` });
+    next();
+  };
+}
+
+module.exports = { ROLES, WS_MIN_ROLE, normalizeRole, hasRole, minRoleFor, canSend, requireRole };
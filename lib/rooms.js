@@ -0,0 +1,399 @@
+/**
+ * Server-authoritative 1v1 match rooms and lobby.
+ * - Two seats per room (left/right); a socket may only steer its own paddle
+ * - Rooms are created explicitly (optionally private, joinable by code) or by
+ *   the quick-match queue, which pairs waiting players
+ * - Both seats ready -> countdown -> match; every member gets room_event lifecycle messages
+ * - Any authenticated socket may spectate a room read-only (private rooms by code only)
+ * - One fixed-rate loop steps every playing room and broadcasts snapshots to players and spectators
+ * - First side to `matchPoints` wins; leaving mid-match abandons it (opponent wins by forfeit)
+ * - A player whose connection drops keeps the seat (`disconnect`) and the match pauses until
+ *   they come back on a new socket (`reconnect`) or the caller gives up and calls `leave`
+ */
+
+const crypto = require('crypto');
+const physics = require('./physics');
+
+const SIDES = ['left', 'right'];
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+
+function otherSide(side) { return side === 'left' ? 'right' : 'left'; }
+
+function makeJoinCode(length = 6) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (const b of bytes) code += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return code;
+}
+
+function createRoomManager({
+  send,
+  tickHz = 60,
+  snapshotHz = 30,
+  matchPoints = 7,
+  serveDelayMs = 1000,
+  countdownSeconds = 3,
+  onSnapshot = () => {},
+  onMatchEnd = () => {}
+}) {
+  const rooms = new Map(); // roomId -> room
+  const roomByWs = new Map(); // ws -> room (seated players)
+  const watchingByWs = new Map(); // ws -> room (spectators)
+  const quickQueue = []; // sockets waiting for quick match, oldest first
+  const snapshotEvery = Math.max(1, Math.round(tickHz / snapshotHz));
+
+  function members(room) {
+    return SIDES.map(side => room.seats[side]).filter(Boolean);
+  }
+
+  // Players and spectators: everyone who sees the match
+  function audience(room) {
+    return [...members(room), ...room.spectators];
+  }
+
+  function broadcast(room, msg) {
+    for (const ws of audience(room)) send(ws, msg);
+  }
+
+  function emitEvent(room, event, details = {}) {
+    broadcast(room, { type: 'room_event', event, roomId: room.id, ...details });
+  }
+
+  function sideOf(room, ws) {
+    return SIDES.find(side => room.seats[side] === ws) || null;
+  }
+
+  function playerIds(room) {
+    return {
+      left: room.seats.left?.user?.sub || null,
+      right: room.seats.right?.user?.sub || null
+    };
+  }
+
+  function describe(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      status: room.status,
+      private: room.private,
+      players: playerIds(room),
+      ready: { ...room.ready },
+      spectators: room.spectators.size,
+      matchPoints
+    };
+  }
+
+  function createRoom({ name = null, isPrivate = false, ownerId = null } = {}) {
+    let code;
+    do { code = makeJoinCode(); } while ([...rooms.values()].some(r => r.code === code));
+    const room = {
+      id: crypto.randomBytes(4).toString('hex'),
+      code,
+      name: String(name || `Room ${rooms.size + 1}`).slice(0, 40),
+      private: !!isPrivate,
+      ownerId,
+      seats: { left: null, right: null },
+      spectators: new Set(),
+      ready: { left: false, right: false },
+      away: { left: false, right: false }, // seat kept for a dropped connection
+      targets: { left: null, right: null },
+      game: physics.createGameState(),
+      status: 'waiting', // waiting | countdown | playing | finished
+      countdownTimer: null,
+      serveAt: 0,
+      tick: 0,
+      startedAt: 0,
+      lastState: null
+    };
+    rooms.set(room.id, room);
+    return room;
+  }
+
+  function seat(ws, room) {
+    const side = SIDES.find(s => !room.seats[s]);
+    if (!side || room.status !== 'waiting') return { error: 'room is full' };
+    room.seats[side] = ws;
+    room.ready[side] = false;
+    roomByWs.set(ws, room);
+    send(ws, { type: 'room_joined', side, code: room.code, room: describe(room) });
+    emitEvent(room, 'player_joined', { side, userId: ws.user?.sub || null, players: playerIds(room) });
+    return { room, side };
+  }
+
+  function cancelCountdown(room) {
+    if (room.countdownTimer) clearInterval(room.countdownTimer);
+    room.countdownTimer = null;
+  }
+
+  function startCountdown(room) {
+    room.status = 'countdown';
+    let remaining = countdownSeconds;
+    emitEvent(room, 'countdown', { seconds: remaining });
+    room.countdownTimer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        emitEvent(room, 'countdown', { seconds: remaining });
+        return;
+      }
+      cancelCountdown(room);
+      startMatch(room);
+    }, 1000);
+  }
+
+  function startMatch(room) {
+    room.status = 'playing';
+    room.game = physics.createGameState();
+    room.targets = { left: null, right: null };
+    room.tick = 0;
+    room.lastState = physics.snapshot(room.game);
+    room.startedAt = Date.now();
+    room.serveAt = room.startedAt + serveDelayMs;
+    emitEvent(room, 'match_started', { players: playerIds(room), matchPoints });
+  }
+
+  function setReady(ws, ready = true) {
+    const room = roomByWs.get(ws);
+    if (!room) return { error: 'not in a room' };
+    if (room.status !== 'waiting') return { error: 'match already starting' };
+    const side = sideOf(room, ws);
+    room.ready[side] = !!ready;
+    emitEvent(room, 'ready', { side, ready: room.ready[side] });
+    if (bothReady(room)) startCountdown(room);
+    return { room };
+  }
+
+  function bothReady(room) {
+    return !!(room.seats.left && room.seats.right && room.ready.left && room.ready.right && !isPaused(room));
+  }
+
+  function createAndJoin(ws, opts = {}) {
+    if (roomByWs.has(ws)) return { error: 'already in a room' };
+    leaveQueue(ws);
+    stopSpectating(ws);
+    const room = createRoom({ name: opts.name, isPrivate: opts.private, ownerId: ws.user?.sub || null });
+    return seat(ws, room);
+  }
+
+  // Look up by room id or by join code (the only way to reach a private room)
+  function findRoom({ roomId = null, code = null } = {}) {
+    if (code) {
+      const wanted = String(code).trim().toUpperCase();
+      return [...rooms.values()].find(r => r.code === wanted) || null;
+    }
+    const room = roomId ? rooms.get(roomId) : null;
+    return room && !room.private ? room : null;
+  }
+
+  function joinRoom(ws, opts = {}) {
+    if (roomByWs.has(ws)) return { error: 'already in a room' };
+    const room = findRoom(opts);
+    if (!room) return { error: 'room not found' };
+    leaveQueue(ws);
+    stopSpectating(ws);
+    return seat(ws, room);
+  }
+
+  // Read-only: spectators get snapshots and room events but can never steer a paddle
+  function spectate(ws, opts = {}) {
+    if (roomByWs.has(ws)) return { error: 'already playing in a room' };
+    const room = findRoom(opts);
+    if (!room) return { error: 'room not found' };
+    leaveQueue(ws);
+    stopSpectating(ws);
+    room.spectators.add(ws);
+    watchingByWs.set(ws, room);
+    send(ws, { type: 'spectate_joined', room: describe(room), state: room.lastState || physics.snapshot(room.game) });
+    emitEvent(room, 'spectator_joined', { spectators: room.spectators.size });
+    return { room };
+  }
+
+  function stopSpectating(ws) {
+    const room = watchingByWs.get(ws);
+    if (!room) return false;
+    room.spectators.delete(ws);
+    watchingByWs.delete(ws);
+    if (rooms.has(room.id)) emitEvent(room, 'spectator_left', { spectators: room.spectators.size });
+    return true;
+  }
+
+  function listRooms() {
+    return [...rooms.values()].filter(r => !r.private).map(describe);
+  }
+
+  function leaveQueue(ws) {
+    const idx = quickQueue.indexOf(ws);
+    if (idx === -1) return false;
+    quickQueue.splice(idx, 1);
+    return true;
+  }
+
+  /**
+   * Quick match: pair with the oldest waiting player, otherwise wait in the queue.
+   * Paired players skip the manual ready step and go straight to the countdown.
+   */
+  function quickMatch(ws) {
+    if (roomByWs.has(ws)) return { error: 'already in a room' };
+    if (quickQueue.includes(ws)) return { queued: true, position: quickQueue.indexOf(ws) + 1 };
+    stopSpectating(ws);
+    while (quickQueue.length) {
+      const opponent = quickQueue.shift();
+      if (opponent.readyState !== opponent.OPEN) continue;
+      const room = createRoom({ name: 'Quick match' });
+      seat(opponent, room);
+      seat(ws, room);
+      for (const side of SIDES) room.ready[side] = true;
+      emitEvent(room, 'ready', { side: 'both', ready: true });
+      startCountdown(room);
+      return { room };
+    }
+    quickQueue.push(ws);
+    return { queued: true, position: quickQueue.length };
+  }
+
+  function finishMatch(room, winner, reason) {
+    if (room.status === 'finished') return;
+    cancelCountdown(room);
+    room.status = 'finished';
+    room.game.running = false;
+    const result = {
+      roomId: room.id,
+      winner,
+      reason, // points | forfeit
+      score: { ...room.game.score },
+      players: playerIds(room),
+      durationMs: Date.now() - room.startedAt
+    };
+    broadcast(room, { type: 'match_end', ...result });
+    for (const ws of members(room)) roomByWs.delete(ws);
+    for (const ws of room.spectators) watchingByWs.delete(ws);
+    rooms.delete(room.id);
+    onMatchEnd(room, result);
+  }
+
+  function leave(ws) {
+    if (leaveQueue(ws) || stopSpectating(ws)) return;
+    const room = roomByWs.get(ws);
+    if (!room) return;
+    const side = sideOf(room, ws);
+    if (room.status === 'playing') {
+      emitEvent(room, 'abandoned', { side, userId: ws.user?.sub || null });
+      finishMatch(room, otherSide(side), 'forfeit');
+      return;
+    }
+    if (room.status === 'countdown') {
+      cancelCountdown(room);
+      room.status = 'waiting';
+      emitEvent(room, 'abandoned', { side, userId: ws.user?.sub || null });
+    }
+    room.seats[side] = null;
+    room.away[side] = false;
+    room.targets[side] = null;
+    room.ready = { left: false, right: false };
+    roomByWs.delete(ws);
+    if (!members(room).length) {
+      for (const spectator of room.spectators) {
+        watchingByWs.delete(spectator);
+        send(spectator, { type: 'room_closed', roomId: room.id });
+      }
+      rooms.delete(room.id);
+      return;
+    }
+    emitEvent(room, 'player_left', { side, players: playerIds(room) });
+  }
+
+  function isPaused(room) {
+    return room.away.left || room.away.right;
+  }
+
+  /**
+   * Connection dropped: a seated player keeps the seat (a running match pauses, a countdown
+   * stops); queue places and spectating end. Returns { room, side } for a kept seat, else null.
+   */
+  function disconnect(ws) {
+    if (leaveQueue(ws) || stopSpectating(ws)) return null;
+    const room = roomByWs.get(ws);
+    if (!room) return null;
+    const side = sideOf(room, ws);
+    room.away[side] = true;
+    room.targets[side] = null;
+    if (room.status === 'countdown') {
+      cancelCountdown(room);
+      room.status = 'waiting';
+    }
+    room.game.running = false;
+    emitEvent(room, 'player_disconnected', { side, userId: ws.user?.sub || null, status: room.status });
+    return { room, side };
+  }
+
+  // The same player is back on a new socket: give it the kept seat and resume when nobody is away
+  function reconnect(oldWs, ws) {
+    const room = roomByWs.get(oldWs);
+    if (!room || !rooms.has(room.id)) return null;
+    const side = sideOf(room, oldWs);
+    room.seats[side] = ws;
+    room.away[side] = false;
+    roomByWs.delete(oldWs);
+    roomByWs.set(ws, room);
+    if (room.status === 'playing' && !isPaused(room)) room.serveAt = Date.now() + serveDelayMs;
+    send(ws, { type: 'room_joined', side, code: room.code, room: describe(room), resumed: true });
+    if (room.lastState) send(ws, { type: 'match_state', roomId: room.id, tick: room.tick, state: room.lastState });
+    emitEvent(room, 'player_reconnected', { side, userId: ws.user?.sub || null, status: room.status, paused: isPaused(room) });
+    // a countdown interrupted by the drop starts over
+    if (room.status === 'waiting' && bothReady(room)) startCountdown(room);
+    return { room, side };
+  }
+
+  // Latest paddle target from a player; applied on the next tick
+  function handleInput(ws, y) {
+    const room = roomByWs.get(ws);
+    if (!room || room.status !== 'playing') return;
+    room.targets[sideOf(room, ws)] = Number(y);
+  }
+
+  function stepRoom(room, now) {
+    const game = room.game;
+    if (!game.running && now >= room.serveAt) game.running = true;
+    const { scored } = physics.stepGame(game, room.targets);
+    room.tick++;
+
+    if (scored) {
+      room.serveAt = now + serveDelayMs;
+      broadcast(room, { type: 'match_point', roomId: room.id, scorer: scored, score: { ...game.score } });
+    }
+    if (scored || room.tick % snapshotEvery === 0) {
+      const state = physics.snapshot(game);
+      room.lastState = state;
+      broadcast(room, { type: 'match_state', roomId: room.id, tick: room.tick, state });
+      onSnapshot(room, state);
+    }
+    if (scored && game.score[scored] >= matchPoints) finishMatch(room, scored, 'points');
+  }
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const room of rooms.values()) {
+      if (room.status === 'playing' && !isPaused(room)) stepRoom(room, now);
+    }
+  }, 1000 / tickHz);
+
+  return {
+    createAndJoin,
+    joinRoom,
+    spectate,
+    quickMatch,
+    setReady,
+    listRooms,
+    leave,
+    disconnect,
+    reconnect,
+    handleInput,
+    roomOf: (ws) => roomByWs.get(ws) || null,
+    watching: (ws) => watchingByWs.get(ws) || null,
+    playingRooms: () => [...rooms.values()].filter(r => r.status === 'playing'),
+    members,
+    audience,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = { createRoomManager };
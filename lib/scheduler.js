@@ -0,0 +1,113 @@
+/**
+ * LLM call scheduler: a bounded queue per holder (a connection or a match) and a global
+ * concurrency limit, so one slow stream never holds up anyone else's commentary.
+ * - A key runs one job at a time (its lines stay in order); at most `concurrency` jobs run
+ *   across all keys, and a key that just started a job goes to the back of the line
+ * - Each key queues at most `queueLimit` jobs: a job of the same kind replaces the queued one
+ *   (the newer event or snapshot supersedes it), otherwise the oldest queued job is dropped
+ * - Jobs run with an AbortSignal: abort(key) stops the running job (e.g. a more relevant event
+ *   arrived), cancel(key) also empties the queue (the socket closed)
+ * - job.isAlive() is checked right before a job starts; jobs for a dead holder are skipped
+ *
+ * job: { kind, run(signal) -> Promise, isAlive?() -> boolean, ...anything the caller wants back from active() }
+ */
+
+function createLlmScheduler({ concurrency = 4, queueLimit = 2, onError = null } = {}) {
+  const queues = new Map(); // key -> [job], in the order keys get served
+  const running = new Map(); // key -> { job, controller }
+  const counts = { submitted: 0, started: 0, completed: 0, failed: 0, aborted: 0, dropped: 0, skipped: 0 };
+
+  function submit(key, job) {
+    counts.submitted += 1;
+    let queue = queues.get(key);
+    if (!queue) {
+      queue = [];
+      queues.set(key, queue);
+    }
+    const same = queue.findIndex(j => j.kind === job.kind);
+    if (same >= 0) {
+      queue.splice(same, 1);
+      counts.dropped += 1;
+    } else if (queue.length >= queueLimit) {
+      queue.shift();
+      counts.dropped += 1;
+    }
+    queue.push(job);
+    pump();
+  }
+
+  function pump() {
+    for (const key of [...queues.keys()]) {
+      if (running.size >= concurrency) return;
+      if (running.has(key)) continue;
+      const queue = queues.get(key);
+      const job = queue.shift();
+      // served: move the key to the back (or drop it when nothing is left)
+      queues.delete(key);
+      if (queue.length) queues.set(key, queue);
+      start(key, job);
+    }
+  }
+
+  function start(key, job) {
+    if (job.isAlive && !job.isAlive()) {
+      counts.skipped += 1;
+      queueMicrotask(pump); // the key may have more jobs queued
+      return;
+    }
+    const controller = new AbortController();
+    running.set(key, { job, controller });
+    counts.started += 1;
+    Promise.resolve()
+      .then(() => job.run(controller.signal))
+      .then(() => {
+        if (controller.signal.aborted) counts.aborted += 1;
+        else counts.completed += 1;
+      }, (err) => {
+        if (controller.signal.aborted) {
+          counts.aborted += 1;
+        } else {
+          counts.failed += 1;
+          if (onError) onError(err, job);
+        }
+      })
+      .finally(() => {
+        running.delete(key);
+        pump();
+      });
+  }
+
+  // The job running for a key, or null
+  function active(key) {
+    return running.get(key)?.job || null;
+  }
+
+  // True when a job of this kind is running or queued for the key
+  function has(key, kind) {
+    return active(key)?.kind === kind || (queues.get(key) || []).some(j => j.kind === kind);
+  }
+
+  function abort(key) {
+    const entry = running.get(key);
+    if (!entry) return false;
+    entry.controller.abort();
+    return true;
+  }
+
+  function cancel(key) {
+    const queue = queues.get(key);
+    if (queue) counts.dropped += queue.length;
+    queues.delete(key);
+    abort(key);
+  }
+
+  function stats() {
+    let queued = 0;
+    for (const queue of queues.values()) queued += queue.length;
+    return { ...counts, running: running.size, queued, concurrency, queueLimit };
+  }
+
+  return { submit, active, has, abort, cancel, stats };
+}
+
+module.exports = { createLlmScheduler };
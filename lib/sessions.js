@@ -0,0 +1,59 @@
+/**
+ * Resumable WebSocket sessions.
+ * - A dropped connection's session is kept for `graceMs` under its session id; the same user
+ *   reconnecting with `?resume=<id>` within that time claims it, otherwise it expires
+ * - A resume can arrive before the server sees the old socket close (the client drops it and
+ *   reconnects at once): the still-attached socket is detached first, so the session is there to
+ *   claim, and then closed with 4002
+ * - The server decides what a session holds: `onDetach` returns extra fields to keep (e.g. the
+ *   watched room), `onExpire` gives up the seat, `onReplace` stops work for a taken-over socket
+ *
+ * `connections` is the server's live ws -> meta map (meta.sessionId names the session).
+ */
+
+const TAKEOVER_CLOSE_CODE = 4002;
+
+function createSessionRegistry({ graceMs, connections, onDetach = () => ({}), onExpire = () => {}, onReplace = () => {} }) {
+  // session id -> { userId, meta, ws (the old socket), ...onDetach fields, timer }
+  const detached = new Map();
+
+  // Keep a dropped connection's session until it is claimed or graceMs passes
+  function detach(ws, meta) {
+    const extra = onDetach(ws, meta) || {};
+    const timer = setTimeout(() => {
+      detached.delete(meta.sessionId);
+      onExpire(ws, meta);
+    }, graceMs);
+    timer.unref();
+    detached.set(meta.sessionId, { ...extra, userId: ws.user?.sub, meta, ws, timer });
+  }
+
+  // Detach the same user's socket still attached to the session, then close it
+  function replaceAttached(sessionId, ws) {
+    if (detached.has(sessionId)) return;
+    for (const [other, meta] of connections) {
+      if (meta.sessionId !== sessionId) continue;
+      if (other === ws || other.user?.sub !== ws.user?.sub) return;
+      connections.delete(other); // its close handler then has nothing left to detach
+      onReplace(other, meta);
+      detach(other, meta);
+      other.close(TAKEOVER_CLOSE_CODE, 'session resumed on another connection');
+      return;
+    }
+  }
+
+  // Take over a session of the same user for `ws`; returns it (meta not yet attached) or null
+  function resume(sessionId, ws) {
+    if (!sessionId || graceMs <= 0) return null;
+    replaceAttached(sessionId, ws);
+    const session = detached.get(sessionId);
+    if (!session || session.userId !== ws.user?.sub) return null;
+    clearTimeout(session.timer);
+    detached.delete(sessionId);
+    return session;
+  }
+
+  return { detach, resume, size: () => detached.size };
+}
+
+module.exports = { createSessionRegistry, TAKEOVER_CLOSE_CODE };
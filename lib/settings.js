@@ -0,0 +1,132 @@
+/**
+ * Per-user commentary settings: persona, output language, verbosity and coach focus.
+ * - The options below are the only accepted values; they shape the LLM system prompts here and
+ *   the simulated phrase banks in lib/providers/template.js
+ * - `describeOptions()` is sent to clients so the page can build its menus and pick a TTS voice
+ *   (language tag, persona rate/pitch) without a second copy of the lists
+ *
+ * Keys:
+ * - settings:<id>  string (JSON settings)
+ */
+
+const PERSONAS = {
+  hype: {
+    label: 'Hype caster',
+    commentator: 'You are a high-energy esports hype caster calling a Pong match: loud, excited, big reactions.',
+    coach: 'You are an upbeat, motivating Pong coach.',
+    voice: { rate: 1.15, pitch: 1.2 }
+  },
+  analyst: {
+    label: 'Dry analyst',
+    commentator: 'You are a dry, understated sports analyst calling a Pong match: precise, calm, slightly deadpan, no exclamation marks.',
+    coach: 'You are a calm, analytical Pong coach who explains the reason behind each tip.',
+    voice: { rate: 0.95, pitch: 0.9 }
+  },
+  retro: {
+    label: 'Retro arcade',
+    commentator: 'You are an 80s arcade cabinet announcer calling a Pong match: punchy, playful, full of high-score and pixel slang.',
+    coach: 'You are a retro arcade Pong coach who talks like an 80s game manual.',
+    voice: { rate: 1.05, pitch: 1.4 }
+  }
+};
+
+const LANGUAGES = {
+  en: { label: 'English', name: 'English', tts: 'en-US' },
+  es: { label: 'Español', name: 'Spanish', tts: 'es-ES' },
+  fr: { label: 'Français', name: 'French', tts: 'fr-FR' },
+  de: { label: 'Deutsch', name: 'German', tts: 'de-DE' }
+};
+
+// words: commentary line length; coachWords: tip/answer length
+const VERBOSITY = {
+  short: { label: 'Short', words: 12, coachWords: 30, maxTokens: 40 },
+  normal: { label: 'Normal', words: 25, coachWords: 60, maxTokens: 64 },
+  long: { label: 'Long', words: 45, coachWords: 100, maxTokens: 120 }
+};
+
+const COACH_FOCUS = {
+  general: { label: 'General', topic: 'positioning and timing' },
+  positioning: { label: 'Positioning', topic: 'where to hold the paddle between shots and how to cover angles' },
+  timing: { label: 'Timing', topic: 'reading the ball early and when to start moving' },
+  strategy: { label: 'Strategy', topic: 'shot placement, angles and putting the opponent under pressure' }
+};
+
+const DEFAULT_SETTINGS = { persona: 'hype', language: 'en', verbosity: 'normal', coachFocus: 'general' };
+const OPTIONS = { persona: PERSONAS, language: LANGUAGES, verbosity: VERBOSITY, coachFocus: COACH_FOCUS };
+
+// Known values only; unknown fields and values fall back to the current (or default) settings
+function mergeSettings(current, update = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...current };
+  for (const [field, options] of Object.entries(OPTIONS)) {
+    if (update[field] !== undefined && Object.prototype.hasOwnProperty.call(options, update[field])) merged[field] = update[field];
+  }
+  return merged;
+}
+
+function describeOptions() {
+  const list = (options, extra = () => ({})) => Object.entries(options).map(([id, o]) => ({ id, label: o.label, ...extra(o) }));
+  return {
+    persona: list(PERSONAS, o => ({ voice: o.voice })),
+    language: list(LANGUAGES, o => ({ tts: o.tts })),
+    verbosity: list(VERBOSITY),
+    coachFocus: list(COACH_FOCUS)
+  };
+}
+
+// Prompt pieces
+function commentatorPersona(settings) {
+  return PERSONAS[settings.persona].commentator;
+}
+
+function coachPersona(settings) {
+  return PERSONAS[settings.persona].coach;
+}
+
+function languageRule(settings) {
+  return `Always reply in ${LANGUAGES[settings.language].name}.`;
+}
+
+function lengthOf(settings) {
+  return VERBOSITY[settings.verbosity];
+}
+
+function coachTopic(settings) {
+  return COACH_FOCUS[settings.coachFocus].topic;
+}
+
+function createSettingsStore({ redis }) {
+  const key = (id) => `settings:${id}`;
+
+  async function get(id) {
+    const raw = await redis.get(key(id));
+    if (!raw) return { ...DEFAULT_SETTINGS };
+    try {
+      return mergeSettings({}, JSON.parse(raw));
+    } catch (e) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  async function save(id, settings) {
+    await redis.set(key(id), JSON.stringify(mergeSettings({}, settings)));
+  }
+
+  return { get, save };
+}
+
+module.exports = {
+  PERSONAS,
+  LANGUAGES,
+  VERBOSITY,
+  COACH_FOCUS,
+  DEFAULT_SETTINGS,
+  OPTIONS,
+  mergeSettings,
+  describeOptions,
+  commentatorPersona,
+  coachPersona,
+  languageRule,
+  lengthOf,
+  coachTopic,
+  createSettingsStore
+};
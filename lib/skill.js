@@ -0,0 +1,172 @@
+/**
+ * Adaptive difficulty for solo games against the computer paddle.
+ * - Reaction times use the arrival time of each snapshot (the stream carries no clock), so
+ *   only a replay with the same timestamps reproduces the same adjustments
+ * - Measures return rate, miss distance, reaction lag and rally length from the
+ *   snapshots the client streams (player = left paddle, computer = right paddle)
+ * - After every point, moves aiSpeed and aiError (computer aim error, px) a small,
+ *   bounded step toward the difficulty that should give the target win rate
+ */
+
+const { isValidState } = require('./events');
+
+const FIELD_H = 500;
+const REACT_PX = 8; // paddle travel that counts as "reacting"
+const EWMA_ALPHA = 0.25;
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function clamp01(v) { return clamp(v, 0, 1); }
+function ewma(prev, sample) { return prev === null ? sample : prev + EWMA_ALPHA * (sample - prev); }
+function round(v, digits = 2) { return v === null ? null : Number(v.toFixed(digits)); }
+
+// Where the ball will cross x, folding wall reflections back into the field
+function predictInterceptY(ball, x, fieldHeight = FIELD_H) {
+  if (!ball.vx) return ball.y;
+  const t = (x - ball.x) / ball.vx;
+  if (t < 0) return ball.y;
+  const span = fieldHeight - 2 * (ball.r || 8);
+  let y = (ball.y - (ball.r || 8)) + ball.vy * t;
+  const period = 2 * span;
+  y = ((y % period) + period) % period;
+  if (y > span) y = period - y;
+  return y + (ball.r || 8);
+}
+
+function createSkillModel({
+  targetWinRate = 0.5,
+  aiSpeed = { min: 2, max: 8 },
+  aiError = { min: 0, max: 60 },
+  initial = { aiSpeed: 4, aiError: 0 },
+  maxSpeedStep = 0.4,
+  maxErrorStep = 6
+} = {}) {
+  const stats = {
+    approaches: 0, // balls that headed toward the player
+    returns: 0,
+    misses: 0,
+    pointsWon: 0,
+    pointsLost: 0,
+    avgMissDistance: null,
+    avgReactionMs: null,
+    avgRally: null,
+    recentWinRate: targetWinRate
+  };
+  const difficulty = { aiSpeed: initial.aiSpeed, aiError: initial.aiError };
+  let prev = null;
+  let approach = null; // { startAt, startCenter, dir } while waiting for the player to react
+  let adjustments = 0;
+
+  function paddleCenter(state) {
+    return state.leftPaddle.y + (state.leftPaddle.height || 100) / 2;
+  }
+
+  function returnRate() {
+    const total = stats.returns + stats.misses;
+    return total ? stats.returns / total : null;
+  }
+
+  // 0..1 composite of the measured skills (unknown metrics count as average)
+  function skillScore() {
+    const rr = returnRate() ?? 0.5;
+    const reaction = stats.avgReactionMs === null ? 0.5 : 1 - clamp01(stats.avgReactionMs / 1000);
+    const rally = stats.avgRally === null ? 0.5 : clamp01(stats.avgRally / 10);
+    return clamp01(0.5 * rr + 0.3 * reaction + 0.2 * rally);
+  }
+
+  function startApproach(state, now) {
+    const center = paddleCenter(state);
+    const intercept = predictInterceptY(state.ball, state.leftPaddle.x + (state.leftPaddle.width || 12));
+    const needed = intercept - center;
+    stats.approaches++;
+    // Ball already lined up: nothing to react to, so no reaction sample
+    approach = Math.abs(needed) < (state.leftPaddle.height || 100) / 4
+      ? null
+      : { startAt: now, startCenter: center, dir: Math.sign(needed) };
+  }
+
+  function trackReaction(state, now) {
+    if (!approach) return;
+    const moved = (paddleCenter(state) - approach.startCenter) * approach.dir;
+    if (moved >= REACT_PX) {
+      stats.avgReactionMs = ewma(stats.avgReactionMs, now - approach.startAt);
+      approach = null;
+    }
+  }
+
+  function adjust() {
+    const error = stats.recentWinRate - targetWinRate; // > 0: player is winning too often
+    const level = clamp01(skillScore() + error);
+    const wantSpeed = aiSpeed.min + (aiSpeed.max - aiSpeed.min) * level;
+    const wantError = aiError.min + (aiError.max - aiError.min) * (1 - level);
+    const next = {
+      aiSpeed: round(clamp(difficulty.aiSpeed + clamp(wantSpeed - difficulty.aiSpeed, -maxSpeedStep, maxSpeedStep), aiSpeed.min, aiSpeed.max)),
+      aiError: round(clamp(difficulty.aiError + clamp(wantError - difficulty.aiError, -maxErrorStep, maxErrorStep), aiError.min, aiError.max), 1)
+    };
+    const changed = Math.abs(next.aiSpeed - difficulty.aiSpeed) >= 0.05 || Math.abs(next.aiError - difficulty.aiError) >= 0.5;
+    Object.assign(difficulty, next);
+    if (!changed) return null;
+    adjustments++;
+    return { type: 'adjust', aiSpeed: difficulty.aiSpeed, aiError: difficulty.aiError };
+  }
+
+  /**
+   * Feed the next snapshot, the events detected for it and when it arrived.
+   * Returns an `adjust` control when the difficulty moved, otherwise null.
+   */
+  function observe(state, events = [], now = Date.now()) {
+    if (!isValidState(state)) return null;
+    let control = null;
+
+    for (const ev of events) {
+      if (ev.type === 'paddle_hit' && ev.details.side === 'left') {
+        stats.returns++;
+      } else if (ev.type === 'point_scored') {
+        const playerWon = ev.details.scorer === 'left';
+        if (playerWon) stats.pointsWon++;
+        else {
+          stats.pointsLost++;
+          stats.misses++;
+          stats.avgMissDistance = ewma(stats.avgMissDistance, ev.details.missDistance || 0);
+        }
+        stats.avgRally = ewma(stats.avgRally, ev.details.rally || 0);
+        stats.recentWinRate = stats.recentWinRate + EWMA_ALPHA * ((playerWon ? 1 : 0) - stats.recentWinRate);
+        approach = null;
+        control = adjust();
+      }
+    }
+
+    if (prev && state.running) {
+      if (prev.ball.vx >= 0 && state.ball.vx < 0) startApproach(state, now);
+      else if (state.ball.vx > 0) approach = null;
+      trackReaction(state, now);
+    }
+    prev = state;
+    return control;
+  }
+
+  // Current difficulty as a control, resent to a client that resumes its session
+  function current() {
+    return { type: 'adjust', aiSpeed: difficulty.aiSpeed, aiError: difficulty.aiError };
+  }
+
+  function inspect() {
+    return {
+      targetWinRate,
+      skill: round(skillScore()),
+      difficulty: { ...difficulty },
+      adjustments,
+      stats: {
+        ...stats,
+        returnRate: round(returnRate()),
+        avgMissDistance: round(stats.avgMissDistance, 1),
+        avgReactionMs: round(stats.avgReactionMs, 0),
+        avgRally: round(stats.avgRally, 1),
+        recentWinRate: round(stats.recentWinRate)
+      }
+    };
+  }
+
+  return { observe, current, inspect };
+}
+
+module.exports = { createSkillModel, predictInterceptY };
@@ -0,0 +1,85 @@
+/**
+ * Keyframe + delta streaming of solo game state (client -> server).
+ * - The client quantizes its state into integers in STREAM_FIELDS order (each field has a
+ *   fixed scale) and sends numbered frames:
+ *     state_key   { seq, k: [values] }                  full keyframe
+ *     state_delta { seq, base, mask, d: [differences] } fields whose bit is set in `mask`,
+ *                                                       as differences from keyframe `base`
+ * - Deltas are relative to a keyframe, never to the previous delta, so a dropped delta costs
+ *   nothing; frames older than the newest applied one are ignored (out of order)
+ * - A delta whose keyframe never arrived cannot be applied: the decoder asks for a resync and
+ *   the client answers with a fresh keyframe
+ */
+
+// [name, scale]: value on the wire = Math.round(value * scale)
+const STREAM_FIELDS = [
+  ['ballX', 10], ['ballY', 10], ['ballVx', 100], ['ballVy', 100], ['ballR', 1],
+  ['leftX', 1], ['leftY', 10], ['leftWidth', 1], ['leftHeight', 1],
+  ['rightX', 1], ['rightY', 10], ['rightWidth', 1], ['rightHeight', 1], ['rightSpeed', 100],
+  ['scorePlayer', 1], ['scoreAi', 1], ['running', 1]
+];
+
+function toState(values) {
+  const v = {};
+  STREAM_FIELDS.forEach(([name, scale], i) => { v[name] = values[i] / scale; });
+  return {
+    ball: { x: v.ballX, y: v.ballY, vx: v.ballVx, vy: v.ballVy, r: v.ballR },
+    leftPaddle: { x: v.leftX, y: v.leftY, width: v.leftWidth, height: v.leftHeight },
+    rightPaddle: { x: v.rightX, y: v.rightY, width: v.rightWidth, height: v.rightHeight, speed: v.rightSpeed },
+    score: { player: v.scorePlayer, ai: v.scoreAi },
+    running: v.running === 1
+  };
+}
+
+const isInt = (n) => Number.isInteger(n) && Math.abs(n) <= 0x7fffffff;
+
+function createStateStreamDecoder({ keyframeHistory = 4 } = {}) {
+  const keyframes = new Map(); // seq -> values, oldest first
+  let lastSeq = -1;
+  const stats = { received: 0, applied: 0, outOfOrder: 0, missing: 0, unknownBase: 0, keyframes: 0 };
+
+  function remember(seq, values) {
+    keyframes.set(seq, values);
+    while (keyframes.size > keyframeHistory) keyframes.delete(keyframes.keys().next().value);
+  }
+
+  /**
+   * Feed one frame ({ type, seq, ... } after schema validation).
+   * Returns { state }, { ignored: 'out_of_order' }, { resync: true } or { error }.
+   */
+  function accept(frame) {
+    stats.received += 1;
+    let values;
+    if (frame.type === 'state_key') {
+      if (frame.k.length !== STREAM_FIELDS.length || !frame.k.every(isInt)) {
+        return { error: `k must be ${STREAM_FIELDS.length} integers` };
+      }
+      // remembered even when late: newer deltas may still be based on it
+      if (!keyframes.has(frame.seq)) remember(frame.seq, frame.k.slice());
+      stats.keyframes += 1;
+      values = frame.k;
+    } else {
+      const base = keyframes.get(frame.base);
+      if (frame.seq <= lastSeq) { stats.outOfOrder += 1; return { ignored: 'out_of_order' }; }
+      if (!base) { stats.unknownBase += 1; return { resync: true }; }
+      values = base.slice();
+      let used = 0;
+      for (let i = 0; i < STREAM_FIELDS.length; i++) {
+        if (!(frame.mask & (1 << i))) continue;
+        const diff = frame.d[used++];
+        if (!isInt(diff)) return { error: 'd must hold one integer per bit set in mask' };
+        values[i] += diff;
+      }
+      if (used !== frame.d.length) return { error: 'd must hold one integer per bit set in mask' };
+    }
+    if (frame.seq <= lastSeq) { stats.outOfOrder += 1; return { ignored: 'out_of_order' }; }
+    if (lastSeq >= 0) stats.missing += frame.seq - lastSeq - 1;
+    lastSeq = frame.seq;
+    stats.applied += 1;
+    return { state: toState(values) };
+  }
+
+  return { accept, stats: () => ({ ...stats, lastSeq }) };
+}
+
+module.exports = { STREAM_FIELDS, createStateStreamDecoder, toState };
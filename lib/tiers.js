@@ -0,0 +1,74 @@
+/**
+ * Account tiers.
+ * - The JWT "tier" claim picks a user's rate limits, state stream rate, OpenAI model and daily cost cap;
+ *   a missing or unknown tier gets DEFAULT_TIER
+ * - "free" follows the plain env limits (STATE_SEND_LIMIT_PER_SECOND, STATE_STREAM_HZ,
+ *   COMMENTARY_LIMIT_PER_MINUTE, MODEL_NAME, DAILY_COST_CAP_USD), "pro" gets more of each
+ * - TIERS_JSON overrides fields of these tiers or adds new ones, e.g.
+ *   {"pro":{"commentaryLimitPerMinute":200},"team":{"model":"gpt-4o","dailyCostCapUsd":5}}
+ */
+
+const FIELDS = ['stateLimitPerSecond', 'stateStreamHz', 'commentaryLimitPerMinute', 'model', 'dailyCostCapUsd'];
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+function loadTiers(env = process.env) {
+  const free = {
+    stateLimitPerSecond: numberOr(env.STATE_SEND_LIMIT_PER_SECOND, 5),
+    stateStreamHz: numberOr(env.STATE_STREAM_HZ, 30),
+    commentaryLimitPerMinute: numberOr(env.COMMENTARY_LIMIT_PER_MINUTE, 40),
+    model: env.MODEL_NAME || 'gpt-4o-mini',
+    dailyCostCapUsd: numberOr(env.DAILY_COST_CAP_USD, 0.05)
+  };
+  const table = {
+    free,
+    pro: {
+      stateLimitPerSecond: Math.max(10, free.stateLimitPerSecond),
+      stateStreamHz: Math.max(60, free.stateStreamHz),
+      commentaryLimitPerMinute: Math.max(120, free.commentaryLimitPerMinute),
+      model: env.PRO_MODEL_NAME || free.model,
+      dailyCostCapUsd: numberOr(env.PRO_DAILY_COST_CAP_USD, 1)
+    }
+  };
+
+  if (env.TIERS_JSON) {
+    let overrides;
+    try {
+      overrides = JSON.parse(env.TIERS_JSON);
+    } catch (e) {
+      throw new Error(`TIERS_JSON is not valid JSON: ${e.message}`);
+    }
+    for (const [name, fields] of Object.entries(overrides || {})) {
+      const tier = { ...(table[name] || free) };
+      for (const key of FIELDS) {
+        if (fields?.[key] === undefined) continue;
+        tier[key] = key === 'model' ? String(fields[key]) : numberOr(fields[key], tier[key]);
+      }
+      table[name] = tier;
+    }
+  }
+
+  const defaultTier = table[env.DEFAULT_TIER] ? env.DEFAULT_TIER : 'free';
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+  }
+
+  // Tier name for JWT claims (or null/undefined for anonymous callers)
+  function nameOf(user) {
+    return has(user?.tier) ? user.tier : defaultTier;
+  }
+
+  return {
+    defaultTier,
+    names: () => Object.keys(table),
+    has,
+    nameOf,
+    get: (name) => ({ name: has(name) ? name : defaultTier, ...table[has(name) ? name : defaultTier] })
+  };
+}
+
+module.exports = { loadTiers };
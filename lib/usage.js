@@ -0,0 +1,103 @@
+/**
+ * Per-user LLM usage accounting (Redis).
+ * - Providers report prompt/completion tokens per request; each report is added to the
+ *   user's counters for the current UTC day
+ * - Cost is derived from a per-model price table (USD per 1M tokens, which is also
+ *   micro-USD per token) and stored as integer micro-USD; unknown models, e.g. self-hosted
+ *   ones behind the compatible provider, cost nothing but their tokens are still counted
+ * - MODEL_PRICES overrides or extends the table: {"gpt-4o-mini":{"prompt":0.15,"completion":0.6}}
+ *
+ * Keys:
+ * - usage:<id>:<YYYY-MM-DD>  hash { promptTokens, completionTokens, calls, costMicroUsd }
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 }
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function dayOf(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function usageKey(id, day) { return `usage:${id}:${day}`; }
+
+function loadPrices(env = process.env) {
+  if (!env.MODEL_PRICES) return { ...DEFAULT_PRICES };
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.MODEL_PRICES) };
+  } catch (e) {
+    throw new Error(`MODEL_PRICES is not valid JSON: ${e.message}`);
+  }
+}
+
+// A tier's daily cap is reached once the day's cost meets it; no tier (system usage) means no cap
+function overDailyCap(tier, totals) {
+  return !!tier && totals.costUsd >= tier.dailyCostCapUsd;
+}
+
+function createUsageTracker({ redis, prices = DEFAULT_PRICES, retentionDays = 35 }) {
+  // Exact model name first, then the longest known prefix (dated snapshots like gpt-4o-mini-2024-07-18)
+  function priceOf(model) {
+    if (prices[model]) return prices[model];
+    const prefix = Object.keys(prices)
+      .filter(name => String(model).startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+  }
+
+  function costMicroUsd(model, promptTokens, completionTokens) {
+    const price = priceOf(model);
+    if (!price) return 0;
+    return Math.round(promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0));
+  }
+
+  function parseDay(day, hash) {
+    const micro = Number(hash?.costMicroUsd) || 0;
+    return {
+      date: day,
+      promptTokens: Number(hash?.promptTokens) || 0,
+      completionTokens: Number(hash?.completionTokens) || 0,
+      calls: Number(hash?.calls) || 0,
+      costUsd: micro / 1e6
+    };
+  }
+
+  // Add one request's usage; resolves to the day's totals after it
+  async function record(id, { model, promptTokens = 0, completionTokens = 0 }, now = Date.now()) {
+    const day = dayOf(now);
+    const key = usageKey(id, day);
+    const prompt = Math.max(0, Math.round(promptTokens));
+    const completion = Math.max(0, Math.round(completionTokens));
+    const results = await redis.multi()
+      .hincrby(key, 'promptTokens', prompt)
+      .hincrby(key, 'completionTokens', completion)
+      .hincrby(key, 'calls', 1)
+      .hincrby(key, 'costMicroUsd', costMicroUsd(model, prompt, completion))
+      .expire(key, retentionDays * 24 * 3600)
+      .exec();
+    const [promptTotal, completionTotal, calls, micro] = results.slice(0, 4).map(([, value]) => Number(value) || 0);
+    return { date: day, promptTokens: promptTotal, completionTokens: completionTotal, calls, costUsd: micro / 1e6 };
+  }
+
+  async function today(id, now = Date.now()) {
+    const day = dayOf(now);
+    return parseDay(day, await redis.hgetall(usageKey(id, day)));
+  }
+
+  // Most recent `days` days, newest first (days without usage are zeros)
+  async function history(id, days = 7, now = Date.now()) {
+    const dates = Array.from({ length: days }, (_, i) => dayOf(now - i * DAY_MS));
+    const hashes = await Promise.all(dates.map(day => redis.hgetall(usageKey(id, day))));
+    return dates.map((day, i) => parseDay(day, hashes[i]));
+  }
+
+  return { record, today, history, costMicroUsd, priceOf };
+}
+
+module.exports = { createUsageTracker, loadPrices, overDailyCap, dayOf, DEFAULT_PRICES };
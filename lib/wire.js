@@ -0,0 +1,63 @@
+/**
+ * Server -> client frame encoding.
+ * - Connections start with JSON text frames; { type: "set_encoding", encoding: "msgpack" } switches
+ *   them to binary MessagePack frames of the form [type, fields] (the client -> server v2 shape)
+ * - In binary frames match snapshots (`state` of match_state / spectate_joined) are packed into
+ *   an integer array in SNAPSHOT_FIELDS order, positions and velocities in tenths of a pixel
+ * - A message is serialized at most once per encoding, however many sockets it goes to
+ */
+
+const msgpack = require('msgpack-lite');
+
+const ENCODINGS = ['json', 'msgpack'];
+const SNAPSHOT_FIELDS = ['ballX', 'ballY', 'ballVx', 'ballVy', 'leftY', 'rightY', 'leftHeight', 'rightHeight', 'scoreLeft', 'scoreRight', 'running'];
+const SNAPSHOT_SCALE = 10;
+
+const q = (value) => Math.round(value * SNAPSHOT_SCALE);
+
+// Match snapshot (lib/physics.js snapshot) -> integer array
+function packSnapshot(state) {
+  return [
+    q(state.ball.x), q(state.ball.y), q(state.ball.vx), q(state.ball.vy),
+    q(state.leftPaddle.y), q(state.rightPaddle.y),
+    state.leftPaddle.height, state.rightPaddle.height,
+    state.score.left, state.score.right,
+    state.running ? 1 : 0
+  ];
+}
+
+// Inverse of packSnapshot (paddle x/width and ball radius are fixed, so they are not sent)
+function unpackSnapshot(packed) {
+  const [ballX, ballY, ballVx, ballVy, leftY, rightY, leftHeight, rightHeight, scoreLeft, scoreRight, running] = packed;
+  return {
+    ball: { x: ballX / SNAPSHOT_SCALE, y: ballY / SNAPSHOT_SCALE, vx: ballVx / SNAPSHOT_SCALE, vy: ballVy / SNAPSHOT_SCALE },
+    leftPaddle: { y: leftY / SNAPSHOT_SCALE, height: leftHeight },
+    rightPaddle: { y: rightY / SNAPSHOT_SCALE, height: rightHeight },
+    score: { left: scoreLeft, right: scoreRight },
+    running: running === 1
+  };
+}
+
+function toBinary(message) {
+  const { type, ...fields } = message;
+  if (fields.state && fields.state.ball && fields.state.score && 'left' in fields.state.score) {
+    fields.state = packSnapshot(fields.state);
+  }
+  return msgpack.encode([type, fields]);
+}
+
+// Encoded message cache: the same object broadcast to a room is serialized once per encoding
+function createFrameEncoder() {
+  const cache = new WeakMap();
+  return function encode(message, encoding) {
+    let entry = cache.get(message);
+    if (!entry) {
+      entry = {};
+      cache.set(message, entry);
+    }
+    if (!entry[encoding]) entry[encoding] = encoding === 'msgpack' ? toBinary(message) : JSON.stringify(message);
+    return entry[encoding];
+  };
+}
+
+module.exports = { ENCODINGS, SNAPSHOT_FIELDS, packSnapshot, unpackSnapshot, createFrameEncoder };
@@ -1,9 +1,21 @@
 /**
  * Browser client:
  * - Plays Pong locally
- * - Connects to server with WS subprotocol ['pong-proto.v1', <JWT>]
+ * - Login/register form: short-lived access JWT (used for WS + API) and a rotating refresh
+ *   token kept in localStorage; the access token is refreshed before it expires
+ * - Connects to server with WS subprotocols ['pong-proto.v2', 'pong-proto.v1', <JWT>]; the server picks the
+ *   newest it supports (v2: typed errors, any message as MessagePack [type, fields])
  * - Sends state as MessagePack binary ["state", state] when msgpack is available
  * - Handles commentary_chunk, commentary, control, coach messages
+ * - control { type: 'adjust' } levers (validated server-side): aiSpeed, aiError, ballSpeedCap, paddleHeight, serveDirection
+ * - Online 1v1: server owns the physics; we only send our paddle target ("input")
+ *   and render the authoritative match_state snapshots
+ * - Lobby: quick match, create/join (by code) rooms, ready up, room lifecycle events
+ * - Spectating: watch any room read-only (snapshots + the match's shared commentary)
+ * - Leaderboard panel and own profile from the HTTP API (Bearer = the same JWT); rating_update after rated matches
+ * - Replay mode: loads /api/matches/:id/replay (MessagePack) and plays it through draw() with
+ *   pause, seek, speed and commentary captions on the same timeline
+ * - match_report { report } after an online match (zones, rallies, heatmap, reaction times, narrative)
  *
  * Note: msgpack runtime is loaded from unpkg in index.html (window.MsgPack)
  */
@@ -20,7 +32,16 @@
   const ball = { x: W/2, y: H/2, r: 8, vx: 0, vy: 0, speed: 5 };
 
   let playerScore = 0, aiScore = 0;
+  // Levers the server may adjust through `control` messages
+  let ballSpeedCap = 12;
+  let serveDirection = 'auto'; // auto | player | computer
+  let aiError = 0; // max px the computer aims off the ball (re-rolled each time the ball heads its way)
+  let aiAimOffset = 0, aiAimRolled = false;
   let running = false, lastTime = 0;
+  let overlayText = 'Click to Play / Resume';
+  // Online match: { roomId, side, code, status, spectator } while seated in (or watching) a server room, else null
+  let online = null;
+  function myPaddle(){ return online?.side === 'right' ? rightPaddle : leftPaddle; }
   const keys = { ArrowUp: false, ArrowDown: false };
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
   function resetBall(direction=null){
@@ -35,13 +56,19 @@
   canvas.addEventListener('mousemove', (e) => {
     const rect = canvas.getBoundingClientRect();
     const y = e.clientY - rect.top;
-    leftPaddle.y = clamp(y - leftPaddle.height/2, 0, H - leftPaddle.height);
+    if (online?.spectator || replay) return;
+    const p = myPaddle();
+    p.y = clamp(y - p.height/2, 0, H - p.height);
   });
   window.addEventListener('keydown', (e) => { if (e.code === 'ArrowUp' || e.code === 'ArrowDown') { keys[e.code] = true; e.preventDefault(); }});
   window.addEventListener('keyup', (e) => { if (e.code === 'ArrowUp' || e.code === 'ArrowDown') { keys[e.code] = false; e.preventDefault(); }});
-  canvas.addEventListener('click', () => { if (!running) { running = true; serve(); lastTime = performance.now(); requestAnimationFrame(loop);} else running = false; });
+  canvas.addEventListener('click', () => { if (online || replay) return; if (!running) { running = true; serve(); lastTime = performance.now(); requestAnimationFrame(loop);} else running = false; });
 
-  function serve(){ if(playerScore===0 && aiScore===0) resetBall(Math.random()>0.5?1:-1); else resetBall(playerScore>aiScore?1:-1); }
+  function serve(){
+    if (serveDirection === 'player') resetBall(-1);
+    else if (serveDirection === 'computer') resetBall(1);
+    else if(playerScore===0 && aiScore===0) resetBall(Math.random()>0.5?1:-1); else resetBall(playerScore>aiScore?1:-1);
+  }
 
   function circleRectCollision(cx,cy,r,rx,ry,rw,rh){
     const closestX = clamp(cx, rx, rx+rw);
@@ -55,8 +82,10 @@
     if (keys.ArrowDown) leftPaddle.y += paddleSpeed;
     leftPaddle.y = clamp(leftPaddle.y, 0, H - leftPaddle.height);
 
+    if (ball.vx > 0 && !aiAimRolled) { aiAimOffset = (Math.random()*2 - 1) * aiError; aiAimRolled = true; }
+    else if (ball.vx < 0) aiAimRolled = false;
     const aiCenter = rightPaddle.y + rightPaddle.height/2;
-    const delta = ball.y - aiCenter;
+    const delta = (ball.y + aiAimOffset) - aiCenter;
     const aiMaxMove = rightPaddle.speed;
     let move = clamp(delta * 0.12, -aiMaxMove, aiMaxMove);
     if (Math.abs(delta) < 5) move = 0;
@@ -71,7 +100,7 @@
       ball.x = leftPaddle.x + leftPaddle.width + ball.r + 0.1;
       const relativeY = (ball.y - (leftPaddle.y + leftPaddle.height/2)) / (leftPaddle.height/2);
       const bounceAngle = relativeY * (Math.PI/4);
-      const speed = Math.min(12, Math.hypot(ball.vx, ball.vy) * 1.05);
+      const speed = Math.min(ballSpeedCap, Math.hypot(ball.vx, ball.vy) * 1.05);
       ball.vx = Math.abs(Math.cos(bounceAngle) * speed);
       ball.vy = Math.sin(bounceAngle) * speed;
     }
@@ -79,7 +108,7 @@
       ball.x = rightPaddle.x - ball.r - 0.1;
       const relativeY = (ball.y - (rightPaddle.y + rightPaddle.height/2)) / (rightPaddle.height/2);
       const bounceAngle = relativeY * (Math.PI/4);
-      const speed = Math.min(12, Math.hypot(ball.vx, ball.vy) * 1.05);
+      const speed = Math.min(ballSpeedCap, Math.hypot(ball.vx, ball.vy) * 1.05);
       ball.vx = -Math.abs(Math.cos(bounceAngle) * speed);
       ball.vy = Math.sin(bounceAngle) * speed;
     }
@@ -102,11 +131,12 @@
     ctx.fillStyle = '#cfead1'; ctx.font = '28px system-ui'; ctx.textAlign = 'center'; ctx.fillText(playerScore, W/2 - 60, 40); ctx.fillText(aiScore, W/2 + 60, 40);
     if (!running) {
       ctx.fillStyle = 'rgba(2,6,23,0.6)'; ctx.fillRect(W/2-180, H/2-50, 360, 100);
-      ctx.fillStyle = '#fff'; ctx.textAlign = 'center'; ctx.font = '20px system-ui'; ctx.fillText('Click to Play / Resume', W/2, H/2-8);
+      ctx.fillStyle = '#fff'; ctx.textAlign = 'center'; ctx.font = '20px system-ui'; ctx.fillText(overlayText, W/2, H/2-8);
     }
   }
 
   function loop(timestamp){
+    if (replay) return; // replay mode drives the canvas
     if (!running) { draw(); return; }
     const dt = (timestamp - lastTime) / (1000 / 60);
     lastTime = timestamp;
@@ -116,15 +146,136 @@
   }
   draw();
 
+  // Online loop: local prediction for our own paddle only, everything else comes from snapshots
+  function onlineLoop(){
+    if (!online) return;
+    if (!online.spectator) {
+      const p = myPaddle();
+      if (keys.ArrowUp) p.y -= paddleSpeed;
+      if (keys.ArrowDown) p.y += paddleSpeed;
+      p.y = clamp(p.y, 0, H - p.height);
+    }
+    draw();
+    requestAnimationFrame(onlineLoop);
+  }
+
+  function applyMatchState(state){
+    Object.assign(ball, state.ball);
+    leftPaddle.height = state.leftPaddle.height; rightPaddle.height = state.rightPaddle.height;
+    if (online?.spectator) {
+      leftPaddle.y = state.leftPaddle.y; rightPaddle.y = state.rightPaddle.y;
+    } else {
+      const opponent = online?.side === 'right' ? leftPaddle : rightPaddle;
+      opponent.y = state[online?.side === 'right' ? 'leftPaddle' : 'rightPaddle'].y;
+    }
+    if (playerScore !== state.score.left || aiScore !== state.score.right) {
+      playerScore = state.score.left; aiScore = state.score.right; updateScoreUI();
+    }
+    running = state.running;
+    if (!running) overlayText = 'Get ready…';
+  }
+
+  function enterOnline(roomId, side, code, status = 'waiting'){
+    if (replay) exitReplay();
+    const wasOnline = !!online; // a resumed session is already drawing
+    running = false;
+    lastSentInputY = null;
+    online = { roomId, side, code, status };
+    playerScore = 0; aiScore = 0; updateScoreUI();
+    leftLabelEl.textContent = side === 'left' ? 'You' : 'Opponent';
+    rightLabelEl.textContent = side === 'right' ? 'You' : 'Opponent';
+    overlayText = 'Waiting for opponent…';
+    updateLobbyUI();
+    if (!wasOnline) requestAnimationFrame(onlineLoop);
+  }
+
+  function enterSpectator(room, state){
+    if (replay) exitReplay();
+    const wasOnline = !!online;
+    running = false;
+    online = { roomId: room.id, side: null, code: null, status: room.status, spectator: true };
+    playerScore = 0; aiScore = 0; updateScoreUI();
+    leftLabelEl.textContent = room.players.left || 'Left';
+    rightLabelEl.textContent = room.players.right || 'Right';
+    overlayText = room.status === 'playing' ? 'Get ready…' : 'Waiting for the match…';
+    if (state) applyMatchState(state);
+    updateLobbyUI();
+    if (!wasOnline) requestAnimationFrame(onlineLoop);
+  }
+
+  function exitOnline(message){
+    online = null;
+    running = false;
+    playerScore = 0; aiScore = 0; updateScoreUI();
+    leftLabelEl.textContent = 'Player'; rightLabelEl.textContent = 'Computer';
+    overlayText = 'Click to Play / Resume';
+    updateLobbyUI();
+    resetBall();
+    if (message) appendCommentary(message);
+    draw();
+  }
+
   // UI & commentary
   const commentaryEl = document.getElementById('commentary');
   const playerScoreEl = document.getElementById('playerScore');
   const aiScoreEl = document.getElementById('aiScore');
   const toggleCoachBtn = document.getElementById('toggleCoach');
+  const coachInput = document.getElementById('coachInput');
+  const coachAskBtn = document.getElementById('coachAskBtn');
+  const coachAnswerEl = document.getElementById('coachAnswer');
+  const providerSelect = document.getElementById('providerSelect');
+  const settingSelects = {
+    persona: document.getElementById('personaSelect'),
+    language: document.getElementById('languageSelect'),
+    verbosity: document.getElementById('verbositySelect'),
+    coachFocus: document.getElementById('coachFocusSelect')
+  };
+  const skillDebugBtn = document.getElementById('skillDebug');
   const muteBtn = document.getElementById('muteTts');
-  const tokenInput = document.getElementById('tokenInput');
+  const usernameInput = document.getElementById('usernameInput');
+  const passwordInput = document.getElementById('passwordInput');
+  const loginBtn = document.getElementById('loginBtn');
+  const registerBtn = document.getElementById('registerBtn');
+  const logoutBtn = document.getElementById('logoutBtn');
+  const authStatusEl = document.getElementById('authStatus');
+  const connQualityEl = document.getElementById('connQuality');
   const connectBtn = document.getElementById('connectBtn');
-  const getTokenBtn = document.getElementById('getTokenBtn');
+  const quickMatchBtn = document.getElementById('quickMatchBtn');
+  const createRoomBtn = document.getElementById('createRoomBtn');
+  const privateRoomInput = document.getElementById('privateRoom');
+  const joinCodeInput = document.getElementById('joinCodeInput');
+  const joinCodeBtn = document.getElementById('joinCodeBtn');
+  const watchCodeBtn = document.getElementById('watchCodeBtn');
+  const refreshRoomsBtn = document.getElementById('refreshRoomsBtn');
+  const readyBtn = document.getElementById('readyBtn');
+  const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+  const roomListEl = document.getElementById('roomList');
+  const roomStatusEl = document.getElementById('roomStatus');
+  const leftLabelEl = document.getElementById('leftLabel');
+  const rightLabelEl = document.getElementById('rightLabel');
+  const leaderboardListEl = document.getElementById('leaderboardList');
+  const myProfileEl = document.getElementById('myProfile');
+  const refreshLeaderboardBtn = document.getElementById('refreshLeaderboardBtn');
+  const replayIdInput = document.getElementById('replayIdInput');
+  const loadReplayBtn = document.getElementById('loadReplayBtn');
+  const replayPlayBtn = document.getElementById('replayPlayBtn');
+  const replaySpeedSelect = document.getElementById('replaySpeed');
+  const replayExitBtn = document.getElementById('replayExitBtn');
+  const replaySeek = document.getElementById('replaySeek');
+  const replayTimeEl = document.getElementById('replayTime');
+
+  // Apply the levers present in an `adjust` control (the server already announces it in the feed)
+  function applyControl(control){
+    if (typeof control.aiSpeed === 'number') rightPaddle.speed = control.aiSpeed;
+    if (typeof control.aiError === 'number') aiError = control.aiError;
+    if (typeof control.ballSpeedCap === 'number') ballSpeedCap = control.ballSpeedCap;
+    if (typeof control.paddleHeight === 'number') {
+      const center = leftPaddle.y + leftPaddle.height/2;
+      leftPaddle.height = control.paddleHeight;
+      leftPaddle.y = clamp(center - leftPaddle.height/2, 0, H - leftPaddle.height);
+    }
+    if (['auto', 'player', 'computer'].includes(control.serveDirection)) serveDirection = control.serveDirection;
+  }
 
   function updateScoreUI(){ playerScoreEl.textContent = playerScore; aiScoreEl.textContent = aiScore; }
   updateScoreUI();
@@ -132,44 +283,240 @@
   // TTS
   let ttsEnabled = true; const synth = window.speechSynthesis;
   muteBtn.addEventListener('click', ()=>{ ttsEnabled = !ttsEnabled; muteBtn.textContent = ttsEnabled ? 'Mute TTS' : 'Unmute TTS'; });
-  function speak(text){ if (!ttsEnabled || !synth) return; try { synth.cancel(); const u = new SpeechSynthesisUtterance(text); u.rate = 1; synth.speak(u); } catch (e) {} }
+  // Commentary settings from the server: the chosen language picks the voice, the persona its rate/pitch
+  let settings = null; let settingOptions = null;
+  function settingOption(field){
+    return settings && settingOptions ? settingOptions[field].find(o => o.id === settings[field]) : null;
+  }
+  function pickVoice(tag){
+    const voices = synth.getVoices();
+    const lang = tag.split('-')[0];
+    return voices.find(v => v.lang === tag) || voices.find(v => v.lang.replace('_', '-').split('-')[0] === lang) || null;
+  }
+  function speak(text){
+    if (!ttsEnabled || !synth) return;
+    try {
+      synth.cancel();
+      const u = new SpeechSynthesisUtterance(text);
+      const language = settingOption('language'); const persona = settingOption('persona');
+      u.rate = persona ? persona.voice.rate : 1;
+      u.pitch = persona ? persona.voice.pitch : 1;
+      if (language) { u.lang = language.tts; const voice = pickVoice(language.tts); if (voice) u.voice = voice; }
+      synth.speak(u);
+    } catch (e) {}
+  }
 
-  // WebSocket
+  // Server frames: binary ones are MessagePack [type, fields]; match snapshots inside them are
+  // integer arrays in this order, positions/velocities in tenths of a pixel (lib/wire.js)
+  const SNAPSHOT_FIELDS = ['ballX', 'ballY', 'ballVx', 'ballVy', 'leftY', 'rightY', 'leftHeight', 'rightHeight', 'scoreLeft', 'scoreRight', 'running'];
+  function unpackSnapshot(packed){
+    const f = {}; SNAPSHOT_FIELDS.forEach((name, i) => { f[name] = packed[i]; });
+    return {
+      ball: { x: f.ballX / 10, y: f.ballY / 10, vx: f.ballVx / 10, vy: f.ballVy / 10 },
+      leftPaddle: { y: f.leftY / 10, height: f.leftHeight },
+      rightPaddle: { y: f.rightY / 10, height: f.rightHeight },
+      score: { left: f.scoreLeft, right: f.scoreRight },
+      running: f.running === 1
+    };
+  }
+  function decodeServerFrame(data){
+    if (typeof data === 'string') return JSON.parse(data);
+    const [type, fields] = window.MsgPack.decode(new Uint8Array(data));
+    const payload = Object.assign({}, fields, { type });
+    if (Array.isArray(payload.state)) payload.state = unpackSnapshot(payload.state);
+    return payload;
+  }
+
+  // WebSocket. A dropped connection is retried with exponential backoff (plus jitter) and resumes
+  // its server session (seat, coach, recent lines) if it comes back within the grace window
   let ws = null;
+  let sessionId = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  const RECONNECT_BASE_MS = 500;
+  const RECONNECT_MAX_MS = 30000;
+
+  // Connection indicator: offline, reconnecting, or the quality from the server's latency messages
+  function showConnection(text, quality = ''){
+    connQualityEl.textContent = text;
+    connQualityEl.className = `conn-quality ${quality}`.trim();
+  }
+
+  function scheduleReconnect(){
+    clearTimeout(reconnectTimer);
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+    reconnectAttempts += 1;
+    reconnectTimer = setTimeout(() => { if (accessToken) connectWebSocket(accessToken); }, delay + Math.random() * delay * 0.3);
+    appendCommentary(`[WS] reconnecting in ${(delay / 1000).toFixed(1)}s…`);
+  }
+
   function connectWebSocket(token) {
-    if (ws && ws.readyState === WebSocket.OPEN) ws.close();
+    clearTimeout(reconnectTimer);
+    if (ws) { ws.onclose = null; ws.close(); } // replaced on purpose: the new socket resumes its session
     const wsProtocol = location.protocol === 'https:' ? 'wss' : 'ws';
-    const url = `${wsProtocol}://${location.host}/ws`;
+    const url = `${wsProtocol}://${location.host}/ws${sessionId ? `?resume=${encodeURIComponent(sessionId)}` : ''}`;
     try {
-      ws = new WebSocket(url, ['pong-proto.v1', token]);
+      // newest protocol first; the server picks the newest it supports
+      ws = new WebSocket(url, ['pong-proto.v2', 'pong-proto.v1', token]);
     } catch (e) {
       appendCommentary('[ws connect failed]');
       return;
     }
     ws.binaryType = 'arraybuffer';
 
-    ws.onopen = () => appendCommentary('[WS connected]');
-    ws.onclose = () => appendCommentary('[WS disconnected]');
+    ws.onopen = () => { appendCommentary('[WS connected]'); showConnection('connected'); };
+    ws.onclose = (ev) => {
+      appendCommentary('[WS disconnected]');
+      queued = false;
+      coachAsking = false;
+      // kicked or logged out: nothing to resume
+      if (ev.code === 4001 || !accessToken) {
+        sessionId = null;
+        showConnection('offline');
+        if (online) exitOnline(); else updateLobbyUI();
+        return;
+      }
+      if (online) { running = false; overlayText = 'Reconnecting…'; }
+      updateLobbyUI();
+      showConnection('reconnecting…', 'poor');
+      scheduleReconnect();
+    };
     ws.onerror = () => appendCommentary('[WS error]');
 
     ws.onmessage = (ev) => {
-      // Expect JSON text messages from server
+      // JSON text frames, or binary MessagePack once we opted in (both may arrive around the switch)
       let payload;
-      try { payload = JSON.parse(ev.data); } catch (e) { appendCommentary(ev.data); return; }
+      try { payload = decodeServerFrame(ev.data); } catch (e) { appendCommentary(String(ev.data)); return; }
       if (payload.type === 'commentary_chunk') {
         appendCommentary(payload.text, true);
       } else if (payload.type === 'commentary') {
-        appendCommentary(payload.text);
+        const node = appendCommentary(payload.text);
+        if (!/^[[(]/.test(payload.text)) addReportButton(node, 'commentary', payload.text); // not for server notices
       } else if (payload.type === 'control') {
-        if (payload.control?.type === 'aiAdjust') {
-          rightPaddle.speed = payload.control.aiSpeed;
-          appendCommentary(`(AI speed set to ${payload.control.aiSpeed})`);
-        }
+        if (payload.control?.type === 'adjust') applyControl(payload.control);
+      } else if (payload.type === 'skill_model') {
+        const m = payload.model;
+        if (!payload.enabled || !m) appendCommentary('[skill] adaptive difficulty is off');
+        else appendCommentary(`[skill] skill ${m.skill} · win rate ${m.stats.recentWinRate} (target ${m.targetWinRate}) · return rate ${m.stats.returnRate ?? '-'} · reaction ${m.stats.avgReactionMs ?? '-'}ms · rally ${m.stats.avgRally ?? '-'} · miss ${m.stats.avgMissDistance ?? '-'}px → AI speed ${m.difficulty.aiSpeed}, aim error ${m.difficulty.aiError}px`);
+      } else if (payload.type === 'coach_status') {
+        coachEnabled = !!payload.enabled;
+        toggleCoachBtn.textContent = coachEnabled ? 'Disable Coach' : 'Enable Coach';
+        coachLocked = !!payload.locked;
+        updateLobbyUI();
+        if (coachLocked) appendCommentary('[server] coach disabled by an admin');
+      } else if (payload.type === 'coach_chunk') {
+        // the answer streams into the box under the chat input
+        if (payload.id !== coachAnswerId) { coachAnswerId = payload.id; coachAnswerEl.textContent = ''; }
+        coachAnswerEl.textContent += payload.text;
+      } else if (payload.type === 'coach_answer') {
+        coachAnswerId = payload.id;
+        coachAnswerEl.textContent = payload.text;
+        const node = appendCommentary(`[Coach] ${payload.text}`);
+        if (!payload.text.startsWith('[')) addReportButton(node, 'coach_answer', payload.text);
+        setCoachAsking(false);
+      } else if (payload.type === 'error') {
+        // pong-proto.v2 errors are typed: { code, message, ref?, path? }
+        if (payload.code === 'rate_limited' && payload.ref === 'state') return; // the next state supersedes it
+        if (payload.ref === 'coach_ask') setCoachAsking(false);
+        appendCommentary(`[error${payload.code ? ' ' + payload.code : ''}] ${payload.message}`);
+      } else if (payload.type === 'kicked') {
+        appendCommentary(`[server] disconnected by an admin: ${payload.reason}`);
       } else if (payload.type === 'coach') {
-        appendCommentary(`[Coach] ${payload.text}`);
+        const node = appendCommentary(`[Coach] ${payload.text}`);
+        if (!payload.text.startsWith('[')) addReportButton(node, 'coach', payload.text);
         speak(payload.text);
+      } else if (payload.type === 'report_received') {
+        appendCommentary('[server] thanks, the line was reported for review', false, true);
       } else if (payload.type === 'welcome') {
-        appendCommentary('[server] connected');
+        appendCommentary(`[server] connected (${payload.protocol || 'pong-proto.v1'}${payload.tier ? `, ${payload.tier.name} tier` : ''})`);
+        me = payload.user?.sub || null;
+        reconnectAttempts = 0;
+        sessionId = payload.session?.id || null;
+        if (payload.session && !payload.session.resumed && online) exitOnline('[WS] session expired, match left');
+        myRole = payload.user?.role || 'player';
+        updateLobbyUI();
+        renderProviders(payload.providers || [], payload.provider);
+        loadLeaderboard();
+        inputSeq = 0;
+        startStateSender(payload.stream, payload.protocol);
+        // binary server frames are smaller and cheaper to parse at snapshot rate
+        if ((payload.encodings || []).includes('msgpack') && window.MsgPack && window.MsgPack.decode) {
+          ws.send(JSON.stringify({ type: 'set_encoding', encoding: 'msgpack' }));
+        }
+      } else if (payload.type === 'session_resumed') {
+        coachEnabled = !!payload.coachEnabled;
+        coachLocked = !!payload.coachLocked;
+        toggleCoachBtn.textContent = coachEnabled ? 'Disable Coach' : 'Enable Coach';
+        updateLobbyUI();
+        for (const line of payload.history || []) appendCommentary(`${line.kind === 'coach' ? '[Coach] ' : ''}${line.text}`, false, true);
+        appendCommentary('[WS] session resumed');
+      } else if (payload.type === 'settings') {
+        renderSettings(payload.settings, payload.options);
+      } else if (payload.type === 'latency') {
+        showConnection(`${payload.quality} · ${payload.rttMs} ms ±${payload.jitterMs}`, payload.quality);
+        connQualityEl.title = `Round trip ${payload.rttMs} ms, jitter ${payload.jitterMs} ms; state sent at ${payload.stateHz} Hz`;
+        retuneStateSender(payload.stateHz);
+      } else if (payload.type === 'state_resync') {
+        if (stream) stream.needKey = true; // our keyframe was lost: send a fresh one
+      } else if (payload.type === 'encoding_status') {
+        appendCommentary(`[server] messages encoded as ${payload.encoding}`);
+      } else if (payload.type === 'provider_status') {
+        providerSelect.value = payload.provider;
+        if (payload.reason === 'budget') appendCommentary('[server] daily AI budget used up: simulated commentary until tomorrow (UTC)');
+        else appendCommentary(`[server] commentary provider: ${payload.provider}`);
+      } else if (payload.type === 'room_joined') {
+        queued = false;
+        enterOnline(payload.room.id, payload.side, payload.code, payload.resumed ? payload.room.status : 'waiting');
+        if (payload.resumed) appendCommentary(`[lobby] back in "${payload.room.name}" as ${payload.side}`);
+        else appendCommentary(`[lobby] joined "${payload.room.name}" as ${payload.side} (code ${payload.code})`);
+      } else if (payload.type === 'spectate_joined') {
+        queued = false;
+        enterSpectator(payload.room, payload.state);
+        appendCommentary(`[lobby] watching "${payload.room.name}"`);
+      } else if (payload.type === 'room_closed') {
+        if (online) exitOnline('[lobby] room closed');
+      } else if (payload.type === 'room_event') {
+        handleRoomEvent(payload);
+      } else if (payload.type === 'room_list') {
+        renderRoomList(payload.rooms);
+      } else if (payload.type === 'quick_match_queued') {
+        queued = true;
+        updateLobbyUI();
+        appendCommentary(`[lobby] waiting for an opponent (queue position ${payload.position})`);
+      } else if (payload.type === 'match_state') {
+        if (online && payload.roomId === online.roomId) applyMatchState(payload.state);
+      } else if (payload.type === 'match_point') {
+        if (online?.spectator) appendCommentary(`[match] point to ${payload.scorer} (${payload.score.left}-${payload.score.right})`);
+        else if (online) appendCommentary(`[match] point to ${payload.scorer === online.side ? 'you' : 'opponent'} (${payload.score.left}-${payload.score.right})`);
+      } else if (payload.type === 'match_end') {
+        replayIdInput.value = payload.roomId;
+        const how = payload.reason === 'forfeit' ? ' by forfeit' : '';
+        if (online?.spectator) {
+          exitOnline(`[match] ${payload.players[payload.winner] || payload.winner} wins${how} ${payload.score.left}-${payload.score.right}`);
+        } else {
+          const won = online && payload.winner === online.side;
+          exitOnline(`[match] ${won ? 'You win' : 'You lose'}${how} ${payload.score.left}-${payload.score.right}`);
+        }
+      } else if (payload.type === 'rating_update') {
+        for (const side of ['left', 'right']) {
+          const r = payload.ratings[side];
+          const who = payload.players[side] === me ? 'you' : payload.players[side];
+          appendCommentary(`[rating] ${who}: ${r.before} → ${r.after}`);
+        }
+        loadLeaderboard();
+      } else if (payload.type === 'match_report') {
+        const r = payload.report;
+        for (const side of ['left', 'right']) {
+          const st = r.sides[side];
+          const lost = Object.entries(st.pointsLostByZone).map(([zone, n]) => `${zone} ${n}`).join(' / ');
+          appendCommentary(`[report] ${r.players[side] || side}: points lost ${lost} · reaction ${st.reactionMs.avg ?? '-'}ms`);
+        }
+        appendCommentary(`[report] rallies avg ${r.rallies.avg ?? 0}, longest ${r.rallies.longest} — ${r.narrative}`);
+        appendCommentary(`[report] saved as ${r.id} (GET /api/matches/${r.id}/report)`);
+      } else if (payload.type === 'room_left') {
+        if (online) exitOnline('[lobby] left room');
+        queued = false;
+        updateLobbyUI();
       } else {
         appendCommentary(JSON.stringify(payload));
       }
@@ -177,39 +524,87 @@
   }
 
   connectBtn.addEventListener('click', () => {
-    const token = tokenInput.value.trim();
-    if (!token) return alert('Paste a JWT token in the input first.');
-    connectWebSocket(token);
+    if (!accessToken) return alert('Log in first.');
+    connectWebSocket(accessToken);
   });
 
-  getTokenBtn.addEventListener('click', async () => {
-    const adminKey = prompt('Enter server ADMIN_KEY to mint a dev JWT (for dev only):');
-    if (!adminKey) return;
+  // Accounts: the access token lives in memory only, the refresh token survives reloads
+  const REFRESH_STORAGE_KEY = 'pong.refreshToken';
+  let accessToken = null;
+  let account = null;
+  let refreshTimer = null;
+
+  function setSession(session){
+    clearTimeout(refreshTimer);
+    accessToken = session ? session.accessToken : null;
+    account = session ? session.user : null;
+    if (session) {
+      localStorage.setItem(REFRESH_STORAGE_KEY, session.refreshToken);
+      // refresh a little before the access token expires
+      refreshTimer = setTimeout(refreshSession, Math.max(5, session.expiresIn * 0.8) * 1000);
+    } else {
+      localStorage.removeItem(REFRESH_STORAGE_KEY);
+    }
+    authStatusEl.textContent = account ? `Logged in as ${account.username}` : 'Not logged in';
+    loginBtn.disabled = registerBtn.disabled = !!account;
+    logoutBtn.disabled = connectBtn.disabled = !account;
+  }
+
+  async function authPost(path, body, token){
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const resp = await fetch(path, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+    const j = resp.status === 204 ? {} : await resp.json().catch(() => ({}));
+    return resp.ok ? j : { error: j.error || `HTTP ${resp.status}` };
+  }
+
+  async function refreshSession(){
+    const refreshToken = localStorage.getItem(REFRESH_STORAGE_KEY);
+    if (!refreshToken) return false;
+    const session = await authPost('/auth/refresh', { refreshToken }).catch(() => ({ error: 'network error' }));
+    if (session.error) { setSession(null); appendCommentary(`[auth] session expired: ${session.error}`); return false; }
+    setSession(session);
+    return true;
+  }
+
+  async function loginOrRegister(path){
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+    if (!username || !password) return alert('Enter a username and password.');
     try {
-      const resp = await fetch('/auth/token', {
-        method: 'POST',
-        headers: {'Content-Type':'application/json'},
-        body: JSON.stringify({ adminKey })
-      });
-      const j = await resp.json();
-      if (j.token) {
-        tokenInput.value = j.token;
-        alert('Token minted and pasted into input. Click Connect WS.');
-      } else {
-        alert('Failed to mint token: ' + JSON.stringify(j));
-      }
+      const session = await authPost(path, { username, password });
+      if (session.error) return alert(session.error);
+      passwordInput.value = '';
+      setSession(session);
+      connectWebSocket(accessToken);
     } catch (e) {
-      alert('Error requesting token: ' + e.message);
+      alert('Login failed: ' + e.message);
     }
+  }
+
+  loginBtn.addEventListener('click', () => loginOrRegister('/auth/login'));
+  registerBtn.addEventListener('click', () => loginOrRegister('/auth/register'));
+  passwordInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') loginOrRegister('/auth/login'); });
+  logoutBtn.addEventListener('click', async () => {
+    const refreshToken = localStorage.getItem(REFRESH_STORAGE_KEY);
+    try { await authPost('/auth/logout', { refreshToken }, accessToken); } catch (e) {}
+    setSession(null);
+    if (ws) ws.close(1000, 'logout'); // a normal close ends the server session too
+    appendCommentary('[auth] logged out');
   });
 
-  function appendCommentary(text, incremental=false) {
+  setSession(null);
+  if (localStorage.getItem(REFRESH_STORAGE_KEY)) {
+    refreshSession().then((ok) => { if (ok) connectWebSocket(accessToken); });
+  }
+
+  function appendCommentary(text, incremental=false, quiet=false) {
     if (!text) return;
     const t = new Date().toLocaleTimeString();
     if (incremental) {
       const last = commentaryEl.lastElementChild;
       if (last && last.dataset?.inc === '1') {
-        last.innerHTML += text;
+        last.appendChild(document.createTextNode(text)); // model text: never parsed as HTML
         commentaryEl.scrollTop = commentaryEl.scrollHeight;
         return;
       }
@@ -218,35 +613,468 @@
     } else {
       const node = document.createElement('div'); node.dataset.inc = '0'; node.innerHTML = `<small style="opacity:0.6">${t}</small> ${escapeHtml(text)}`; commentaryEl.appendChild(node);
       commentaryEl.scrollTop = commentaryEl.scrollHeight;
-      speak(text);
+      if (!quiet) speak(text);
+      return node;
     }
   }
+  // Flag a model-written line as inappropriate (logged on the server for review)
+  function addReportButton(node, kind, text){
+    if (!node) return;
+    const btn = document.createElement('button');
+    btn.className = 'report-line'; btn.textContent = '⚑'; btn.title = 'Report this line';
+    btn.addEventListener('click', () => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) return;
+      const reason = window.prompt('What is wrong with this line? (optional)');
+      if (reason === null) return;
+      ws.send(JSON.stringify({ type: 'report_line', kind, text, reason: reason.slice(0, 200) || undefined }));
+      btn.disabled = true; btn.textContent = 'reported';
+    });
+    node.appendChild(btn);
+  }
   function escapeHtml(s) { return String(s).replace(/[&<>"]/g, (c)=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
 
-  // Periodically send state as MessagePack (array ["state", state]) if msgpack available, otherwise JSON
+  // Solo state to the server. When the welcome message offers a stream: quantized keyframe/delta
+  // frames at the offered rate (see lib/stateStream.js); otherwise a full state every STATE_SEND_MS
   const STATE_SEND_MS = 800;
-  setInterval(() => {
-    if (!ws || ws.readyState !== WebSocket.OPEN) return;
-    const state = {
+  // [name, scale] in wire order; must match STREAM_FIELDS in lib/stateStream.js
+  const STREAM_FIELDS = [
+    ['ballX', 10], ['ballY', 10], ['ballVx', 100], ['ballVy', 100], ['ballR', 1],
+    ['leftX', 1], ['leftY', 10], ['leftWidth', 1], ['leftHeight', 1],
+    ['rightX', 1], ['rightY', 10], ['rightWidth', 1], ['rightHeight', 1], ['rightSpeed', 100],
+    ['scorePlayer', 1], ['scoreAi', 1], ['running', 1]
+  ];
+  let stream = null; // { hz, maxHz, keyframeIntervalMs, binary, seq, key, keySeq, keyAt, last, needKey }
+  let stateTimer = null;
+
+  function currentState(){
+    return {
       ball: { x: ball.x, y: ball.y, vx: ball.vx, vy: ball.vy, r: ball.r },
       leftPaddle: { x: leftPaddle.x, y: leftPaddle.y, width: leftPaddle.width, height: leftPaddle.height },
       rightPaddle: { x: rightPaddle.x, y: rightPaddle.y, width: rightPaddle.width, height: rightPaddle.height, speed: rightPaddle.speed },
       score: { player: playerScore, ai: aiScore },
       running
     };
+  }
 
+  function quantizeState(){
+    const raw = {
+      ballX: ball.x, ballY: ball.y, ballVx: ball.vx, ballVy: ball.vy, ballR: ball.r,
+      leftX: leftPaddle.x, leftY: leftPaddle.y, leftWidth: leftPaddle.width, leftHeight: leftPaddle.height,
+      rightX: rightPaddle.x, rightY: rightPaddle.y, rightWidth: rightPaddle.width, rightHeight: rightPaddle.height, rightSpeed: rightPaddle.speed,
+      scorePlayer: playerScore, scoreAi: aiScore, running: running ? 1 : 0
+    };
+    return STREAM_FIELDS.map(([name, scale]) => Math.round((raw[name] || 0) * scale));
+  }
+
+  // [type, fields] as MessagePack on pong-proto.v2, JSON otherwise
+  function sendFrame(type, fields){
+    if (stream && stream.binary) ws.send(window.MsgPack.encode([type, fields]));
+    else ws.send(JSON.stringify(Object.assign({ type }, fields)));
+  }
+
+  function sendLegacyState(){
+    const state = currentState();
     // prefer MessagePack using @msgpack/msgpack loaded into window.MsgPack
     try {
-      if (window.MsgPack && window.MsgPack.encode) {
-        const packed = window.MsgPack.encode(['state', state]);
-        ws.send(packed);
-      } else {
-        ws.send(JSON.stringify({ type: 'state', state }));
-      }
+      if (window.MsgPack && window.MsgPack.encode) ws.send(window.MsgPack.encode(['state', state]));
+      else ws.send(JSON.stringify({ type: 'state', state }));
     } catch (e) {
       ws.send(JSON.stringify({ type: 'state', state }));
     }
-  }, STATE_SEND_MS);
+  }
+
+  function sendState(){
+    if (!ws || ws.readyState !== WebSocket.OPEN || online || replay) return;
+    if (!stream) return sendLegacyState();
+    const values = quantizeState();
+    const now = performance.now();
+    const keyDue = !stream.key || stream.needKey || now - stream.keyAt >= stream.keyframeIntervalMs;
+    if (!keyDue && stream.last && values.every((v, i) => v === stream.last[i])) return; // nothing moved
+    stream.seq += 1;
+    stream.last = values;
+    if (keyDue) {
+      Object.assign(stream, { key: values, keySeq: stream.seq, keyAt: now, needKey: false });
+      sendFrame('state_key', { seq: stream.seq, k: values });
+      return;
+    }
+    // differences from the keyframe, not from the previous frame: a lost delta costs nothing
+    let mask = 0; const d = [];
+    values.forEach((v, i) => { if (v !== stream.key[i]) { mask |= 1 << i; d.push(v - stream.key[i]); } });
+    sendFrame('state_delta', { seq: stream.seq, base: stream.keySeq, mask, d });
+  }
+
+  function startStateSender(offer, protocol){
+    stream = offer ? {
+      hz: Math.max(1, Math.min(60, offer.hz)),
+      maxHz: Math.max(1, Math.min(60, offer.hz)), // the tier's rate; latency messages only go below it
+      keyframeIntervalMs: offer.keyframeIntervalMs,
+      binary: protocol === 'pong-proto.v2' && !!(window.MsgPack && window.MsgPack.encode),
+      seq: 0, key: null, keySeq: 0, keyAt: 0, last: null, needKey: true
+    } : null;
+    clearInterval(stateTimer);
+    stateTimer = setInterval(sendState, stream ? 1000 / stream.hz : STATE_SEND_MS);
+  }
+  startStateSender(null);
+
+  // The server lowers the stream rate on slow or jittery links; keyframes keep their own interval
+  function retuneStateSender(hz){
+    if (!stream || !hz) return;
+    hz = Math.max(1, Math.min(stream.maxHz, hz));
+    if (hz === stream.hz) return;
+    stream.hz = hz;
+    clearInterval(stateTimer);
+    stateTimer = setInterval(sendState, 1000 / hz);
+  }
+
+  // Online match: send our paddle target while seated (only when it changed)
+  const INPUT_SEND_MS = 33;
+  let lastSentInputY = null;
+  let inputSeq = 0; // lets the server drop inputs that arrive out of order
+  setInterval(() => {
+    if (!online || online.spectator || online.status !== 'playing' || !ws || ws.readyState !== WebSocket.OPEN) return;
+    const y = Math.round(myPaddle().y);
+    if (y === lastSentInputY) return;
+    lastSentInputY = y;
+    ws.send(JSON.stringify({ type: 'input', y, seq: ++inputSeq }));
+  }, INPUT_SEND_MS);
+
+  // Lobby
+  let queued = false;
+  let myRole = null; // spectator | player | admin, from the welcome message
+  let coachLocked = false; // an admin turned our coach off
+  let coachAsking = false; // a coach_ask is waiting for its answer
+  let coachAnswerId = null;
+  function lobbySend(msg){
+    if (!ws || ws.readyState !== WebSocket.OPEN) { alert('Connect WS first.'); return false; }
+    ws.send(JSON.stringify(msg));
+    return true;
+  }
+
+  function updateLobbyUI(){
+    const seated = !!online;
+    const player = seated && !online.spectator;
+    const watchOnly = myRole === 'spectator'; // spectator accounts can only watch
+    quickMatchBtn.textContent = queued ? 'Cancel Quick Match' : 'Quick Match';
+    quickMatchBtn.disabled = seated || watchOnly;
+    createRoomBtn.disabled = seated || queued || watchOnly;
+    joinCodeBtn.disabled = seated || queued || watchOnly;
+    toggleCoachBtn.disabled = watchOnly || coachLocked;
+    coachAskBtn.disabled = coachInput.disabled = watchOnly || coachLocked || coachAsking;
+    skillDebugBtn.disabled = watchOnly;
+    watchCodeBtn.disabled = seated || queued;
+    readyBtn.disabled = !player || online.status !== 'waiting';
+    leaveRoomBtn.disabled = !seated;
+    leaveRoomBtn.textContent = seated && online.spectator ? 'Stop Watching' : 'Leave';
+    if (seated && online.spectator) roomStatusEl.textContent = `Watching · ${online.status}`;
+    else if (seated) roomStatusEl.textContent = `Room ${online.code} · ${online.side} · ${online.status}`;
+    else roomStatusEl.textContent = queued ? 'Searching for an opponent…' : 'Not in a room';
+  }
+
+  function handleRoomEvent(ev){
+    if (!online || ev.roomId !== online.roomId) return;
+    const who = (side) => online.spectator ? side : (side === online.side ? 'You' : 'Opponent');
+    if (ev.event === 'player_joined') {
+      if (online.spectator) { leftLabelEl.textContent = ev.players.left || 'Left'; rightLabelEl.textContent = ev.players.right || 'Right'; }
+      if (ev.side !== online.side) appendCommentary(`[lobby] ${ev.userId || 'opponent'} joined`);
+    } else if (ev.event === 'player_left') {
+      online.status = 'waiting';
+      overlayText = 'Waiting for opponent…';
+      appendCommentary(online.spectator ? `[lobby] ${ev.side} player left` : '[lobby] opponent left');
+    } else if (ev.event === 'ready') {
+      if (ev.side === 'both') appendCommentary('[lobby] matched — get ready');
+      else appendCommentary(`[lobby] ${who(ev.side)} ${ev.ready ? 'ready' : 'not ready'}`);
+    } else if (ev.event === 'countdown') {
+      online.status = 'countdown';
+      overlayText = `Starting in ${ev.seconds}…`;
+    } else if (ev.event === 'match_started') {
+      online.status = 'playing';
+      overlayText = 'Get ready…';
+      appendCommentary(`[match] ${ev.players.left} vs ${ev.players.right} — first to ${ev.matchPoints}`);
+    } else if (ev.event === 'player_disconnected') {
+      running = false;
+      overlayText = online.spectator ? `${ev.side} player reconnecting…` : 'Opponent reconnecting…';
+      online.status = ev.status;
+      appendCommentary(online.spectator ? `[lobby] ${ev.side} player lost connection` : '[lobby] opponent lost connection — match paused');
+    } else if (ev.event === 'player_reconnected') {
+      online.status = ev.status;
+      overlayText = ev.paused ? 'Waiting for a player to reconnect…' : 'Get ready…';
+      if (ev.side !== online.side) appendCommentary(online.spectator ? `[lobby] ${ev.side} player is back` : '[lobby] opponent is back');
+    } else if (ev.event === 'abandoned') {
+      online.status = 'waiting';
+      overlayText = 'Waiting for opponent…';
+      appendCommentary(`[match] ${who(ev.side)} abandoned the match`);
+    }
+    updateLobbyUI();
+  }
+
+  function renderRoomList(list){
+    roomListEl.innerHTML = '';
+    if (!list.length) { roomListEl.textContent = 'No open rooms'; return; }
+    for (const r of list) {
+      const row = document.createElement('div');
+      const seats = [r.players.left, r.players.right].filter(Boolean).length;
+      row.innerHTML = `${escapeHtml(r.name)} <small style="opacity:0.6">${seats}/2 · ${escapeHtml(r.status)} · ${r.spectators} watching</small> `;
+      if (r.status === 'waiting' && seats < 2) {
+        const btn = document.createElement('button');
+        btn.textContent = 'Join';
+        btn.addEventListener('click', () => lobbySend({ type: 'join_room', roomId: r.id }));
+        row.appendChild(btn);
+      }
+      const watchBtn = document.createElement('button');
+      watchBtn.textContent = 'Watch';
+      watchBtn.addEventListener('click', () => lobbySend({ type: 'spectate', roomId: r.id }));
+      row.appendChild(watchBtn);
+      roomListEl.appendChild(row);
+    }
+  }
+
+  quickMatchBtn.addEventListener('click', () => {
+    running = false;
+    lobbySend({ type: queued ? 'cancel_quick_match' : 'quick_match' });
+  });
+  createRoomBtn.addEventListener('click', () => {
+    running = false;
+    lobbySend({ type: 'create_room', private: privateRoomInput.checked });
+  });
+  joinCodeBtn.addEventListener('click', () => {
+    const code = joinCodeInput.value.trim();
+    if (!code) return alert('Enter a join code first.');
+    running = false;
+    lobbySend({ type: 'join_room', code });
+  });
+  watchCodeBtn.addEventListener('click', () => {
+    const code = joinCodeInput.value.trim();
+    if (!code) return alert('Enter a join code first.');
+    running = false;
+    lobbySend({ type: 'spectate', code });
+  });
+  refreshRoomsBtn.addEventListener('click', () => lobbySend({ type: 'list_rooms' }));
+  readyBtn.addEventListener('click', () => lobbySend({ type: 'ready', ready: true }));
+  leaveRoomBtn.addEventListener('click', () => lobbySend({ type: online?.spectator ? 'stop_spectating' : 'leave_room' }));
+  updateLobbyUI();
+
+  // Commentary/coach provider (per connection)
+  function renderProviders(names, current){
+    providerSelect.innerHTML = '';
+    for (const name of names) {
+      const opt = document.createElement('option');
+      opt.value = name; opt.textContent = name;
+      providerSelect.appendChild(opt);
+    }
+    if (current) providerSelect.value = current;
+    providerSelect.disabled = names.length < 2;
+  }
+  providerSelect.addEventListener('change', () => {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'set_provider', provider: providerSelect.value }));
+  });
+
+  // Persona, language, verbosity and coach focus (saved per user by the server)
+  function renderSettings(next, options){
+    settings = next;
+    if (options) {
+      settingOptions = options;
+      for (const [field, select] of Object.entries(settingSelects)) {
+        select.innerHTML = '';
+        for (const o of options[field] || []) {
+          const opt = document.createElement('option');
+          opt.value = o.id; opt.textContent = o.label;
+          select.appendChild(opt);
+        }
+        select.disabled = false;
+      }
+    }
+    for (const [field, select] of Object.entries(settingSelects)) select.value = settings[field];
+  }
+  for (const [field, select] of Object.entries(settingSelects)) {
+    select.addEventListener('change', () => {
+      if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'settings', [field]: select.value }));
+    });
+  }
+
+  // Adaptive difficulty debug view
+  skillDebugBtn.addEventListener('click', () => {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'skill_debug' }));
+  });
+
+  // Leaderboard and own profile (HTTP API, same JWT as the socket)
+  let me = null;
+  async function apiGet(path){
+    if (!accessToken) return null;
+    const resp = await fetch(path, { headers: { Authorization: `Bearer ${accessToken}` } });
+    return resp.ok ? resp.json() : null;
+  }
+  async function loadLeaderboard(){
+    try {
+      const board = await apiGet('/api/leaderboard?limit=10');
+      leaderboardListEl.innerHTML = '';
+      if (!board || !board.players.length) { leaderboardListEl.textContent = board ? 'No rated matches yet' : 'Connect to load'; }
+      else {
+        for (const p of board.players) {
+          const li = document.createElement('li');
+          li.innerHTML = `${escapeHtml(p.id)} <small style="opacity:0.6">${p.rating} · ${p.wins}W ${p.losses}L</small>`;
+          if (p.id === me) li.style.fontWeight = '600';
+          leaderboardListEl.appendChild(li);
+        }
+      }
+      const profile = me ? await apiGet(`/api/players/${encodeURIComponent(me)}`) : null;
+      myProfileEl.textContent = profile
+        ? `You: ${profile.rating} · ${profile.wins}W ${profile.losses}L · points ${profile.pointsFor}-${profile.pointsAgainst} · longest rally ${profile.longestRally}`
+        : '';
+    } catch (e) {
+      leaderboardListEl.textContent = 'Leaderboard unavailable';
+    }
+  }
+  refreshLeaderboardBtn.addEventListener('click', loadLeaderboard);
+
+  // Replay mode: a recorded match drives the same paddles/ball as live play and reuses draw();
+  // replay.t is the playback position in ms from the match start
+  let replay = null; // { data, fields, t, playing, speed, lastTs, savedHeights }
+  const CAPTION_MS = 4000;
+  function formatTime(ms){ const s = Math.floor(ms / 1000); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`; }
+
+  async function loadReplay(id){
+    if (online) return appendCommentary('[replay] leave the room first');
+    if (!accessToken) return alert('Log in first.');
+    if (!window.MsgPack || !window.MsgPack.decode) return appendCommentary('[replay] MessagePack runtime not loaded');
+    try {
+      const resp = await fetch(`/api/matches/${encodeURIComponent(id)}/replay`, { headers: { Authorization: `Bearer ${accessToken}` } });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        return appendCommentary(`[replay] ${err.error || resp.status}`);
+      }
+      enterReplay(window.MsgPack.decode(new Uint8Array(await resp.arrayBuffer())));
+    } catch (e) {
+      appendCommentary('[replay] failed to load: ' + e.message);
+    }
+  }
+
+  function enterReplay(data){
+    if (!data.frames || !data.frames.length) return appendCommentary('[replay] recording is empty');
+    if (replay) exitReplay();
+    running = false;
+    replay = {
+      data,
+      fields: Object.fromEntries(data.frameFields.map((name, i) => [name, i])),
+      t: 0, playing: true, speed: Number(replaySpeedSelect.value) || 1, lastTs: performance.now(),
+      savedHeights: { left: leftPaddle.height, right: rightPaddle.height }
+    };
+    leftLabelEl.textContent = data.players.left || 'Left';
+    rightLabelEl.textContent = data.players.right || 'Right';
+    replaySeek.max = String(data.durationMs);
+    appendCommentary(`[replay] ${data.players.left} vs ${data.players.right}, ${data.score.left}-${data.score.right}${data.truncated ? ' (truncated)' : ''}`);
+    updateReplayUI();
+    requestAnimationFrame(replayLoop);
+  }
+
+  function exitReplay(){
+    if (!replay) return;
+    leftPaddle.height = replay.savedHeights.left; rightPaddle.height = replay.savedHeights.right;
+    replay = null;
+    running = false;
+    playerScore = 0; aiScore = 0; updateScoreUI();
+    leftLabelEl.textContent = 'Player'; rightLabelEl.textContent = 'Computer';
+    overlayText = 'Click to Play / Resume';
+    resetBall();
+    updateReplayUI();
+    draw();
+  }
+
+  // Last frame at or before t (frames are in time order)
+  function replayFrameAt(t){
+    const frames = replay.data.frames, T = replay.fields.t;
+    let lo = 0, hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid][T] <= t) lo = mid; else hi = mid - 1;
+    }
+    return frames[lo];
+  }
+
+  function replayCaptionAt(t){
+    let current = null;
+    for (const c of replay.data.captions) {
+      if (c[0] > t) break;
+      current = c;
+    }
+    return current && t - current[0] <= CAPTION_MS ? current : null;
+  }
+
+  function drawCaption(c){
+    const [, text, eventType, eventT] = c;
+    const lag = eventType && eventT !== null ? ` (+${((c[0] - eventT) / 1000).toFixed(1)}s after ${eventType})` : '';
+    ctx.font = '16px system-ui'; ctx.textAlign = 'center';
+    const width = Math.min(W - 40, ctx.measureText(text + lag).width + 24);
+    ctx.fillStyle = 'rgba(2,6,23,0.7)'; ctx.fillRect(W/2 - width/2, H - 48, width, 30);
+    ctx.fillStyle = '#fff'; ctx.fillText(text, W/2, H - 28, W - 60);
+    if (lag) { ctx.font = '11px system-ui'; ctx.fillStyle = 'rgba(255,255,255,0.6)'; ctx.fillText(lag.trim(), W/2, H - 8); }
+  }
+
+  function showReplayAt(t){
+    const f = replayFrameAt(t), F = replay.fields;
+    ball.x = f[F.ballX]; ball.y = f[F.ballY];
+    leftPaddle.y = f[F.leftY]; rightPaddle.y = f[F.rightY];
+    leftPaddle.height = f[F.leftHeight]; rightPaddle.height = f[F.rightHeight];
+    if (playerScore !== f[F.scoreLeft] || aiScore !== f[F.scoreRight]) { playerScore = f[F.scoreLeft]; aiScore = f[F.scoreRight]; updateScoreUI(); }
+    running = replay.playing; // draw() shows the overlay while paused
+    overlayText = t >= replay.data.durationMs ? 'Replay finished' : 'Replay paused';
+    draw();
+    const caption = replayCaptionAt(t);
+    if (caption) drawCaption(caption);
+    if (!replaySeek.matches(':active')) replaySeek.value = String(Math.round(t));
+    replayTimeEl.textContent = `${formatTime(t)} / ${formatTime(replay.data.durationMs)}`;
+  }
+
+  function replayLoop(ts){
+    if (!replay) return;
+    if (replay.playing) {
+      replay.t = Math.min(replay.data.durationMs, replay.t + (ts - replay.lastTs) * replay.speed);
+      if (replay.t >= replay.data.durationMs) { replay.playing = false; updateReplayUI(); }
+    }
+    replay.lastTs = ts;
+    showReplayAt(replay.t);
+    requestAnimationFrame(replayLoop);
+  }
+
+  function updateReplayUI(){
+    replayPlayBtn.disabled = replaySpeedSelect.disabled = replayExitBtn.disabled = replaySeek.disabled = !replay;
+    replayPlayBtn.textContent = replay?.playing ? 'Pause' : 'Play';
+    if (!replay) { replaySeek.value = '0'; replayTimeEl.textContent = '0:00 / 0:00'; }
+  }
+
+  loadReplayBtn.addEventListener('click', () => {
+    const id = replayIdInput.value.trim();
+    if (!id) return alert('Enter a match id first.');
+    loadReplay(id);
+  });
+  replayPlayBtn.addEventListener('click', () => {
+    if (!replay) return;
+    if (!replay.playing && replay.t >= replay.data.durationMs) replay.t = 0;
+    replay.playing = !replay.playing;
+    updateReplayUI();
+  });
+  replaySpeedSelect.addEventListener('change', () => { if (replay) replay.speed = Number(replaySpeedSelect.value) || 1; });
+  replaySeek.addEventListener('input', () => { if (replay) replay.t = Number(replaySeek.value); });
+  replayExitBtn.addEventListener('click', exitReplay);
+  updateReplayUI();
+
+  // Coach chat: one question at a time, the answer streams back (coach_chunk, then coach_answer)
+  function setCoachAsking(asking){
+    coachAsking = asking;
+    updateLobbyUI();
+  }
+  function askCoach(){
+    const question = coachInput.value.trim();
+    if (!question || coachAsking) return;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return alert('Connect first.');
+    ws.send(JSON.stringify({ type: 'coach_ask', question }));
+    appendCommentary(`[You] ${question}`, false, true);
+    coachInput.value = '';
+    coachAnswerEl.textContent = 'Coach is thinking…';
+    coachAnswerId = null;
+    setCoachAsking(true);
+  }
+  coachAskBtn.addEventListener('click', askCoach);
+  coachInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') askCoach(); });
 
   // Coach toggle
   let coachEnabled = false;
@@ -1,103 +1,639 @@
 /**
  * Pong server with:
- * - WebSocket subprotocol "pong-proto.v1" (text + binary)
- * - JWT authentication (token provided as second subprotocol)
- * - Redis-backed rate limiting (rate-limiter-flexible + ioredis)
- * - OpenAI streaming commentary using openai@4.6.0 (stream via async iteration)
+ * - Versioned WebSocket subprotocols (pong-proto.v2 / v1), schema-checked messages (lib/protocol.js)
+ * - JWT authentication (token provided as an extra subprotocol entry), accounts and roles
+ * - Redis-backed rate limiting (rate-limiter-flexible + ioredis), in-memory while Redis is down
+ * - Event-driven commentary, coach tips and coach chat from pluggable providers (lib/providers),
+ *   OpenAI streaming via openai@4.6.0, moderated before it is sent
  * - Simulated commentary fallback if OPENAI_API_KEY missing or SIMULATED_MODE=true
+ * - Server-authoritative online 1v1 matches with a lobby, spectators, reports, profiles and replays
  *
- * Notes:
- * - Clients connect with subprotocols ['pong-proto.v1', <JWT>]
- * - Clients send state as MessagePack binary: ["state", {...}] (preferred)
- *   or as JSON text: { type: "state", state: {...} }
+ * Each lib/ module describes its part; README.md lists the messages and HTTP routes.
  *
- * Environment (.env):
- * - OPENAI_API_KEY (optional if SIMULATED_MODE=true)
- * - SIMULATED_MODE=true|false
- * - ADMIN_KEY (for dev token minting)
- * - JWT_SECRET, JWT_EXP
- * - REDIS_URL (e.g. redis://localhost:6379)
- * - MODEL_NAME (e.g. gpt-4o-mini)
- * - COMMENTARY_INTERVAL_MS, COACH_INTERVAL_MS
- * - STATE_SEND_LIMIT_PER_SECOND, COMMENTARY_LIMIT_PER_MINUTE
+ * Environment (.env, see .env.example):
+ * - OPENAI_API_KEY, SIMULATED_MODE, AI_PROVIDER, MODEL_NAME, COMPATIBLE_BASE_URL/API_KEY/MODEL
+ * - ADMIN_KEY (dev token minting; off when unset), ADMIN_USERS, JWT_SECRET, JWT_EXP,
+ *   ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS, AUTH_LIMIT_PER_MINUTE
+ * - REDIS_URL, METRICS_TOKEN, VALIDATE_SERVER_MESSAGES
+ * - COMMENTARY_INTERVAL_MS, COACH_INTERVAL_MS, EVENT_TTL_MS, LONG_RALLY_HITS, NEAR_MISS_PX, COMEBACK_DEFICIT
+ * - CONTROL_* lever ranges, ADAPTIVE_DIFFICULTY, TARGET_WIN_RATE
+ * - STATE_SEND_LIMIT_PER_SECOND, STATE_STREAM_HZ, STATE_KEYFRAME_MS, COMMENTARY_LIMIT_PER_MINUTE,
+ *   INPUT_LIMIT_PER_SECOND, HEARTBEAT_INTERVAL_MS, SESSION_GRACE_MS
+ * - DAILY_COST_CAP_USD, PRO_MODEL_NAME, PRO_DAILY_COST_CAP_USD, TIERS_JSON, DEFAULT_TIER, MODEL_PRICES
+ * - LLM_CONCURRENCY, LLM_QUEUE_PER_CONNECTION, COMMENTARY_MEMORY_LINES, COMMENTARY_REPEAT_WINDOW,
+ *   COACH_MEMORY_TURNS
+ * - COMMENTARY_MAX_CHARS, COACH_MAX_CHARS, MODERATION_BLOCKLIST, LINE_REPORT_LIMIT_PER_MINUTE, LINE_REPORTS_KEPT
+ * - MATCH_POINTS, MATCH_TICK_HZ, MATCH_SNAPSHOT_HZ, MATCH_COUNTDOWN_SECONDS, REPORT_TTL_SECONDS,
+ *   RATING_INITIAL, RATING_K_FACTOR, MATCH_HISTORY_LIMIT, REPLAY_TTL_SECONDS, REPLAY_MAX_FRAMES
  */
 
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const jwt = require('jsonwebtoken');
 const msgpack = require('msgpack-lite');
-const OpenAI = require('openai');
 const IORedis = require('ioredis');
-const { RateLimiterRedis } = require('rate-limiter-flexible');
+const { RateLimiterRedis, RateLimiterMemory } = require('rate-limiter-flexible');
+const { createRoomManager } = require('./lib/rooms');
+const { createEventDetector, pickEvent } = require('./lib/events');
+const { createProviderRegistry } = require('./lib/providers');
+const { loadControlLimits, controlFunction, validateControl, describeControl } = require('./lib/controls');
+const { createSkillModel } = require('./lib/skill');
+const { createSessionRegistry } = require('./lib/sessions');
+const { createMatchRecorder, buildReport, formatReport } = require('./lib/report');
+const { generateReportNarrative } = require('./lib/providers/template');
+const { createProfileStore } = require('./lib/profiles');
+const { createReplayRecorder, encodeReplay, decodeReplay } = require('./lib/replay');
+const { createAccountStore } = require('./lib/accounts');
+const { ROLES, normalizeRole, canSend, requireRole, minRoleFor } = require('./lib/roles');
+const { loadTiers } = require('./lib/tiers');
+const { createUsageTracker, loadPrices, overDailyCap, dayOf } = require('./lib/usage');
+const { trackRedisHealth } = require('./lib/redisHealth');
+const {
+  PROTOCOLS, ERROR_CODES, isClientMessageType, selectProtocol, protocolVersion, isProtocolName,
+  normalizeFrame, validateClientMessage, validateServerMessage, errorMessage
+} = require('./lib/protocol');
+const { ENCODINGS, createFrameEncoder } = require('./lib/wire');
+const { createStateStreamDecoder } = require('./lib/stateStream');
+const { createLatencyTracker } = require('./lib/latency');
+const { createMetrics } = require('./lib/metrics');
+const { createLlmScheduler } = require('./lib/scheduler');
+const { createMatchNarrative, words } = require('./lib/narrative');
+const { createModerator, createLineReports } = require('./lib/moderation');
+const {
+  DEFAULT_SETTINGS, mergeSettings, describeOptions, createSettingsStore,
+  commentatorPersona, coachPersona, languageRule, lengthOf, coachTopic
+} = require('./lib/settings');
 
 const app = express();
 app.use(express.json());
 app.use(express.static('public'));
 
-const ADMIN_KEY = process.env.ADMIN_KEY || 'dev-admin-key';
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
 const JWT_SECRET = process.env.JWT_SECRET || 'replace-me-very-secret';
 const JWT_EXP = process.env.JWT_EXP || '1h';
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 900);
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS || 30 * 24 * 3600);
+const AUTH_LIMIT_PER_MINUTE = Number(process.env.AUTH_LIMIT_PER_MINUTE || 10);
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean);
 const PORT = Number(process.env.PORT || 3000);
+const VALIDATE_SERVER_MESSAGES = process.env.VALIDATE_SERVER_MESSAGES === 'true';
 
 const MODEL_NAME = process.env.MODEL_NAME || 'gpt-4o-mini';
-const COMMENTARY_INTERVAL_MS = Number(process.env.COMMENTARY_INTERVAL_MS || 1200);
-const COACH_INTERVAL_MS = Number(process.env.COACH_INTERVAL_MS || 10000);
-const STATE_SEND_LIMIT_PER_SECOND = Number(process.env.STATE_SEND_LIMIT_PER_SECOND || 5);
-const COMMENTARY_LIMIT_PER_MINUTE = Number(process.env.COMMENTARY_LIMIT_PER_MINUTE || 40);
+// Commentary/coach pacing; admins can change these at runtime (PATCH /api/admin/settings)
+const runtimeSettings = {
+  commentaryIntervalMs: Number(process.env.COMMENTARY_INTERVAL_MS || 1200),
+  coachIntervalMs: Number(process.env.COACH_INTERVAL_MS || 10000)
+};
+const SETTING_RANGES = {
+  commentaryIntervalMs: { min: 250, max: 60000 },
+  coachIntervalMs: { min: 1000, max: 600000 }
+};
+const COMMENTARY_POLL_MS = 250;
+const COACH_POLL_MS = 1000;
+// Conversational coach: question/answer pairs kept per session, snapshots kept for context (1 s apart)
+const COACH_MEMORY_TURNS = Number(process.env.COACH_MEMORY_TURNS || 6);
+const COACH_SNAPSHOTS = 5;
+// Output moderation (lib/moderation.js): longest commentary line, coach tip/answer and match review,
+// extra blocked words/phrases, reports a user may file per minute and reports kept for review
+const COMMENTARY_MAX_CHARS = Number(process.env.COMMENTARY_MAX_CHARS || 240);
+const COACH_MAX_CHARS = Number(process.env.COACH_MAX_CHARS || 700);
+const REPORT_MAX_CHARS = 1500;
+const MODERATION_BLOCKLIST = (process.env.MODERATION_BLOCKLIST || '').split(',').map(s => s.trim()).filter(Boolean);
+const LINE_REPORT_LIMIT_PER_MINUTE = Number(process.env.LINE_REPORT_LIMIT_PER_MINUTE || 5);
+const LINE_REPORTS_KEPT = Number(process.env.LINE_REPORTS_KEPT || 1000);
+// LLM calls in flight across all connections and matches, and calls waiting per connection/match
+const LLM_CONCURRENCY = Number(process.env.LLM_CONCURRENCY || 4);
+const LLM_QUEUE_PER_CONNECTION = Number(process.env.LLM_QUEUE_PER_CONNECTION || 2);
+const EVENT_TTL_MS = Number(process.env.EVENT_TTL_MS || 2500);
+const EVENT_OPTIONS = {
+  longRallyHits: Number(process.env.LONG_RALLY_HITS || 6),
+  nearMissPx: Number(process.env.NEAR_MISS_PX || 20),
+  comebackDeficit: Number(process.env.COMEBACK_DEFICIT || 3)
+};
+// State/commentary limits, model and cost cap per tier (STATE_SEND_LIMIT_PER_SECOND etc. set the free tier)
+const tiers = loadTiers();
+const USAGE_HISTORY_DAYS = 30;
+const INPUT_LIMIT_PER_SECOND = Number(process.env.INPUT_LIMIT_PER_SECOND || 40);
+// State stream: clients send a keyframe this often (it counts against the state limit) and deltas in between
+const STATE_KEYFRAME_MS = Number(process.env.STATE_KEYFRAME_MS || 1000);
+const STATE_RESYNC_MIN_MS = 500;
+// Resumable sessions: a dropped connection's seat, coach state and recent lines are kept this long
+const SESSION_GRACE_MS = Number(process.env.SESSION_GRACE_MS || 30000);
+const SESSION_HISTORY_LIMIT = 20;
+// Commentary memory per solo session / match: lines shown to the prompt, how many of the newest
+// ones a line may not repeat, the words held back to check that, and rewrites of a repeated line
+const COMMENTARY_MEMORY_LINES = Number(process.env.COMMENTARY_MEMORY_LINES || 8);
+const COMMENTARY_REPEAT_WINDOW = Number(process.env.COMMENTARY_REPEAT_WINDOW || 4);
+const COMMENTARY_OPENING_WORDS = 4;
+const COMMENTARY_RETRIES = 1;
+// WebSocket ping every HEARTBEAT_INTERVAL_MS; a socket that has not answered the previous one is terminated
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS || 10000);
+// Optional bearer token for GET /metrics (open when unset, e.g. behind a private scrape network)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const MATCH_POINTS = Number(process.env.MATCH_POINTS || 7);
+const MATCH_TICK_HZ = Number(process.env.MATCH_TICK_HZ || 60);
+const MATCH_SNAPSHOT_HZ = Number(process.env.MATCH_SNAPSHOT_HZ || 30);
+const MATCH_COUNTDOWN_SECONDS = Number(process.env.MATCH_COUNTDOWN_SECONDS || 3);
+const REPORT_TTL_SECONDS = Number(process.env.REPORT_TTL_SECONDS || 7 * 24 * 3600);
+const RATING_INITIAL = Number(process.env.RATING_INITIAL || 1200);
+const RATING_K_FACTOR = Number(process.env.RATING_K_FACTOR || 32);
+const MATCH_HISTORY_LIMIT = Number(process.env.MATCH_HISTORY_LIMIT || 50);
+const REPLAY_TTL_SECONDS = Number(process.env.REPLAY_TTL_SECONDS || 7 * 24 * 3600);
+const REPLAY_MAX_FRAMES = Number(process.env.REPLAY_MAX_FRAMES || 36000); // 20 min at 30 Hz
+
+const CONTROL_LIMITS = loadControlLimits();
+const ADAPTIVE_DIFFICULTY = process.env.ADAPTIVE_DIFFICULTY !== 'false';
+const TARGET_WIN_RATE = Number(process.env.TARGET_WIN_RATE || 0.5);
+// With adaptive difficulty on, the skill model owns the computer paddle; the model keeps the other levers
+const MODEL_LEVERS = Object.keys(CONTROL_LIMITS).filter(key => !ADAPTIVE_DIFFICULTY || (key !== 'aiSpeed' && key !== 'aiError'));
+const CONTROL_TOOLS = [controlFunction(CONTROL_LIMITS, MODEL_LEVERS)];
 
 const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
-const SIMULATED_MODE = (process.env.SIMULATED_MODE === 'true') || !OPENAI_KEY;
+const SIMULATED_MODE = process.env.SIMULATED_MODE === 'true';
+
+// Commentary/coach providers; workers only talk to the provider interface
+const providers = createProviderRegistry({
+  openaiKey: OPENAI_KEY,
+  model: MODEL_NAME,
+  compatibleBaseURL: process.env.COMPATIBLE_BASE_URL || '',
+  compatibleApiKey: process.env.COMPATIBLE_API_KEY || '',
+  compatibleModel: process.env.COMPATIBLE_MODEL || '',
+  defaultProvider: process.env.AI_PROVIDER || null,
+  simulated: SIMULATED_MODE
+});
+if (SIMULATED_MODE) console.log('SIMULATED_MODE enabled (no OpenAI calls).');
+console.log('Providers:', providers.names().join(', '), '| default:', providers.defaultName);
+if (!ADMIN_KEY) console.log('ADMIN_KEY not set: dev token minting (POST /auth/token) is off.');
+
+// Users who reached their tier's daily cost cap: user id -> UTC day the cap applies to
+const budgetCapped = new Map();
+
+function isBudgetCapped(user) {
+  const day = user?.sub && budgetCapped.get(user.sub);
+  if (!day) return false;
+  if (day === dayOf()) return true;
+  budgetCapped.delete(user.sub);
+  return false;
+}
+
+// Provider for a connection: the template provider once the daily budget is spent, otherwise
+// the explicit choice, then the JWT "provider" claim, then the default
+function providerFor(meta, user) {
+  if (isBudgetCapped(user)) return providers.get('template');
+  const name = meta?.providerName || user?.provider;
+  return providers.get(providers.has(name) ? name : providers.defaultName);
+}
+
+// Prometheus metrics (lib/metrics.js), served from GET /metrics
+const metrics = createMetrics({ prefix: 'pong_' });
+const metric = {
+  connections: metrics.gauge('ws_connections', 'Open WebSocket connections by protocol', ['protocol'], () => {
+    const byProtocol = new Map();
+    for (const ws of wss.clients) byProtocol.set(ws.protocol, (byProtocol.get(ws.protocol) || 0) + 1);
+    return [...byProtocol].map(([protocol, n]) => [{ protocol }, n]);
+  }),
+  detachedSessions: metrics.gauge('ws_detached_sessions', 'Dropped connections waiting to be resumed', [], () => sessions.size()),
+  connectionsTotal: metrics.counter('ws_connections_total', 'WebSocket connections accepted', ['resumed']),
+  terminated: metrics.counter('ws_terminated_total', 'Connections terminated by the heartbeat'),
+  messagesIn: metrics.counter('ws_messages_received_total', 'Client messages by type', ['type']),
+  messagesOut: metrics.counter('ws_messages_sent_total', 'Server messages by type (one per recipient)', ['type']),
+  rateLimited: metrics.counter('rate_limit_rejections_total', 'Requests rejected by a rate limiter', ['limiter']),
+  stateStreamErrors: metrics.counter('state_stream_errors_total', 'State stream frames that could not be applied', ['reason']),
+  llmCalls: metrics.counter('llm_calls_total', 'Commentary, coach and report calls by provider', ['kind', 'provider', 'outcome']),
+  llmFirstChunk: metrics.histogram('llm_first_chunk_seconds', 'Time from a streaming call to its first chunk', ['kind', 'provider']),
+  llmDuration: metrics.histogram('llm_duration_seconds', 'Time from a call to its last chunk or result', ['kind', 'provider']),
+  llmInFlight: metrics.gauge('llm_in_flight', 'LLM calls running in the scheduler', [], () => llmScheduler.stats().running),
+  llmQueued: metrics.gauge('llm_queued', 'LLM calls waiting in the scheduler', [], () => llmScheduler.stats().queued),
+  llmTokens: metrics.counter('llm_tokens_total', 'LLM tokens consumed (estimated when the provider reports none)', ['model', 'direction']),
+  commentaryRepeats: metrics.counter('commentary_repeats_total', 'Commentary lines thrown away for repeating a recent line', ['outcome']),
+  outputFiltered: metrics.counter('output_filtered_total', 'Model output sentences masked, dropped or cut by moderation', ['kind', 'reason']),
+  lineReports: metrics.counter('line_reports_total', 'Lines reported by players', ['kind'])
+};
+
+// Commentary, coach and report calls go through one scheduler (lib/scheduler.js)
+const llmScheduler = createLlmScheduler({
+  concurrency: LLM_CONCURRENCY,
+  queueLimit: LLM_QUEUE_PER_CONNECTION,
+  onError: (err, job) => console.error(`LLM ${job.kind} job error:`, err?.message || err)
+});
+
+// Time one provider call; chunk() marks streamed output, end() counts the call
+function llmCall(kind, provider) {
+  const labels = { kind, provider: provider.name };
+  const firstChunk = metric.llmFirstChunk.startTimer(labels);
+  const total = metric.llmDuration.startTimer(labels);
+  let streaming = false;
+  return {
+    chunk() {
+      if (!streaming) firstChunk();
+      streaming = true;
+    },
+    end(outcome) {
+      total();
+      metric.llmCalls.inc({ ...labels, outcome });
+    }
+  };
+}
+
+// Redis connection (rate limiting, accounts, match reports and replays, player profiles).
+// Commands fail fast instead of queueing while Redis is down; ioredis keeps reconnecting.
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const redisClient = new IORedis(REDIS_URL, { enableOfflineQueue: false });
+const redisHealth = trackRedisHealth(redisClient);
+
+const accounts = createAccountStore({
+  redis: redisClient,
+  jwtSecret: JWT_SECRET,
+  accessTtlSeconds: ACCESS_TOKEN_TTL_SECONDS,
+  refreshTtlSeconds: REFRESH_TOKEN_TTL_SECONDS,
+  adminUsers: ADMIN_USERS
+});
+
+const profiles = createProfileStore({
+  redis: redisClient,
+  initialRating: RATING_INITIAL,
+  kFactor: RATING_K_FACTOR,
+  historyLimit: MATCH_HISTORY_LIMIT
+});
+
+const usage = createUsageTracker({ redis: redisClient, prices: loadPrices() });
 
-// Initialize OpenAI client (v4.6.0 style)
-let openaiClient = null;
-if (!SIMULATED_MODE) {
+const settingsStore = createSettingsStore({ redis: redisClient });
+
+const moderator = createModerator({ blocklist: MODERATION_BLOCKLIST });
+const lineReports = createLineReports({ redis: redisClient, limit: LINE_REPORTS_KEPT });
+
+// Count what moderation changed; dropped sentences are logged (the text itself is not kept)
+function noteFiltered(kind, reasons) {
+  for (const reason of reasons) metric.outputFiltered.inc({ kind, reason });
+  const dropped = reasons.filter(r => r === 'unsafe' || r === 'control');
+  if (dropped.length) console.warn(`Moderation dropped ${dropped.length} ${kind} sentence(s): ${dropped.join(', ')}`);
+}
+
+// Redis rate limiter with an in-memory twin that takes over while Redis is unreachable
+// (limits are then counted per server process), so an outage never looks like a rate limit
+function redisLimiter({ keyPrefix, points, duration }) {
+  return new RateLimiterRedis({
+    storeClient: redisClient,
+    keyPrefix,
+    points,
+    duration,
+    inmemoryBlockOnConsumed: points + 1,
+    rejectIfRedisNotReady: true,
+    insuranceLimiter: new RateLimiterMemory({ keyPrefix, points, duration })
+  });
+}
+
+// Rate limiters per tier: full states/keyframes and state deltas (per-second), commentary/coach calls (per-minute)
+const tierLimiters = new Map(tiers.names().map((name) => {
+  const tier = tiers.get(name);
+  return [name, {
+    state: redisLimiter({ keyPrefix: `rl_state_${name}`, points: tier.stateLimitPerSecond, duration: 1 }),
+    stream: redisLimiter({ keyPrefix: `rl_stream_${name}`, points: tier.stateStreamHz, duration: 1 }),
+    commentary: redisLimiter({ keyPrefix: `rl_commentary_${name}`, points: tier.commentaryLimitPerMinute, duration: 60 })
+  }];
+}));
+
+// Limiters for a user's tier; rooms and anonymous callers use the default tier
+function limitersFor(user) {
+  return tierLimiters.get(tiers.nameOf(user));
+}
+
+// Rate limiter: paddle inputs for online matches (per-second)
+const inputLimiter = redisLimiter({ keyPrefix: 'rl_input', points: INPUT_LIMIT_PER_SECOND, duration: 1 });
+
+// Rate limiter: reported lines (per-minute, per user)
+const lineReportLimiter = redisLimiter({ keyPrefix: 'rl_line_report', points: LINE_REPORT_LIMIT_PER_MINUTE, duration: 60 });
+
+// Rate limiter: register/login/refresh attempts (per-minute, per IP)
+const authLimiter = redisLimiter({ keyPrefix: 'rl_auth', points: AUTH_LIMIT_PER_MINUTE, duration: 60 });
+
+async function limitAuth(req, res, next) {
   try {
-    openaiClient = new OpenAI({ apiKey: OPENAI_KEY });
-    console.log('OpenAI initialized, model:', MODEL_NAME);
-  } catch (e) {
-    console.warn('OpenAI init failed, falling back to simulated mode:', e?.message);
+    await authLimiter.consume(req.ip);
+  } catch (rlRejected) {
+    metric.rateLimited.inc({ limiter: 'auth' });
+    return res.status(429).json({ error: 'too many attempts' });
   }
-} else {
-  console.log('SIMULATED_MODE enabled (no OpenAI calls).');
+  next();
 }
 
-// Redis connection (for rate limiting)
-const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
-const redisClient = new IORedis(REDIS_URL);
-
-// Rate limiter: state messages (per-second)
-const stateLimiter = new RateLimiterRedis({
-  storeClient: redisClient,
-  keyPrefix: 'rl_state',
-  points: STATE_SEND_LIMIT_PER_SECOND, // allowed points
-  duration: 1, // per second
-  inmemoryBlockOnConsumed: STATE_SEND_LIMIT_PER_SECOND + 1,
+// Account store results are either a session or { error, status }
+function sendSession(res, result, okStatus = 200) {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(okStatus).json(result);
+}
+
+// ADMIN_USERS names register only with the ADMIN_KEY, which provisions them as admins
+app.post('/auth/register', limitAuth, async (req, res) => {
+  const { username, password, role, adminKey } = req.body || {};
+  try {
+    const provisionAdmin = !!ADMIN_KEY && adminKey === ADMIN_KEY;
+    sendSession(res, await accounts.register(username, password, role || 'player', { provisionAdmin }), 201);
+  } catch (err) {
+    console.error('Register error:', err?.message || err);
+    res.status(503).json({ error: 'account store unavailable' });
+  }
 });
 
-// Rate limiter: commentary calls (per-minute)
-const commentaryLimiter = new RateLimiterRedis({
-  storeClient: redisClient,
-  keyPrefix: 'rl_commentary',
-  points: COMMENTARY_LIMIT_PER_MINUTE,
-  duration: 60,
-  inmemoryBlockOnConsumed: COMMENTARY_LIMIT_PER_MINUTE + 1,
+app.post('/auth/login', limitAuth, async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    sendSession(res, await accounts.login(username, password));
+  } catch (err) {
+    console.error('Login error:', err?.message || err);
+    res.status(503).json({ error: 'account store unavailable' });
+  }
 });
 
-// JWT dev token minting endpoint (for dev)
-app.post('/auth/token', (req, res) => {
-  const { adminKey } = req.body || {};
+// Rotating refresh: the presented refresh token is spent, a new pair comes back
+app.post('/auth/refresh', limitAuth, async (req, res) => {
+  try {
+    sendSession(res, await accounts.refresh((req.body || {}).refreshToken));
+  } catch (err) {
+    console.error('Refresh error:', err?.message || err);
+    res.status(503).json({ error: 'account store unavailable' });
+  }
+});
+
+// JWT dev token minting endpoint (for dev); only registered when ADMIN_KEY is set. It never mints
+// admins: the admin role comes only from provisioned ADMIN_USERS accounts through login/refresh
+const DEV_TOKEN_ROLES = ROLES.filter(r => r !== 'admin');
+if (ADMIN_KEY) app.post('/auth/token', (req, res) => {
+  const { adminKey, userId, role, tier } = req.body || {};
   if (!adminKey || adminKey !== ADMIN_KEY) return res.status(401).json({ error: 'invalid adminKey' });
-  const payload = { sub: 'dev-user', role: 'tester' };
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXP });
+  if (role === 'admin') return res.status(403).json({ error: 'admin tokens come only from provisioned ADMIN_USERS accounts' });
+  if (role !== undefined && !DEV_TOKEN_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${DEV_TOKEN_ROLES.join(', ')}` });
+  if (tier !== undefined && !tiers.has(tier)) return res.status(400).json({ error: `tier must be one of ${tiers.names().join(', ')}` });
+  // optional userId lets you mint distinct players for testing rated matches
+  const payload = { sub: typeof userId === 'string' && userId.trim() ? userId.trim().slice(0, 40) : 'dev-user', role: role || 'player', ...(tier ? { tier } : {}) };
+  const token = jwt.sign({ ...payload, jti: crypto.randomBytes(12).toString('hex') }, JWT_SECRET, { expiresIn: JWT_EXP });
   res.json({ token });
 });
 
-app.get('/health', (req, res) => res.json({ ok: true, simulated: SIMULATED_MODE }));
+// Verify a JWT and make sure it has not been revoked (logout); resolves to its claims or null
+async function verifyToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    return null;
+  }
+  // Without Redis the revocation list is unreadable; signature and expiry still apply, and
+  // access tokens are short-lived, so play goes on rather than locking everyone out
+  if (redisHealth.isUp() && await accounts.isRevoked(claims)) return null;
+  return { ...claims, role: normalizeRole(claims.role) };
+}
+
+// Bearer JWT for the HTTP API (same tokens as the WebSocket)
+async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token) return res.status(401).json({ error: 'missing bearer token' });
+  try {
+    req.user = await verifyToken(token);
+  } catch (err) {
+    console.error('Revocation check error:', err?.message || err);
+    return res.status(503).json({ error: 'auth store unavailable' });
+  }
+  if (!req.user) return res.status(401).json({ error: 'invalid token' });
+  next();
+}
+
+// Revokes the access token (and the refresh token's session, when given)
+app.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await accounts.logout(req.user, (req.body || {}).refreshToken);
+  } catch (err) {
+    console.error('Logout error:', err?.message || err);
+    return res.status(503).json({ error: 'account store unavailable' });
+  }
+  res.status(204).end();
+});
+
+// Post-match report, for the players of that match
+app.get('/api/matches/:id/report', requireAuth, async (req, res) => {
+  let raw;
+  try {
+    raw = await redisClient.get(`match_report:${req.params.id}`);
+  } catch (err) {
+    console.error('Report lookup error:', err?.message || err);
+    return res.status(503).json({ error: 'report store unavailable' });
+  }
+  if (!raw) return res.status(404).json({ error: 'report not found' });
+  const report = JSON.parse(raw);
+  if (req.user.role !== 'admin' && !Object.values(report.players).includes(req.user.sub)) return res.status(403).json({ error: 'not a player in this match' });
+  res.json(report);
+});
+
+// Recorded match as MessagePack (frames + commentary captions), for the players of that match
+app.get('/api/matches/:id/replay', requireAuth, async (req, res) => {
+  let raw;
+  try {
+    raw = await redisClient.getBuffer(`match_replay:${req.params.id}`);
+  } catch (err) {
+    console.error('Replay lookup error:', err?.message || err);
+    return res.status(503).json({ error: 'replay store unavailable' });
+  }
+  if (!raw) return res.status(404).json({ error: 'replay not found' });
+  const { players } = decodeReplay(raw);
+  if (req.user.role !== 'admin' && !Object.values(players).includes(req.user.sub)) return res.status(403).json({ error: 'not a player in this match' });
+  res.type('application/x-msgpack').send(raw);
+});
+
+app.get('/api/players/:id', requireAuth, async (req, res) => {
+  try {
+    const profile = await profiles.getProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'player not found' });
+    res.json(profile);
+  } catch (err) {
+    console.error('Profile lookup error:', err?.message || err);
+    res.status(503).json({ error: 'profile store unavailable' });
+  }
+});
+
+app.get('/api/players/:id/matches', requireAuth, async (req, res) => {
+  const limit = Math.min(MATCH_HISTORY_LIMIT, Math.max(1, Number(req.query.limit) || 20));
+  try {
+    res.json({ id: req.params.id, matches: await profiles.getMatches(req.params.id, limit) });
+  } catch (err) {
+    console.error('Match history error:', err?.message || err);
+    res.status(503).json({ error: 'profile store unavailable' });
+  }
+});
+
+app.get('/api/leaderboard', requireAuth, async (req, res) => {
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 10));
+  try {
+    res.json({ players: await profiles.leaderboard(limit) });
+  } catch (err) {
+    console.error('Leaderboard error:', err?.message || err);
+    res.status(503).json({ error: 'profile store unavailable' });
+  }
+});
+
+// Tier, limits and LLM usage of the caller (admins may pass ?userId= to look at anyone)
+app.get('/api/usage', requireAuth, async (req, res) => {
+  const userId = typeof req.query.userId === 'string' && req.query.userId ? req.query.userId : req.user.sub;
+  if (userId !== req.user.sub && req.user.role !== 'admin') return res.status(403).json({ error: 'requires role admin' });
+  const days = Math.min(USAGE_HISTORY_DAYS, Math.max(1, Number(req.query.days) || 7));
+  try {
+    // the stored account has the current tier; dev tokens without an account only have their claim
+    const account = await accounts.getAccount(userId);
+    const tier = tiers.get(tiers.nameOf(account || (userId === req.user.sub ? req.user : null)));
+    const history = await usage.history(userId, days);
+    res.json({
+      userId,
+      tier: tier.name,
+      limits: { stateLimitPerSecond: tier.stateLimitPerSecond, commentaryLimitPerMinute: tier.commentaryLimitPerMinute },
+      model: tier.model,
+      dailyCostCapUsd: tier.dailyCostCapUsd,
+      capped: overDailyCap(tier, history[0]),
+      today: history[0],
+      history
+    });
+  } catch (err) {
+    console.error('Usage lookup error:', err?.message || err);
+    res.status(503).json({ error: 'usage store unavailable' });
+  }
+});
+
+// Admin API: live connections and runtime settings (admin role only)
+const requireAdmin = [requireAuth, requireRole('admin')];
+
+function findConnection(id) {
+  for (const [ws, meta] of metaByWs) {
+    if (meta.id === id) return { ws, meta };
+  }
+  return null;
+}
+
+function describeConnection(ws, meta) {
+  const room = rooms.roomOf(ws) || rooms.watching(ws);
+  return {
+    id: meta.id,
+    userId: ws.user?.sub || null,
+    role: ws.user?.role || null,
+    tier: tiers.nameOf(ws.user),
+    budgetCapped: isBudgetCapped(ws.user),
+    connectedAt: meta.connectedAt,
+    provider: providerFor(meta, ws.user).name,
+    coachEnabled: meta.coachEnabled,
+    coachLocked: !!meta.coachLocked,
+    room: room ? { id: room.id, status: room.status, spectating: !rooms.roomOf(ws) } : null,
+    hasState: !!meta.lastState,
+    stream: meta.stateStream ? meta.stateStream.stats() : null,
+    latency: meta.latency ? meta.latency.snapshot() : null
+  };
+}
+
+app.get('/api/admin/connections', requireAdmin, (req, res) => {
+  res.json({ connections: [...metaByWs].map(([ws, meta]) => describeConnection(ws, meta)) });
+});
+
+app.get('/api/admin/connections/:id/state', requireAdmin, (req, res) => {
+  const conn = findConnection(req.params.id);
+  if (!conn) return res.status(404).json({ error: 'connection not found' });
+  res.json({ id: conn.meta.id, lastState: conn.meta.lastState });
+});
+
+// Turn the coach off and keep the user from turning it back on (enabled: true lifts the lock)
+app.post('/api/admin/connections/:id/coach', requireAdmin, (req, res) => {
+  const conn = findConnection(req.params.id);
+  if (!conn) return res.status(404).json({ error: 'connection not found' });
+  const unlock = (req.body || {}).enabled === true;
+  conn.meta.coachLocked = !unlock;
+  if (!unlock) conn.meta.coachEnabled = false;
+  sendMessage(conn.ws, { type: 'coach_status', enabled: conn.meta.coachEnabled, locked: conn.meta.coachLocked });
+  console.log(`Admin ${req.user.sub} ${unlock ? 'unlocked' : 'disabled'} coach for connection ${conn.meta.id}`);
+  res.json(describeConnection(conn.ws, conn.meta));
+});
+
+app.post('/api/admin/connections/:id/kick', requireAdmin, (req, res) => {
+  const conn = findConnection(req.params.id);
+  if (!conn) return res.status(404).json({ error: 'connection not found' });
+  const reason = String((req.body || {}).reason || 'kicked by an admin').slice(0, 120);
+  sendMessage(conn.ws, { type: 'kicked', reason });
+  conn.meta.kicked = true;
+  conn.ws.close(4001, 'kicked');
+  console.log(`Admin ${req.user.sub} kicked connection ${conn.meta.id} (${conn.ws.user?.sub}): ${reason}`);
+  res.json({ id: conn.meta.id, kicked: true });
+});
+
+// Takes effect from the account's next access token (login or refresh)
+app.post('/api/admin/users/:id/tier', requireAdmin, async (req, res) => {
+  const { tier } = req.body || {};
+  if (!tiers.has(tier)) return res.status(400).json({ error: `tier must be one of ${tiers.names().join(', ')}` });
+  try {
+    const result = await accounts.setTier(req.params.id, tier);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    console.log(`Admin ${req.user.sub} set tier of ${result.id} to ${tier}`);
+    res.json(result);
+  } catch (err) {
+    console.error('Tier update error:', err?.message || err);
+    res.status(503).json({ error: 'account store unavailable' });
+  }
+});
+
+// Reported commentary/coach lines, newest first (?count=, at most 500)
+app.get('/api/admin/reports', requireAdmin, async (req, res) => {
+  const count = Math.min(500, Math.max(1, Number(req.query.count) || 50));
+  try {
+    res.json({ reports: await lineReports.list(count) });
+  } catch (err) {
+    console.error('Line report lookup error:', err?.message || err);
+    res.status(503).json({ error: 'report store unavailable' });
+  }
+});
+
+app.get('/api/admin/settings', requireAdmin, (req, res) => res.json(runtimeSettings));
+
+// Only known settings, within range; nothing is applied if any value is invalid
+app.patch('/api/admin/settings', requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+  for (const [key, value] of Object.entries(body)) {
+    const range = SETTING_RANGES[key];
+    if (!range) return res.status(400).json({ error: `unknown setting ${key}` });
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+      return res.status(400).json({ error: `${key} must be a number between ${range.min} and ${range.max}` });
+    }
+    updates[key] = Math.round(value);
+  }
+  Object.assign(runtimeSettings, updates);
+  console.log(`Admin ${req.user.sub} updated settings:`, JSON.stringify(updates));
+  res.json(runtimeSettings);
+});
+
+// ok stays true without Redis: play and simulated commentary keep running (degraded)
+app.get('/health', (req, res) => res.json({
+  ok: true,
+  degraded: !redisHealth.isUp(),
+  redis: redisHealth.snapshot(),
+  simulated: providers.defaultName === 'template',
+  provider: providers.defaultName,
+  providers: providers.names(),
+  llm: llmScheduler.stats()
+}));
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'metrics token required' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ noServer: true });
+// Pick the newest protocol version the client offered (the JWT entry is never selected)
+const wss = new WebSocketServer({
+  noServer: true,
+  handleProtocols: (offered) => selectProtocol([...offered]) || false
+});
 
 // Helper: parse sec-websocket-protocol header
 function parseProtocols(req) {
@@ -107,14 +643,14 @@ function parseProtocols(req) {
 
 server.on('upgrade', (req, socket, head) => {
   const protocols = parseProtocols(req);
-  if (!protocols.length || protocols[0] !== 'pong-proto.v1') {
+  if (!selectProtocol(protocols)) {
     socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
     socket.destroy();
     return;
   }
 
-  // Expect JWT as second protocol, otherwise query param token
-  let token = protocols[1] || null;
+  // Expect JWT as the subprotocol entry that is not a protocol name, otherwise query param token
+  let token = protocols.find(p => !isProtocolName(p)) || null;
   if (!token) {
     try {
       const u = new URL(req.url, `http://${req.headers.host}`);
@@ -128,33 +664,337 @@ server.on('upgrade', (req, socket, head) => {
     return;
   }
 
-  try {
-    const user = jwt.verify(token, JWT_SECRET);
+  verifyToken(token).then((user) => {
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
     // Accept upgrade
     wss.handleUpgrade(req, socket, head, (ws) => {
       ws.user = user;
+      ws.protocolVersion = protocolVersion(ws.protocol);
       wss.emit('connection', ws, req);
     });
-  } catch (e) {
-    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+  }).catch((err) => {
+    // the revocation list is unreachable: refuse rather than let revoked tokens in
+    console.error('Revocation check error:', err?.message || err);
+    socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
     socket.destroy();
-    return;
-  }
+  });
 });
 
 // Per-connection metadata (in-memory small state)
 const metaByWs = new Map();
+const encodeFrame = createFrameEncoder();
+
+// Dev aid: log server messages that do not match their schema in lib/protocol.js
+function checkOutbound(obj) {
+  if (!VALIDATE_SERVER_MESSAGES) return;
+  const problem = validateServerMessage(obj);
+  if (problem) console.warn(`Server message ${obj?.type} does not match its schema: ${problem.message}`);
+}
+
+// JSON text frames, or MessagePack for connections that opted in (lib/wire.js)
+function sendMessage(ws, obj) {
+  checkOutbound(obj);
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(encodeFrame(obj, ws.encoding || 'json'));
+  metric.messagesOut.inc({ type: obj.type });
+}
+
+// Typed error in the shape of the connection's protocol version
+function sendError(ws, code, message, extra) {
+  sendMessage(ws, errorMessage(ws.protocolVersion || 1, code, message, extra));
+}
+
+// From now until the end of the UTC day the user's connections get the template provider
+function capBudget(userId, totals) {
+  if (budgetCapped.get(userId) === totals.date) return;
+  budgetCapped.set(userId, totals.date);
+  console.log(`Daily LLM budget reached for ${userId}: $${totals.costUsd}`);
+  for (const ws of metaByWs.keys()) {
+    if (ws.user?.sub === userId) sendMessage(ws, { type: 'provider_status', provider: 'template', reason: 'budget', costUsd: totals.costUsd });
+  }
+}
+
+function checkBudget(userId, tier, totals) {
+  if (overDailyCap(tier, totals)) capBudget(userId, totals);
+}
+
+// onUsage callback for provider requests: counts the tokens against `userId` and, when a tier is
+// given, enforces its daily cap (room commentary and reports are booked to "system", uncapped)
+function usageHandler(userId, tier = null) {
+  return (used) => {
+    metric.llmTokens.inc({ model: used.model, direction: 'prompt' }, used.promptTokens);
+    metric.llmTokens.inc({ model: used.model, direction: 'completion' }, used.completionTokens);
+    if (!redisHealth.isUp()) return; // not counted during a Redis outage
+    usage.record(userId, used)
+      .then(totals => checkBudget(userId, tier, totals))
+      .catch(err => console.error('Usage record error:', err?.message || err));
+  };
+}
+
+// Feed a snapshot to a holder's (connection meta or room) event detector and narrative and keep
+// the most relevant event waiting for the commentary worker; returns the new events
+function trackEvents(holder, state) {
+  if (!holder.eventDetector) holder.eventDetector = createEventDetector(EVENT_OPTIONS);
+  const events = holder.eventDetector.detect(state);
+  if (!events.length) return events;
+  for (const event of events) holder.narrative.record(event);
+  const now = Date.now();
+  const pending = holder.pendingEvent && now - holder.pendingEvent.at <= EVENT_TTL_MS ? holder.pendingEvent : null;
+  holder.pendingEvent = pickEvent(pending, events);
+  return events;
+}
+
+// Solo games only: let the skill model react to the snapshot and push any difficulty change
+function trackSkill(ws, meta, state, events) {
+  if (!ADAPTIVE_DIFFICULTY || !meta.skill) return;
+  const control = meta.skill.observe(state, events);
+  if (control) sendMessage(ws, { type: 'control', control, source: 'adaptive' });
+}
+
+// Latest solo state of a connection (full state message or decoded stream frame); no immediate
+// commentary call, the periodic worker uses meta.lastState
+function applySoloState(ws, meta, state) {
+  meta.lastState = state;
+  rememberSnapshot(meta, state);
+  trackSkill(ws, meta, state, trackEvents(meta, state));
+}
+
+// A few recent snapshots (at most one per second) for coach answers
+function rememberSnapshot(meta, state) {
+  const now = Date.now();
+  const last = meta.recentSnapshots[meta.recentSnapshots.length - 1];
+  if (last && now - last.at < 1000) return;
+  meta.recentSnapshots.push({ at: now, state });
+  if (meta.recentSnapshots.length > COACH_SNAPSHOTS) meta.recentSnapshots.shift();
+}
+
+function newNarrative(matchPoints) {
+  return createMatchNarrative({ matchPoints, lineLimit: COMMENTARY_MEMORY_LINES, repeatWindow: COMMENTARY_REPEAT_WINDOW });
+}
+
+function newSkillModel() {
+  return createSkillModel({
+    targetWinRate: TARGET_WIN_RATE,
+    aiSpeed: CONTROL_LIMITS.aiSpeed,
+    aiError: CONTROL_LIMITS.aiError
+  });
+}
+
+// Aggregate a finished match into a report, add the narrative, store it and send it to everyone who watched
+async function publishMatchReport(room, result) {
+  const report = buildReport(result, room.recorder || createMatchRecorder());
+  const provider = providers.get(providers.defaultName);
+  const call = llmCall('report', provider);
+  try {
+    // queued like any other LLM call; a report key is unique, so the job is never dropped
+    report.narrative = await new Promise((resolve, reject) => llmScheduler.submit(`report:${room.id}`, {
+      kind: 'report',
+      run: (signal) => provider.complete({
+        system: 'You are a Pong coach writing a short post-match review (under 120 words) for both players. Use only the numbers you are given; point out where each player lost points, how their positioning and reaction times looked, and one thing each should practice.',
+        user: `Match report:\n${formatReport(report)}\n\nWrite the review.`,
+        maxTokens: 300,
+        temperature: 0.5,
+        onUsage: usageHandler('system'),
+        signal,
+        context: { kind: 'report', report }
+      }).then(resolve, reject)
+    }));
+    const review = moderator.moderate(report.narrative, { maxChars: REPORT_MAX_CHARS });
+    noteFiltered('report', review.filtered);
+    report.narrative = review.text;
+    report.narrativeSource = provider.name;
+    call.end('ok');
+  } catch (err) {
+    call.end('error');
+    console.error(`Report narrative error (${provider.name}):`, err?.message || err);
+  }
+  if (!report.narrative) {
+    report.narrative = generateReportNarrative(report);
+    report.narrativeSource = 'template';
+  }
+  try {
+    await redisClient.set(`match_report:${report.id}`, JSON.stringify(report), 'EX', REPORT_TTL_SECONDS);
+  } catch (err) {
+    console.error('Report store error:', err?.message || err);
+  }
+  sendToAll(rooms.audience(room), { type: 'match_report', report });
+}
+
+async function storeReplay(room, result) {
+  if (!room.replay) return;
+  try {
+    await redisClient.set(`match_replay:${result.roomId}`, encodeReplay(room.replay.finish(result)), 'EX', REPLAY_TTL_SECONDS);
+  } catch (err) {
+    console.error('Replay store error:', err?.message || err);
+  }
+}
+
+// Update both players' profiles and ratings; rated matches tell the room the new ratings
+async function recordMatchResult(room, result) {
+  const longestRally = room.recorder ? room.recorder.summary().rallies.longest : 0;
+  try {
+    const ratings = await profiles.recordMatch({ ...result, longestRally });
+    if (ratings) sendToAll(rooms.audience(room), { type: 'rating_update', roomId: result.roomId, players: result.players, ratings });
+  } catch (err) {
+    console.error('Profile update error:', err?.message || err);
+  }
+}
+
+// Online 1v1 matches: the room loop owns physics; members' lastState follows the
+// authoritative snapshot so commentary/coach keep working during online play
+const rooms = createRoomManager({
+  send: sendMessage,
+  tickHz: MATCH_TICK_HZ,
+  snapshotHz: MATCH_SNAPSHOT_HZ,
+  matchPoints: MATCH_POINTS,
+  countdownSeconds: MATCH_COUNTDOWN_SECONDS,
+  onSnapshot: (room, state) => {
+    if (!room.recorder) room.recorder = createMatchRecorder();
+    if (!room.narrative) room.narrative = newNarrative(MATCH_POINTS);
+    room.recorder.observe(state, trackEvents(room, state));
+    if (!room.replay) room.replay = createReplayRecorder({ startedAt: room.startedAt, maxFrames: REPLAY_MAX_FRAMES });
+    room.replay.frame(state);
+    for (const ws of rooms.members(room)) {
+      const meta = metaByWs.get(ws);
+      if (!meta) continue;
+      meta.lastState = state;
+      rememberSnapshot(meta, state);
+    }
+  },
+  onMatchEnd: (room, result) => {
+    console.log('Match ended:', result.roomId, result.winner, result.reason, result.score);
+    recordMatchResult(room, result);
+    storeReplay(room, result);
+    publishMatchReport(room, result);
+  }
+});
+
+// Dropped connections waiting to be resumed; a kept session remembers the room its socket watched
+const sessions = createSessionRegistry({
+  graceMs: SESSION_GRACE_MS,
+  connections: metaByWs,
+  onDetach: (ws) => {
+    const watched = rooms.watching(ws);
+    rooms.disconnect(ws);
+    return { spectating: watched ? { roomId: watched.id, code: watched.private ? watched.code : null } : null };
+  },
+  onExpire: (ws, meta) => {
+    rooms.leave(ws);
+    console.log(`Session ${meta.sessionId} expired`);
+  },
+  onReplace: (ws, meta) => llmScheduler.cancel(`conn:${meta.id}`)
+});
+
+// Recent commentary/coach lines of a solo session (meta) or a match (room), replayed on resume
+function remember(holder, kind, text) {
+  if (!holder.history) holder.history = [];
+  holder.history.push({ kind, text, at: Date.now() });
+  if (holder.history.length > SESSION_HISTORY_LIMIT) holder.history.shift();
+}
+
+// Take over a session of the same user (lib/sessions.js); returns it (seat not restored yet) or null
+function claimSession(sessionId, ws) {
+  const session = sessions.resume(sessionId, ws);
+  if (!session) return null;
+  const meta = session.meta;
+  // the client starts a new state stream and input sequence on the new socket
+  meta.stateStream = createStateStreamDecoder();
+  meta.lastResyncAt = 0;
+  meta.lastInputSeq = -1;
+  meta.latency = createLatencyTracker();
+  metaByWs.set(ws, meta);
+  console.log(`Session ${sessionId} resumed by ${ws.user?.sub}`);
+  return session;
+}
+
+// Back into the kept seat (or the watched room), then replay coach state and recent lines
+function restoreSession(session, ws) {
+  const { meta } = session;
+  rooms.reconnect(session.ws, ws);
+  if (session.spectating) rooms.spectate(ws, session.spectating);
+  const room = rooms.roomOf(ws) || rooms.watching(ws);
+  const history = [...meta.history, ...(room?.history || [])].sort((a, b) => a.at - b.at).slice(-SESSION_HISTORY_LIMIT);
+  sendMessage(ws, { type: 'session_resumed', coachEnabled: meta.coachEnabled, coachLocked: !!meta.coachLocked, history });
+  sendMessage(ws, { type: 'settings', settings: meta.settings, options: describeOptions() });
+  // a reloaded client starts from the default difficulty
+  if (!room && ADAPTIVE_DIFFICULTY && meta.skill) sendMessage(ws, { type: 'control', control: meta.skill.current(), source: 'adaptive' });
+}
 
-wss.on('connection', (ws) => {
+// Saved settings for a new connection; until they load (or without Redis) the defaults apply
+async function loadSettings(ws, meta) {
+  if (ws.user?.sub && redisHealth.isUp()) {
+    try {
+      meta.settings = await settingsStore.get(ws.user.sub);
+    } catch (err) {
+      console.error('Settings lookup error:', err?.message || err);
+    }
+  }
+  sendMessage(ws, { type: 'settings', settings: meta.settings, options: describeOptions() });
+}
+
+wss.on('connection', (ws, req) => {
   console.log('WS connection:', ws.user?.sub || 'unknown');
-  metaByWs.set(ws, {
-    lastCommentAt: 0,
-    lastCoachAt: 0,
-    coachEnabled: false,
-    lastState: null
+  let resumeId = null;
+  try {
+    resumeId = new URL(req.url, `http://${req.headers.host}`).searchParams.get('resume');
+  } catch (e) { resumeId = null; }
+
+  const session = claimSession(resumeId, ws);
+  metric.connectionsTotal.inc({ resumed: session ? 'true' : 'false' });
+  let meta = session?.meta;
+  if (!meta) {
+    meta = {
+      id: crypto.randomBytes(6).toString('hex'),
+      sessionId: crypto.randomBytes(16).toString('hex'),
+      connectedAt: new Date().toISOString(),
+      lastCommentAt: 0,
+      lastCoachAt: 0,
+      coachEnabled: false,
+      lastState: null,
+      providerName: null,
+      skill: newSkillModel(),
+      eventDetector: createEventDetector(EVENT_OPTIONS),
+      narrative: newNarrative(null), // solo games have no match point
+      pendingEvent: null,
+      stateStream: createStateStreamDecoder(),
+      lastResyncAt: 0,
+      lastInputSeq: -1,
+      latency: createLatencyTracker(),
+      history: [],
+      conversation: [], // coach_ask turns: { role: 'user' | 'assistant', content }
+      recentSnapshots: [],
+      settings: { ...DEFAULT_SETTINGS }
+    };
+    metaByWs.set(ws, meta);
+  }
+
+  sendMessage(ws, {
+    type: 'welcome',
+    user: ws.user,
+    protocol: ws.protocol,
+    encodings: ENCODINGS,
+    stream: { hz: tiers.get(tiers.nameOf(ws.user)).stateStreamHz, keyframeIntervalMs: STATE_KEYFRAME_MS },
+    tier: tiers.get(tiers.nameOf(ws.user)),
+    session: { id: meta.sessionId, graceMs: SESSION_GRACE_MS, resumed: !!session },
+    providers: providers.names(),
+    provider: providerFor(meta, ws.user).name
   });
+  if (session) restoreSession(session, ws);
+  else loadSettings(ws, meta);
 
-  ws.send(JSON.stringify({ type: 'welcome', user: ws.user }));
+  ws.on('pong', () => onPong(ws));
+  heartbeat(ws); // first RTT sample right away
+
+  // A user who already spent today's budget (e.g. on another connection) starts capped
+  if (ws.user?.sub && !isBudgetCapped(ws.user) && redisHealth.isUp()) {
+    usage.today(ws.user.sub)
+      .then(totals => checkBudget(ws.user.sub, tiers.get(tiers.nameOf(ws.user)), totals))
+      .catch(err => console.error('Usage lookup error:', err?.message || err));
+  }
 
   ws.on('message', async (msg, isBinary) => {
     // Accept binary MessagePack or JSON
@@ -166,235 +1006,663 @@ wss.on('connection', (ws) => {
         data = JSON.parse(msg.toString());
       }
     } catch (e) {
-      ws.send(JSON.stringify({ type: 'error', message: 'invalid message' }));
+      metric.messagesIn.inc({ type: 'bad_frame' });
+      sendError(ws, ERROR_CODES.BAD_FRAME, 'invalid message');
+      return;
+    }
+
+    const frame = normalizeFrame(data, isBinary, ws.protocolVersion);
+    if (frame.error) {
+      metric.messagesIn.inc({ type: 'bad_frame' });
+      sendError(ws, frame.error.code, frame.error.message);
+      return;
+    }
+    const message = frame.message;
+    const type = message.type;
+    const known = isClientMessageType(type);
+    metric.messagesIn.inc({ type: known ? type : 'unknown' });
+    if (!known) {
+      sendError(ws, ERROR_CODES.UNKNOWN_TYPE, 'unknown message type', { ref: type });
+      return;
+    }
+
+    // Role check before anything else
+    if (!canSend(ws.user?.role, type)) {
+      sendError(ws, ERROR_CODES.FORBIDDEN, `${type} requires role ${minRoleFor(type)}`, { ref: type });
+      return;
+    }
+
+    const invalid = validateClientMessage(message);
+    if (invalid) {
+      sendError(ws, invalid.code, invalid.message, { ref: type, path: invalid.path });
       return;
     }
 
     const userKey = ws.user?.sub || 'anon';
 
-    // Handle frames
-    if (Array.isArray(data) && data[0] === 'state') {
-      // binary: ['state', stateObj]
+    if (type === 'state') {
+      // MessagePack ['state', state] (preferred) or JSON { type: 'state', state }
+      try {
+        await limitersFor(ws.user).state.consume(userKey);
+      } catch (rlRejected) {
+        metric.rateLimited.inc({ limiter: 'state' });
+        sendError(ws, ERROR_CODES.RATE_LIMITED, 'state rate limit exceeded', { ref: type });
+        return;
+      }
+      if (rooms.roomOf(ws) || rooms.watching(ws)) return; // the match room owns this connection's state
+      applySoloState(ws, metaByWs.get(ws), message.state);
+    } else if (type === 'state_key' || type === 'state_delta') {
+      // keyframes count against the state limit like full states, deltas against the stream rate
+      const limits = limitersFor(ws.user);
       try {
-        await stateLimiter.consume(userKey);
+        await (type === 'state_key' ? limits.state : limits.stream).consume(userKey);
       } catch (rlRejected) {
-        ws.send(JSON.stringify({ type: 'error', message: 'state rate limit exceeded' }));
+        metric.rateLimited.inc({ limiter: type === 'state_key' ? 'state' : 'stream' });
+        // excess deltas are dropped silently (the next one supersedes them)
+        if (type === 'state_key') sendError(ws, ERROR_CODES.RATE_LIMITED, 'state rate limit exceeded', { ref: type });
         return;
       }
-      const state = data[1];
+      if (rooms.roomOf(ws) || rooms.watching(ws)) return;
+      const meta = metaByWs.get(ws);
+      const result = meta.stateStream.accept(message);
+      if (result.error) {
+        metric.stateStreamErrors.inc({ reason: 'invalid' });
+        sendError(ws, ERROR_CODES.INVALID_MESSAGE, result.error, { ref: type });
+      } else if (result.ignored) {
+        metric.stateStreamErrors.inc({ reason: result.ignored });
+      } else if (result.resync) {
+        metric.stateStreamErrors.inc({ reason: 'unknown_base' });
+        // the delta's keyframe was lost: ask for a new one (once per STATE_RESYNC_MIN_MS)
+        if (Date.now() - meta.lastResyncAt < STATE_RESYNC_MIN_MS) return;
+        meta.lastResyncAt = Date.now();
+        sendMessage(ws, { type: 'state_resync', lastSeq: meta.stateStream.stats().lastSeq });
+      } else if (result.state) {
+        applySoloState(ws, meta, result.state);
+      }
+    } else if (type === 'coach_enable') {
       const meta = metaByWs.get(ws) || {};
-      meta.lastState = state;
+      if (meta.coachLocked && message.enable) {
+        sendError(ws, ERROR_CODES.COACH_LOCKED, 'coach disabled by an admin', { ref: type });
+        return;
+      }
+      meta.coachEnabled = !!message.enable;
+      meta.lastCoachAt = 0;
       metaByWs.set(ws, meta);
-      // no immediate commentary call; periodic worker will use meta.lastState
-    } else if (data && data.type === 'state') {
-      // text JSON state
+      sendMessage(ws, { type: 'coach_status', enabled: meta.coachEnabled });
+    } else if (type === 'coach_ask') {
+      // a player's question; the answer streams back as coach_chunk messages and ends with coach_answer
+      const meta = metaByWs.get(ws);
+      const question = message.question.trim();
+      if (meta.coachLocked) {
+        sendError(ws, ERROR_CODES.COACH_LOCKED, 'coach disabled by an admin', { ref: type });
+        return;
+      }
+      if (!question) {
+        sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'question is empty', { ref: type, path: 'question' });
+        return;
+      }
+      const key = `conn:${meta.id}`;
+      if (llmScheduler.has(key, 'coach_answer')) {
+        sendError(ws, ERROR_CODES.RATE_LIMITED, 'the coach is still answering your last question', { ref: type });
+        return;
+      }
+      const id = crypto.randomBytes(4).toString('hex');
+      llmScheduler.submit(key, {
+        kind: 'coach_answer',
+        isAlive: () => ws.readyState === ws.OPEN,
+        run: (signal) => streamCoachAnswer(ws, meta, { id, question }, signal)
+      });
+    } else if (type === 'input') {
+      // paddle target for an online match; late (out of order) and excess inputs are dropped
+      // silently (the next one supersedes them anyway)
+      const meta = metaByWs.get(ws);
+      if (message.seq !== undefined) {
+        if (message.seq <= meta.lastInputSeq) return;
+        meta.lastInputSeq = message.seq;
+      }
       try {
-        await stateLimiter.consume(userKey);
+        await inputLimiter.consume(userKey);
       } catch (rlRejected) {
-        ws.send(JSON.stringify({ type: 'error', message: 'state rate limit exceeded' }));
+        metric.rateLimited.inc({ limiter: 'input' });
+        return;
+      }
+      rooms.handleInput(ws, message.y);
+    } else if (type === 'create_room') {
+      const res = rooms.createAndJoin(ws, { name: message.name, private: !!message.private });
+      if (res.error) sendError(ws, ERROR_CODES.ROOM_REJECTED, res.error, { ref: type });
+    } else if (type === 'join_room') {
+      const res = rooms.joinRoom(ws, { roomId: message.roomId || null, code: message.code || null });
+      if (res.error) sendError(ws, ERROR_CODES.ROOM_REJECTED, res.error, { ref: type });
+    } else if (type === 'list_rooms') {
+      sendMessage(ws, { type: 'room_list', rooms: rooms.listRooms() });
+    } else if (type === 'ready') {
+      const res = rooms.setReady(ws, message.ready !== false);
+      if (res.error) sendError(ws, ERROR_CODES.ROOM_REJECTED, res.error, { ref: type });
+    } else if (type === 'quick_match') {
+      const res = rooms.quickMatch(ws);
+      if (res.error) sendError(ws, ERROR_CODES.ROOM_REJECTED, res.error, { ref: type });
+      else if (res.queued) sendMessage(ws, { type: 'quick_match_queued', position: res.position });
+    } else if (type === 'spectate') {
+      const res = rooms.spectate(ws, { roomId: message.roomId || null, code: message.code || null });
+      if (res.error) sendError(ws, ERROR_CODES.ROOM_REJECTED, res.error, { ref: type });
+    } else if (type === 'leave_room' || type === 'cancel_quick_match' || type === 'stop_spectating') {
+      rooms.leave(ws);
+      sendMessage(ws, { type: 'room_left' });
+    } else if (type === 'set_provider') {
+      if (!providers.has(message.provider)) {
+        sendError(ws, ERROR_CODES.UNKNOWN_PROVIDER, 'unknown provider', { ref: type });
         return;
       }
-      const state = data.state;
       const meta = metaByWs.get(ws) || {};
-      meta.lastState = state;
+      meta.providerName = message.provider;
       metaByWs.set(ws, meta);
-    } else if (data && data.type === 'coach_enable') {
+      // the choice is kept for tomorrow, but today's budget is spent
+      if (isBudgetCapped(ws.user)) sendMessage(ws, { type: 'provider_status', provider: 'template', reason: 'budget' });
+      else sendMessage(ws, { type: 'provider_status', provider: message.provider });
+    } else if (type === 'settings') {
+      // the same user's other connections (tabs) follow along
+      const meta = metaByWs.get(ws);
+      const settings = mergeSettings(meta.settings, message);
+      for (const client of wss.clients) {
+        const other = metaByWs.get(client);
+        if (client !== ws && (!ws.user?.sub || client.user?.sub !== ws.user.sub)) continue;
+        if (!other) continue;
+        other.settings = settings;
+        sendMessage(client, { type: 'settings', settings });
+      }
+      if (ws.user?.sub && redisHealth.isUp()) {
+        settingsStore.save(ws.user.sub, settings).catch(err => console.error('Settings save error:', err?.message || err));
+      }
+    } else if (type === 'report_line') {
+      try {
+        await lineReportLimiter.consume(userKey);
+      } catch (rlRejected) {
+        metric.rateLimited.inc({ limiter: 'line_report' });
+        sendError(ws, ERROR_CODES.RATE_LIMITED, 'too many reports, try again in a minute', { ref: type });
+        return;
+      }
+      const meta = metaByWs.get(ws);
+      const room = rooms.roomOf(ws) || rooms.watching(ws);
+      const text = message.text.trim();
+      const report = {
+        id: crypto.randomBytes(6).toString('hex'),
+        at: new Date().toISOString(),
+        userId: ws.user?.sub || null,
+        kind: message.kind,
+        text,
+        reason: message.reason || null,
+        // whether the line really went out to this connection recently
+        seen: [...(meta.history || []), ...(room?.history || [])].some(line => line.text === text),
+        roomId: room?.id || null,
+        provider: room ? providers.defaultName : providerFor(meta, ws.user).name,
+        settings: meta.settings
+      };
+      metric.lineReports.inc({ kind: report.kind });
+      console.log('Line reported:', JSON.stringify(report));
+      if (redisHealth.isUp()) lineReports.add(report).catch(err => console.error('Line report store error:', err?.message || err));
+      sendMessage(ws, { type: 'report_received', id: report.id });
+    } else if (type === 'skill_debug') {
       const meta = metaByWs.get(ws) || {};
-      meta.coachEnabled = !!data.enable;
-      meta.lastCoachAt = 0;
-      metaByWs.set(ws, meta);
-      ws.send(JSON.stringify({ type: 'coach_status', enabled: meta.coachEnabled }));
-    } else if (data && data.type === 'ping') {
-      ws.send(JSON.stringify({ type: 'pong', ts: Date.now() }));
-    } else {
-      ws.send(JSON.stringify({ type: 'error', message: 'unknown message type' }));
+      sendMessage(ws, {
+        type: 'skill_model',
+        enabled: ADAPTIVE_DIFFICULTY,
+        model: meta.skill ? meta.skill.inspect() : null
+      });
+    } else if (type === 'set_encoding') {
+      // the acknowledgement already goes out in the new encoding
+      ws.encoding = message.encoding;
+      sendMessage(ws, { type: 'encoding_status', encoding: ws.encoding });
+    } else if (type === 'ping') {
+      sendMessage(ws, { type: 'pong', ts: Date.now() });
     }
   });
 
-  ws.on('close', () => {
+  ws.on('close', (code) => {
+    const meta = metaByWs.get(ws);
     metaByWs.delete(ws);
+    if (meta) llmScheduler.cancel(`conn:${meta.id}`); // nothing more is generated for this socket
+    // a normal close (1000, e.g. logout) or a kick ends the session; dropped connections can resume
+    // until SESSION_GRACE_MS passes, then the seat is forfeited
+    if (meta && !meta.kicked && code !== 1000 && SESSION_GRACE_MS > 0) sessions.detach(ws, meta);
+    else rooms.leave(ws);
     console.log('WS disconnected');
   });
 });
 
-// Helper: simulated commentary (fallback)
-function generateSimulatedCommentary(state) {
-  const phrases = [
-    'Nice block!', 'Amazing reflex!', 'Edge of the paddle — nearly missed!', 'Fast return!', 'Deep to the corner!',
-    'Watch the angle!', 'Move early to intercept', 'Keep paddle centered', 'Aim low for a tough return'
-  ];
-  const p = phrases[Math.floor(Math.random() * phrases.length)];
-  if (Math.random() < 0.05) {
-    const aiSpeed = Math.max(2, Math.min(8, (state?.rightPaddle?.speed || 4) + (Math.random() < 0.5 ? -0.5 : 0.5)));
-    return JSON.stringify({ type: 'aiAdjust', aiSpeed: Number(aiSpeed.toFixed(2)) });
-  }
-  return p;
-}
-function generateSimulatedCoachTip(state) {
-  const tips = [
-    'Keep paddle centered and move small amounts; this reduces overcommit and increases reach for angled returns.',
-    'Anticipate opponent returns by watching their paddle center; move preemptively rather than reacting late.',
-    'Aim slightly ahead of the ball to push returns low — low angles are harder to reach and often cause misses.'
-  ];
-  return tips[Math.floor(Math.random() * tips.length)];
-}
-
-// Periodic worker: commentary for each connected client (reduced frequency)
-setInterval(async () => {
+// Server-initiated ping; the pong handler measures the round trip
+function heartbeat(ws) {
+  ws.isAlive = false;
+  ws.pingSentAt = Date.now();
+  ws.ping();
+}
+
+// Round trip measured: update RTT/jitter and tell the client its link quality and state stream rate
+function onPong(ws) {
+  if (ws.isAlive) return; // unsolicited
+  ws.isAlive = true;
+  const meta = metaByWs.get(ws);
+  if (!meta) return;
+  meta.latency.sample(Date.now() - ws.pingSentAt);
+  const { rttMs, jitterMs, quality } = meta.latency.snapshot();
+  const stateHz = meta.latency.streamHz(tiers.get(tiers.nameOf(ws.user)).stateStreamHz);
+  sendMessage(ws, { type: 'latency', rttMs, jitterMs, quality, stateHz });
+}
+
+// Heartbeat: a ping unanswered for a whole interval means a dead socket (its close handler still runs)
+setInterval(() => {
   const now = Date.now();
   for (const ws of wss.clients) {
     if (ws.readyState !== ws.OPEN) continue;
+    if (!ws.isAlive) {
+      if (now - ws.pingSentAt < HEARTBEAT_INTERVAL_MS) continue; // e.g. the first ping, sent on connect
+      console.log(`Terminating unresponsive connection (${ws.user?.sub || 'unknown'})`);
+      metric.terminated.inc();
+      ws.terminate();
+      continue;
+    }
+    heartbeat(ws);
+  }
+}, HEARTBEAT_INTERVAL_MS);
+
+// Helper: snapshot text for prompts (solo states score player/ai, online matches left/right)
+function formatSnapshot(s) {
+  const score = s.score && 'left' in s.score
+    ? `score left=${s.score.left} right=${s.score.right}`
+    : `score player=${s.score?.player} ai=${s.score?.ai}`;
+  const aiSpeed = s.rightPaddle.speed !== undefined ? ` speed=${Number(s.rightPaddle.speed)}` : '';
+  return `ball x=${Number(s.ball.x).toFixed(1)} y=${Number(s.ball.y).toFixed(1)} vx=${Number(s.ball.vx).toFixed(2)} vy=${Number(s.ball.vy).toFixed(2)}
+leftPaddle.y=${Number(s.leftPaddle.y).toFixed(1)}
+rightPaddle.y=${Number(s.rightPaddle.y).toFixed(1)}${aiSpeed}
+${score}
+running=${s.running}`;
+}
+
+// Helper: one-line description of a detected game event for prompts
+function formatEvent(ev, labels) {
+  const d = ev.details || {};
+  const who = (side) => labels[side] || side;
+  switch (ev.type) {
+    case 'paddle_hit': return `${who(d.side)} returned the ball (rally hit #${d.rally}, contact offset ${d.offset} from paddle center)`;
+    case 'wall_bounce': return `the ball bounced off the ${d.wall} wall`;
+    case 'point_scored': return `${who(d.scorer)} won the point after a ${d.rally}-hit rally; score is now ${d.score.left}-${d.score.right}`;
+    case 'long_rally': return `long rally in progress: ${d.rally} returns in a row`;
+    case 'near_miss': return d.missed
+      ? `${who(d.side)} missed the ball by only ${d.distance}px`
+      : `${who(d.side)} just saved it with the very edge of the paddle (offset ${d.offset})`;
+    case 'comeback': return `${who(d.side)} came back from ${d.from} points down and is ${d.leading ? 'now in the lead' : 'level'} at ${d.score.left}-${d.score.right}`;
+    default: return ev.type;
+  }
+}
+
+// Commentary targets: a solo connection gets its own stream; an online match gets one
+// shared stream fanned out to its players and spectators (one LLM call per match, not per viewer)
+function commentaryTargets() {
+  const targets = [];
+  for (const ws of wss.clients) {
+    if (ws.readyState !== ws.OPEN || rooms.roomOf(ws) || rooms.watching(ws)) continue;
     const meta = metaByWs.get(ws);
     if (!meta || !meta.lastState) continue;
-    if (now - (meta.lastCommentAt || 0) < COMMENTARY_INTERVAL_MS) continue;
+    const tier = tiers.get(tiers.nameOf(ws.user));
+    targets.push({
+      key: `conn:${meta.id}`, holder: meta, state: meta.lastState, audience: [ws], limiterKey: ws.user?.sub || 'anon', solo: true,
+      settings: meta.settings,
+      limiter: limitersFor(ws.user).commentary,
+      provider: providerFor(meta, ws.user),
+      model: tier.model,
+      onUsage: usageHandler(ws.user?.sub || 'anon', tier),
+      labels: { left: 'the player', right: 'the computer' }
+    });
+  }
+  for (const room of rooms.playingRooms()) {
+    if (!room.lastState) continue;
+    targets.push({
+      key: `room:${room.id}`, holder: room, state: room.lastState, audience: rooms.audience(room), limiterKey: `room:${room.id}`, solo: false,
+      settings: metaByWs.get(room.seats.left)?.settings || DEFAULT_SETTINGS,
+      limiter: limitersFor(null).commentary,
+      provider: providers.get(providers.defaultName),
+      onUsage: usageHandler('system'),
+      labels: { left: room.seats.left?.user?.sub || 'the left player', right: room.seats.right?.user?.sub || 'the right player' }
+    });
+  }
+  return targets;
+}
 
-    const userKey = ws.user?.sub || 'anon';
-    // enforce commentary limit per minute via Redis limiter
-    try {
-      await commentaryLimiter.consume(userKey);
-    } catch (rlRejected) {
-      ws.send(JSON.stringify({ type: 'commentary', text: '[commentary rate-limited]' }));
-      meta.lastCommentAt = now;
-      metaByWs.set(ws, meta);
+function sendToAll(sockets, obj) {
+  checkOutbound(obj);
+  let sent = 0;
+  for (const ws of sockets) {
+    if (ws.readyState !== ws.OPEN) continue;
+    ws.send(encodeFrame(obj, ws.encoding || 'json'));
+    sent += 1;
+  }
+  if (sent) metric.messagesOut.inc({ type: obj.type }, sent);
+}
+
+// Validate a model's adjust_game call; only in-range levers are forwarded as a control message
+function applyControlCall(audience, call) {
+  if (call.name !== 'adjust_game') {
+    console.warn('Ignoring unknown tool call:', call.name);
+    return;
+  }
+  const { control, rejected } = validateControl(call.arguments, CONTROL_LIMITS, MODEL_LEVERS);
+  if (rejected.length) console.warn('Rejected control values:', JSON.stringify(rejected), 'raw:', call.raw ?? JSON.stringify(call.arguments));
+  if (!control) return;
+  sendToAll(audience, { type: 'control', control });
+  sendToAll(audience, { type: 'commentary', text: `(Game adjusted: ${describeControl(control)})` });
+}
+
+// Commentary producer: picks the most relevant pending game event of each solo client and each
+// online match and hands it to the scheduler; runtimeSettings.commentaryIntervalMs is the minimum
+// gap between two lines, except that a more relevant event aborts the line being streamed
+setInterval(() => {
+  const now = Date.now();
+  for (const target of commentaryTargets()) {
+    const { holder, key } = target;
+    const event = holder.pendingEvent;
+    if (!event) continue;
+    if (now - event.at > EVENT_TTL_MS) { holder.pendingEvent = null; continue; }
+    const active = llmScheduler.active(key);
+    if (active?.kind === 'commentary' && event.priority > active.event.priority) {
+      llmScheduler.abort(key);
+    } else if (now - (holder.lastCommentAt || 0) < runtimeSettings.commentaryIntervalMs) {
       continue;
     }
+    holder.pendingEvent = null;
+    holder.lastCommentAt = now;
+    llmScheduler.submit(key, {
+      kind: 'commentary',
+      event,
+      isAlive: () => isOpenAudience(target.audience),
+      run: (signal) => streamCommentary(target, event, signal)
+    });
+  }
+}, COMMENTARY_POLL_MS);
 
-    meta.lastCommentAt = now;
-    metaByWs.set(ws, meta);
+function isOpenAudience(sockets) {
+  return sockets.some(ws => ws.readyState === ws.OPEN);
+}
 
-    const s = meta.lastState;
-    const systemPrompt = `You are a concise sports commentator for a Pong match. Reply with either one short (<25 words) lively commentary phrase or, if recommending an AI adjustment, output a single-line JSON ONLY like {"type":"aiAdjust","aiSpeed":<number>} with no other text.`;
-    const userPrompt = `Snapshot:
-ball x=${Number(s.ball.x).toFixed(1)} y=${Number(s.ball.y).toFixed(1)} vx=${Number(s.ball.vx).toFixed(2)} vy=${Number(s.ball.vy).toFixed(2)}
-leftPaddle.y=${Number(s.leftPaddle.y).toFixed(1)}
-rightPaddle.y=${Number(s.rightPaddle.y).toFixed(1)} speed=${Number(s.rightPaddle.speed)}
-score player=${s.score.player} ai=${s.score.ai}
-running=${s.running}
+// One commentary line for a target, streamed to its audience; stops early when aborted or
+// when nobody is left to hear it (an aborted line is closed off with what was said so far).
+// A line that repeats a recent one is thrown away before it is sent and written again
+// (COMMENTARY_RETRIES times), then skipped
+async function streamCommentary(target, event, signal) {
+  // enforce commentary limit per minute via Redis limiter
+  try {
+    await target.limiter.consume(target.limiterKey);
+  } catch (rlRejected) {
+    metric.rateLimited.inc({ limiter: 'commentary' });
+    sendToAll(target.audience, { type: 'commentary', text: '[commentary rate-limited]' });
+    return;
+  }
+  const rejected = [];
+  for (let attempt = 0; attempt <= COMMENTARY_RETRIES; attempt++) {
+    if (signal.aborted) return;
+    const repeated = await commentaryAttempt(target, event, signal, rejected);
+    if (!repeated) return;
+    rejected.push(repeated);
+    metric.commentaryRepeats.inc({ outcome: attempt < COMMENTARY_RETRIES ? 'regenerated' : 'dropped' });
+  }
+}
 
-Respond accordingly.`;
+// Write and stream one line; returns the text when it repeats a recent line (nothing was sent)
+async function commentaryAttempt(target, event, signal, rejected) {
+  const { holder, audience, solo, settings } = target;
+  const { narrative } = holder;
+  const s = target.state;
+  const length = lengthOf(settings);
+  const story = narrative.describe(target.labels);
+  const recent = narrative.recent();
+  // AI adjustments only make sense against the local computer paddle, so only solo games get the tool
+  const systemPrompt = `${commentatorPersona(settings)} ${solo
+    ? `React to the game event you are given with one short (<${length.words} words) commentary phrase. If the game is clearly mismatched, you may instead call the adjust_game function; never write adjustments as text.`
+    : `The match is an online 1v1 between two players (left and right). React to the game event you are given. Reply with one short (<${length.words} words) commentary phrase.`} Carry the match storylines (streaks, comebacks, match point) when they fit, and never reuse the wording of an earlier line. ${languageRule(settings)}`;
+  const userPrompt = `Event: ${event.type} — ${formatEvent(event, target.labels)}
+Event details: ${JSON.stringify(event.details)}
 
-    if (SIMULATED_MODE || !openaiClient) {
-      const out = generateSimulatedCommentary(s);
-      // If out is JSON control string, forward control
-      try {
-        const parsed = JSON.parse(out);
-        if (parsed && parsed.type === 'aiAdjust') {
-          ws.send(JSON.stringify({ type: 'control', control: parsed }));
-          ws.send(JSON.stringify({ type: 'commentary', text: `(AI speed set to ${parsed.aiSpeed})` }));
-          continue;
-        }
-      } catch (e) { /* not JSON */ }
-      ws.send(JSON.stringify({ type: 'commentary', text: out }));
-      continue;
-    }
+Match so far: ${story.length ? story.join('; ') : 'nothing notable yet'}
+Recent commentary (oldest first):
+${recent.length ? recent.map(line => `- ${line}`).join('\n') : '- none yet'}
+${rejected.length ? `Already rejected as repeats, say something new: ${rejected.map(line => `"${line}"`).join(', ')}\n` : ''}
+Snapshot:
+${formatSnapshot(s)}
 
-    // Streaming call using openai@4.6.0 chat completions with stream:true
-    try {
-      const stream = await openaiClient.chat.completions.create({
-        model: MODEL_NAME,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 64,
-        temperature: 0.8,
-        stream: true
-      });
+Respond accordingly.`;
 
-      // stream is an async iterable of chunks
-      let aggregated = '';
-      for await (const part of stream) {
-        const choices = part?.choices || [];
-        for (const ch of choices) {
-          const textChunk = ch?.delta?.content || ch?.delta?.text || ch?.text || '';
-          if (textChunk) {
-            aggregated += textChunk;
-            ws.send(JSON.stringify({ type: 'commentary_chunk', text: textChunk }));
-          }
-        }
+  const call = llmCall('commentary', target.provider);
+  // chunks pass the moderation filter a sentence at a time (lib/moderation.js) and fan out to the
+  // whole audience once the opening words are known not to repeat a line
+  const filter = moderator.createStreamFilter({ maxChars: COMMENTARY_MAX_CHARS });
+  let clean = '';
+  let sent = 0;
+  const release = () => {
+    if (clean.length > sent) sendToAll(audience, { type: 'commentary_chunk', text: clean.slice(sent) });
+    sent = clean.length;
+  };
+  try {
+    const stream = target.provider.stream({
+      system: systemPrompt,
+      user: userPrompt,
+      maxTokens: length.maxTokens,
+      temperature: 0.8,
+      tools: solo ? CONTROL_TOOLS : [],
+      model: target.model,
+      onUsage: target.onUsage,
+      signal,
+      context: { kind: 'commentary', state: s, event, solo, settings, narrative: narrative.highlights(), recent: recent.concat(rejected) }
+    });
+    for await (const item of stream) {
+      if (signal.aborted) break;
+      if (!isOpenAudience(audience)) {
+        llmScheduler.abort(target.key);
+        break;
       }
-
-      const finalText = (aggregated || '').trim();
-      // If JSON control
-      try {
-        const parsed = JSON.parse(finalText);
-        if (parsed && parsed.type === 'aiAdjust' && typeof parsed.aiSpeed === 'number') {
-          ws.send(JSON.stringify({ type: 'control', control: parsed }));
-          ws.send(JSON.stringify({ type: 'commentary', text: `(AI speed set to ${parsed.aiSpeed})` }));
-          continue;
+      if (item.type === 'tool_call') {
+        if (solo) applyControlCall(audience, item);
+        continue;
+      }
+      call.chunk();
+      clean += filter.push(item.text);
+      if (sent) {
+        release();
+      } else if (words(clean).length >= COMMENTARY_OPENING_WORDS) {
+        if (narrative.repeats(clean, { partial: true })) {
+          call.end('repeated');
+          return clean.trim();
         }
-      } catch (e) {
-        // not JSON
+        release();
       }
+    }
+  } catch (err) {
+    if (!signal.aborted) {
+      call.end('error');
+      console.error(`Commentary stream error (${target.provider.name}):`, err?.message || err);
+      sendToAll(audience, { type: 'commentary', text: '[commentary error]' });
+      return null;
+    }
+  }
 
-      ws.send(JSON.stringify({ type: 'commentary', text: finalText }));
-    } catch (err) {
-      console.error('OpenAI commentary stream error:', err?.message || err);
-      ws.send(JSON.stringify({ type: 'commentary', text: '[commentary error]' }));
+  if (signal.aborted) {
+    // only what was already said closes the line; the sentence still in the filter is dropped
+    call.end('aborted');
+    const said = clean.slice(0, sent).trim();
+    if (said) {
+      sendToAll(audience, { type: 'commentary', text: `${said}…` });
+      narrative.remember(said);
     }
+    noteFiltered('commentary', filter.filtered());
+    return null;
+  }
+  clean += filter.end();
+  noteFiltered('commentary', filter.filtered());
+  const finalText = clean.trim();
+  // a line shorter than the opening is checked whole
+  if (finalText && !sent && narrative.repeats(finalText)) {
+    call.end('repeated');
+    return finalText;
+  }
+  call.end('ok');
+  if (finalText) {
+    release();
+    sendToAll(audience, { type: 'commentary', text: finalText });
+    narrative.remember(finalText);
+    remember(holder, 'commentary', finalText);
+    if (holder.replay) holder.replay.caption(finalText, Date.now(), event);
   }
-}, Math.max(300, COMMENTARY_INTERVAL_MS));
+  return null;
+}
 
-// Coach periodic worker (longer tips)
-setInterval(async () => {
+// Coach producer (longer tips): checks every COACH_POLL_MS, tips are runtimeSettings.coachIntervalMs
+// apart; the tip shares its connection's scheduler queue with the commentary
+setInterval(() => {
   const now = Date.now();
   for (const ws of wss.clients) {
     if (ws.readyState !== ws.OPEN) continue;
     const meta = metaByWs.get(ws);
     if (!meta || !meta.coachEnabled || !meta.lastState) continue;
-    if (now - (meta.lastCoachAt || 0) < COACH_INTERVAL_MS) continue;
-
-    const userKey = ws.user?.sub || 'anon';
-    try {
-      await commentaryLimiter.consume(userKey);
-    } catch (e) {
-      ws.send(JSON.stringify({ type: 'coach', text: '[coach rate-limited]' }));
-      meta.lastCoachAt = now;
-      metaByWs.set(ws, meta);
-      continue;
-    }
-
+    if (now - (meta.lastCoachAt || 0) < runtimeSettings.coachIntervalMs) continue;
     meta.lastCoachAt = now;
-    metaByWs.set(ws, meta);
+    llmScheduler.submit(`conn:${meta.id}`, {
+      kind: 'coach',
+      isAlive: () => ws.readyState === ws.OPEN && meta.coachEnabled,
+      run: (signal) => completeCoachTip(ws, meta, signal)
+    });
+  }
+}, COACH_POLL_MS);
 
-    const s = meta.lastState;
-    const systemPrompt = `You are a Pong coach giving one concise strategy tip (about 40-60 words) focusing on positioning and timing.`;
-    const userPrompt = `Snapshot:
-ball x=${Number(s.ball.x).toFixed(1)} y=${Number(s.ball.y).toFixed(1)} vx=${Number(s.ball.vx).toFixed(2)} vy=${Number(s.ball.vy).toFixed(2)}
-leftPaddle.y=${Number(s.leftPaddle.y).toFixed(1)}
-rightPaddle.y=${Number(s.rightPaddle.y).toFixed(1)} speed=${Number(s.rightPaddle.speed)}
-score player=${s.score.player} ai=${s.score.ai}
-running=${s.running}
+async function completeCoachTip(ws, meta, signal) {
+  const userKey = ws.user?.sub || 'anon';
+  try {
+    await limitersFor(ws.user).commentary.consume(userKey);
+  } catch (e) {
+    metric.rateLimited.inc({ limiter: 'coach' });
+    sendMessage(ws, { type: 'coach', text: '[coach rate-limited]' });
+    return;
+  }
+  if (signal.aborted) return;
+
+  const s = meta.lastState;
+  const { settings } = meta;
+  const systemPrompt = `${coachPersona(settings)} Give one concise strategy tip (at most ${lengthOf(settings).coachWords} words) focusing on ${coachTopic(settings)}. ${languageRule(settings)}`;
+  const userPrompt = `Snapshot:
+${formatSnapshot(s)}
 
 Provide one coaching tip.`;
 
-    if (SIMULATED_MODE || !openaiClient) {
-      ws.send(JSON.stringify({ type: 'coach', text: generateSimulatedCoachTip(s) }));
-      continue;
+  const provider = providerFor(meta, ws.user);
+  const tier = tiers.get(tiers.nameOf(ws.user));
+  const call = llmCall('coach', provider);
+  try {
+    // Non-streaming for coach tips
+    const coachText = await provider.complete({
+      system: systemPrompt,
+      user: userPrompt,
+      maxTokens: 200,
+      temperature: 0.7,
+      model: tier.model,
+      onUsage: usageHandler(userKey, tier),
+      signal,
+      context: { kind: 'coach', state: s, settings }
+    });
+    if (signal.aborted) {
+      call.end('aborted');
+      return;
+    }
+    call.end('ok');
+    const tip = moderator.moderate(coachText, { maxChars: COACH_MAX_CHARS });
+    noteFiltered('coach', tip.filtered);
+    sendMessage(ws, { type: 'coach', text: tip.text || (coachText ? '[coach tip withheld]' : '[coach error]') });
+    if (tip.text) remember(meta, 'coach', tip.text);
+  } catch (err) {
+    if (signal.aborted) {
+      call.end('aborted');
+      return;
     }
+    call.end('error');
+    console.error(`Coach call error (${provider.name}):`, err?.message || err);
+    sendMessage(ws, { type: 'coach', text: '[coach error]' });
+  }
+}
 
-    try {
-      // Non-streaming for coach tips
-      const resp = await openaiClient.chat.completions.create({
-        model: MODEL_NAME,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 200,
-        temperature: 0.7,
-        stream: false
-      });
+// Answer a player's question with the session's earlier turns, their skill stats and recent snapshots
+async function streamCoachAnswer(ws, meta, { id, question }, signal) {
+  const userKey = ws.user?.sub || 'anon';
+  try {
+    await limitersFor(ws.user).commentary.consume(userKey);
+  } catch (e) {
+    metric.rateLimited.inc({ limiter: 'coach' });
+    sendError(ws, ERROR_CODES.RATE_LIMITED, 'coach rate limit exceeded, ask again in a minute', { ref: 'coach_ask' });
+    return;
+  }
+  if (signal.aborted) return;
 
-      const coachText = resp?.choices?.[0]?.message?.content ?? resp?.choices?.[0]?.text ?? '[coach error]';
-      ws.send(JSON.stringify({ type: 'coach', text: String(coachText).trim() }));
-    } catch (err) {
-      console.error('Coach call error:', err?.message || err);
-      ws.send(JSON.stringify({ type: 'coach', text: '[coach error]' }));
+  const room = rooms.roomOf(ws);
+  const side = room ? (room.seats.left === ws ? 'left' : 'right') : 'left';
+  const stats = meta.skill && !room ? meta.skill.inspect().stats : null;
+  const snapshots = meta.recentSnapshots.map(({ at, state }) => `${Math.round((Date.now() - at) / 1000)}s ago:\n${formatSnapshot(state)}`);
+  const { settings } = meta;
+  const systemPrompt = `${coachPersona(settings)} You are chatting with a player who controls the ${side} paddle${room ? ' in an online match' : ' against the computer'}. Answer their question in under ${lengthOf(settings).coachWords + 20} words, specifically and practically, using their stats and recent snapshots when they help. If the data cannot explain it, say so and name the most likely cause. ${languageRule(settings)}`;
+  const userPrompt = `Player stats: ${stats ? JSON.stringify(stats) : 'not available'}
+Recent snapshots (oldest first):
+${snapshots.length ? snapshots.join('\n') : 'none yet'}
+
+Question: ${question}`;
+
+  const provider = providerFor(meta, ws.user);
+  const tier = tiers.get(tiers.nameOf(ws.user));
+  const call = llmCall('coach_answer', provider);
+  // the answer streams out a moderated sentence at a time
+  const filter = moderator.createStreamFilter({ maxChars: COACH_MAX_CHARS });
+  let answer = '';
+  let written = false;
+  const forward = (text) => {
+    if (!text) return;
+    answer += text;
+    sendMessage(ws, { type: 'coach_chunk', id, text });
+  };
+  try {
+    const stream = provider.stream({
+      system: systemPrompt,
+      user: userPrompt,
+      history: meta.conversation,
+      maxTokens: 200,
+      temperature: 0.6,
+      model: tier.model,
+      onUsage: usageHandler(userKey, tier),
+      signal,
+      context: { kind: 'coach_answer', question, stats, state: meta.lastState, settings }
+    });
+    for await (const item of stream) {
+      if (signal.aborted) break;
+      if (item.type !== 'text') continue;
+      call.chunk();
+      written = true;
+      forward(filter.push(item.text));
+    }
+  } catch (err) {
+    if (!signal.aborted) {
+      call.end('error');
+      console.error(`Coach answer error (${provider.name}):`, err?.message || err);
+      sendMessage(ws, { type: 'coach_answer', id, question, text: '[coach error]' });
+      return;
     }
   }
-}, COACH_INTERVAL_MS);
+  if (signal.aborted) {
+    call.end('aborted');
+    return;
+  }
+  call.end('ok');
+  forward(filter.end());
+  noteFiltered('coach_answer', filter.filtered());
+  answer = answer.trim();
+  sendMessage(ws, { type: 'coach_answer', id, question, text: answer || (written ? '[answer withheld]' : '[coach error]') });
+  if (!answer) return;
+  // only the question goes into the memory; stats and snapshots are fresh in every prompt
+  meta.conversation.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+  meta.conversation.splice(0, Math.max(0, meta.conversation.length - COACH_MEMORY_TURNS * 2));
+  remember(meta, 'coach', answer);
+}
 
 server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT} (WS subprotocol: pong-proto.v1)`);
+  console.log(`Server listening on http://localhost:${PORT} (WS subprotocols: ${PROTOCOLS.join(', ')})`);
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Redis = require('ioredis-mock');
+const { createAccountStore, hashPassword, verifyPassword } = require('../lib/accounts');
+
+const SECRET = 'test-secret';
+
+async function store(opts = {}) {
+  const redis = new Redis();
+  await redis.flushall(); // ioredis-mock instances share one keyspace
+  return createAccountStore({ redis, jwtSecret: SECRET, ...opts });
+}
+
+test('verifyPassword accepts the password and rejects anything else', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('correct horsE', stored), false);
+  assert.equal(await verifyPassword('correct horse', 'plain$text'), false);
+});
+
+test('register validates input and keeps usernames unique regardless of case', async () => {
+  const accounts = await store();
+  assert.equal((await accounts.register('a', 'long enough')).status, 400);
+  assert.equal((await accounts.register('alice', 'short')).status, 400);
+  assert.equal((await accounts.register('alice', 'long enough', 'admin')).status, 400);
+  const session = await accounts.register('Alice', 'long enough');
+  assert.deepEqual(session.user, { id: 'alice', username: 'Alice', role: 'player', tier: null });
+  assert.equal(jwt.verify(session.accessToken, SECRET).sub, 'alice');
+  assert.equal((await accounts.register('ALICE', 'long enough')).status, 409);
+});
+
+test('login needs the right password', async () => {
+  const accounts = await store();
+  await accounts.register('alice', 'long enough');
+  assert.equal((await accounts.login('alice', 'long enougH')).status, 401);
+  assert.equal((await accounts.login('nobody', 'long enough')).status, 401);
+  assert.equal((await accounts.login('Alice', 'long enough')).user.id, 'alice');
+});
+
+test('a refresh token rotates once', async () => {
+  const accounts = await store();
+  const { refreshToken } = await accounts.register('alice', 'long enough');
+  const next = await accounts.refresh(refreshToken);
+  assert.ok(next.accessToken);
+  assert.notEqual(next.refreshToken, refreshToken);
+  assert.ok((await accounts.refresh(next.refreshToken)).accessToken);
+});
+
+test('reusing a rotated refresh token revokes the whole family', async () => {
+  const accounts = await store();
+  const { refreshToken } = await accounts.register('alice', 'long enough');
+  const next = await accounts.refresh(refreshToken);
+  assert.deepEqual(await accounts.refresh(refreshToken), { error: 'refresh token reused; session revoked', status: 401 });
+  assert.deepEqual(await accounts.refresh(next.refreshToken), { error: 'session revoked', status: 401 });
+  // other sessions of the same user are separate families
+  const other = await accounts.login('alice', 'long enough');
+  assert.ok((await accounts.refresh(other.refreshToken)).accessToken);
+});
+
+test('two refreshes racing with one token: exactly one wins', async () => {
+  const accounts = await store();
+  const { refreshToken } = await accounts.register('alice', 'long enough');
+  const results = await Promise.all([accounts.refresh(refreshToken), accounts.refresh(refreshToken)]);
+  assert.equal(results.filter(r => r.accessToken).length, 1);
+  assert.equal(results.filter(r => r.status === 401).length, 1);
+});
+
+test('unknown refresh tokens are rejected', async () => {
+  const accounts = await store();
+  assert.equal((await accounts.refresh('')).status, 401);
+  assert.deepEqual(await accounts.refresh('nope'), { error: 'invalid refresh token', status: 401 });
+});
+
+test('logout revokes the access token and the refresh family', async () => {
+  const accounts = await store();
+  const { accessToken, refreshToken } = await accounts.register('alice', 'long enough');
+  const claims = jwt.verify(accessToken, SECRET);
+  assert.equal(await accounts.isRevoked(claims), false);
+  await accounts.logout(claims, refreshToken);
+  // the same check the WebSocket upgrade and the HTTP API run on every token
+  assert.equal(await accounts.isRevoked(claims), true);
+  assert.equal((await accounts.refresh(refreshToken)).status, 401);
+});
+
+test('logout ignores a refresh token that belongs to someone else', async () => {
+  const accounts = await store();
+  const alice = await accounts.register('alice', 'long enough');
+  const bob = await accounts.register('bob', 'long enough');
+  await accounts.logout(jwt.verify(alice.accessToken, SECRET), bob.refreshToken);
+  assert.ok((await accounts.refresh(bob.refreshToken)).accessToken);
+});
+
+test('a new tier shows up in the next access token', async () => {
+  const accounts = await store();
+  const { refreshToken } = await accounts.register('alice', 'long enough');
+  assert.equal((await accounts.setTier('alice', 'pro')).tier, 'pro');
+  const next = await accounts.refresh(refreshToken);
+  assert.equal(jwt.verify(next.accessToken, SECRET).tier, 'pro');
+  assert.equal((await accounts.setTier('nobody', 'pro')).status, 404);
+});
+
+test('an ADMIN_USERS name cannot be registered without provisioning', async () => {
+  const accounts = await store({ adminUsers: ['Root'] });
+  assert.deepEqual(await accounts.register('root', 'long enough'), { error: 'username is reserved for an administrator', status: 403 });
+  assert.equal((await accounts.register('ROOT', 'long enough', 'spectator')).status, 403);
+  assert.equal(await accounts.getAccount('root'), null);
+});
+
+test('a provisioned admin gets the admin role until the name is unlisted', async () => {
+  const accounts = await store({ adminUsers: ['root'] });
+  const session = await accounts.register('root', 'long enough', 'player', { provisionAdmin: true });
+  assert.equal(session.user.role, 'admin');
+  assert.equal(jwt.verify(session.accessToken, SECRET).role, 'admin');
+  const redis = new Redis();
+  const unlisted = createAccountStore({ redis, jwtSecret: SECRET });
+  assert.equal(jwt.verify((await unlisted.refresh(session.refreshToken)).accessToken, SECRET).role, 'player');
+});
+
+test('listing the name of an existing account does not make it an admin', async () => {
+  const accounts = await store();
+  const { refreshToken } = await accounts.register('mallory', 'long enough');
+  const listed = createAccountStore({ redis: new Redis(), jwtSecret: SECRET, adminUsers: ['mallory'] });
+  const next = await listed.refresh(refreshToken);
+  assert.equal(jwt.verify(next.accessToken, SECRET).role, 'player');
+  assert.equal((await listed.login('mallory', 'long enough')).user.role, 'player');
+});
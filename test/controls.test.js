@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadControlLimits, controlFunction, validateControl, describeControl } = require('../lib/controls');
+
+const limits = loadControlLimits({});
+
+test('limits come from the environment with defaults for missing or bad values', () => {
+  assert.deepEqual(limits.aiSpeed, { min: 2, max: 8 });
+  const custom = loadControlLimits({ CONTROL_AI_SPEED_MAX: '12', CONTROL_AI_ERROR_MIN: 'lots' });
+  assert.deepEqual(custom.aiSpeed, { min: 2, max: 12 });
+  assert.deepEqual(custom.aiError, { min: 0, max: 60 });
+});
+
+test('the function definition lists only the allowed levers with their ranges', () => {
+  const fn = controlFunction(limits, ['ballSpeedCap']);
+  assert.equal(fn.name, 'adjust_game');
+  assert.deepEqual(Object.keys(fn.parameters.properties), ['ballSpeedCap', 'serveDirection', 'reason']);
+  assert.equal(fn.parameters.properties.ballSpeedCap.minimum, 8);
+  assert.equal(fn.parameters.properties.ballSpeedCap.maximum, 16);
+});
+
+test('values inside their range are accepted and rounded to 2 decimals', () => {
+  const { control, rejected } = validateControl({ aiSpeed: 4.5678, paddleHeight: 120, serveDirection: 'player', reason: 'close game' }, limits);
+  assert.deepEqual(control, { type: 'adjust', aiSpeed: 4.57, paddleHeight: 120, serveDirection: 'player' });
+  assert.deepEqual(rejected, []);
+});
+
+test('out-of-range values are rejected, not clamped, and the rest still applies', () => {
+  const { control, rejected } = validateControl({ aiSpeed: 99, aiError: 10 }, limits);
+  assert.deepEqual(control, { type: 'adjust', aiError: 10 });
+  assert.deepEqual(rejected, [{ field: 'aiSpeed', reason: 'out of range 2-8' }]);
+});
+
+test('non-numbers, bad serve directions and unknown levers are rejected', () => {
+  const { control, rejected } = validateControl({ aiSpeed: '5', serveDirection: 'up', gravity: 2 }, limits);
+  assert.equal(control, null);
+  assert.deepEqual(rejected, [
+    { field: 'aiSpeed', reason: 'not a number' },
+    { field: 'serveDirection', reason: 'must be one of auto, player, computer' },
+    { field: 'gravity', reason: 'unknown lever' }
+  ]);
+});
+
+test('levers outside the allowed set are unknown', () => {
+  const { control, rejected } = validateControl({ aiSpeed: 4, ballSpeedCap: 10 }, limits, ['ballSpeedCap', 'paddleHeight']);
+  assert.deepEqual(control, { type: 'adjust', ballSpeedCap: 10 });
+  assert.deepEqual(rejected, [{ field: 'aiSpeed', reason: 'unknown lever' }]);
+});
+
+test('arguments that are not an object, or that change nothing, give no control', () => {
+  assert.equal(validateControl([1], limits).control, null);
+  assert.equal(validateControl(null, limits).rejected[0].field, '*');
+  assert.deepEqual(validateControl({ reason: 'just because' }, limits), { control: null, rejected: [] });
+});
+
+test('describeControl names each changed lever', () => {
+  assert.equal(describeControl({ type: 'adjust', aiError: 10, serveDirection: 'auto' }), 'AI aim error 10px, serve auto');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventDetector, pickEvent, scoreOf } = require('../lib/events');
+
+// A minimal online snapshot; both paddles span y 200..300
+function snap({ x = 400, y = 250, vx = 5, vy = 2, left = 0, right = 0, running = true } = {}) {
+  return {
+    ball: { x, y, vx, vy, r: 8 },
+    leftPaddle: { x: 10, y: 200, width: 12, height: 100 },
+    rightPaddle: { x: 778, y: 200, width: 12, height: 100 },
+    score: { left, right },
+    running
+  };
+}
+
+const types = (events) => events.map(e => e.type);
+
+test('scoreOf reads online and solo scores', () => {
+  assert.deepEqual(scoreOf({ score: { left: 2, right: 1 } }), { left: 2, right: 1 });
+  assert.deepEqual(scoreOf({ score: { player: 3, ai: 4 } }), { left: 3, right: 4 });
+});
+
+test('the first snapshot and invalid states produce no events', () => {
+  const d = createEventDetector();
+  assert.deepEqual(d.detect({ ball: {} }), []);
+  assert.deepEqual(d.detect(snap()), []);
+});
+
+test('a reversed horizontal velocity is a paddle hit on that side and counts the rally', () => {
+  const d = createEventDetector();
+  d.detect(snap({ vx: -5 }));
+  const events = d.detect(snap({ vx: 5 }), 1000);
+  assert.deepEqual(events, [{ type: 'paddle_hit', priority: 2, at: 1000, details: { side: 'left', rally: 1, offset: 0 } }]);
+  assert.equal(d.rally(), 1);
+});
+
+test('an edge hit is also a near miss', () => {
+  const d = createEventDetector();
+  d.detect(snap({ vx: 5 }));
+  const events = d.detect(snap({ vx: -5, y: 295 }));
+  assert.deepEqual(types(events), ['paddle_hit', 'near_miss']);
+  assert.deepEqual(events[1].details, { side: 'right', offset: 0.9, missed: false });
+});
+
+test('a vertical flip without a paddle hit is a wall bounce', () => {
+  const d = createEventDetector();
+  d.detect(snap({ vy: -3 }));
+  const events = d.detect(snap({ vy: 3 }));
+  assert.deepEqual(types(events), ['wall_bounce']);
+  assert.deepEqual(events[0].details, { wall: 'top' });
+});
+
+test('a paused ball produces no hits or bounces', () => {
+  const d = createEventDetector();
+  d.detect(snap({ vx: -5, vy: -3 }));
+  assert.deepEqual(d.detect(snap({ vx: 5, vy: 3, running: false })), []);
+});
+
+test('long rallies are announced at the threshold and every 4 hits after it', () => {
+  const d = createEventDetector({ longRallyHits: 2 });
+  d.detect(snap({ vx: -5 }));
+  const announced = [];
+  for (let i = 1; i <= 7; i++) {
+    const events = d.detect(snap({ vx: i % 2 ? 5 : -5 }));
+    if (types(events).includes('long_rally')) announced.push(i);
+  }
+  assert.deepEqual(announced, [2, 6]);
+});
+
+test('a point reports the scorer, the rally and how far the loser missed', () => {
+  const d = createEventDetector();
+  d.detect(snap({ vx: -5 }));
+  d.detect(snap({ vx: 5 }));
+  d.detect(snap({ vx: 5, y: 310 }));
+  const events = d.detect(snap({ left: 1, running: false }));
+  assert.deepEqual(types(events), ['point_scored', 'near_miss']);
+  assert.deepEqual(events[0].details, { scorer: 'left', score: { left: 1, right: 0 }, rally: 1, missDistance: 10 });
+  assert.deepEqual(events[1].details, { side: 'right', distance: 10, missed: true });
+  assert.equal(d.rally(), 0);
+});
+
+test('a clear miss is not a near miss', () => {
+  const d = createEventDetector();
+  d.detect(snap({ y: 450 }));
+  assert.deepEqual(types(d.detect(snap({ right: 1 }))), ['point_scored']);
+});
+
+test('drawing level after trailing by the comeback deficit is a comeback', () => {
+  const d = createEventDetector({ comebackDeficit: 3 });
+  d.detect(snap({ y: 450 }));
+  let score = { left: 0, right: 0 };
+  const seen = [];
+  const point = (side) => {
+    score = { ...score, [side]: score[side] + 1 };
+    seen.push(...d.detect(snap({ y: 450, ...score })));
+  };
+  ['right', 'right', 'right', 'left', 'left'].forEach(point);
+  assert.ok(!types(seen).includes('comeback'));
+  point('left');
+  const comeback = seen.find(e => e.type === 'comeback');
+  assert.deepEqual(comeback.details, { side: 'left', from: 3, score: { left: 3, right: 3 }, leading: false });
+});
+
+test('a score that goes backwards starts a new match without events', () => {
+  const d = createEventDetector();
+  d.detect(snap({ left: 4, right: 2 }));
+  assert.deepEqual(d.detect(snap({ y: 450, left: 0, right: 0 })), []);
+  assert.deepEqual(types(d.detect(snap({ y: 450, left: 0, right: 1 }))), ['point_scored']);
+});
+
+test('pickEvent keeps the highest priority and prefers the newest among equals', () => {
+  const hit = { type: 'paddle_hit', priority: 2, at: 1 };
+  const point = { type: 'point_scored', priority: 5, at: 2 };
+  const laterHit = { type: 'paddle_hit', priority: 2, at: 3 };
+  assert.equal(pickEvent(null, [hit, point, laterHit]), point);
+  assert.equal(pickEvent(hit, [laterHit]), laterHit);
+  assert.equal(pickEvent(point, []), point);
+});
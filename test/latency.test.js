@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLatencyTracker } = require('../lib/latency');
+
+function tracker(samples) {
+  const latency = createLatencyTracker();
+  for (const ms of samples) latency.sample(ms);
+  return latency;
+}
+
+test('no samples yet: no quality and the tier rate unchanged', () => {
+  const latency = createLatencyTracker();
+  assert.equal(latency.quality(), null);
+  assert.equal(latency.streamHz(30), 30);
+  assert.deepEqual(latency.snapshot(), { rttMs: null, jitterMs: 0, lastRttMs: null, quality: null, samples: 0 });
+});
+
+test('rtt moves 1/8 and jitter 1/16 of the way per sample', () => {
+  const latency = tracker([100, 120]);
+  // rtt 100 + (120 - 100) / 8, jitter 0 + |120 - 100| / 16
+  assert.deepEqual(latency.snapshot(), { rttMs: 103, jitterMs: 1, lastRttMs: 120, quality: 'fair', samples: 2 });
+  latency.sample(40);
+  // rtt 102.5 + (40 - 102.5) / 8 = 94.69, jitter 1.25 + (80 - 1.25) / 16 = 6.17
+  assert.deepEqual(latency.snapshot(), { rttMs: 95, jitterMs: 6, lastRttMs: 40, quality: 'good', samples: 3 });
+});
+
+test('one slow round trip does not flip a good link', () => {
+  const latency = tracker([50, 50, 50, 50, 400]);
+  assert.equal(latency.snapshot().rttMs, 94);
+  assert.equal(latency.quality(), 'good');
+});
+
+test('quality buckets by both rtt and jitter', () => {
+  assert.equal(tracker([100]).quality(), 'good');
+  assert.equal(tracker([101]).quality(), 'fair');
+  assert.equal(tracker([250]).quality(), 'fair');
+  assert.equal(tracker([251]).quality(), 'poor');
+  // low rtt but a jittery link: alternating 20/100 ms drives jitter past 30 ms
+  const jittery = tracker(Array.from({ length: 40 }, (_, i) => (i % 2 ? 100 : 20)));
+  assert.ok(jittery.snapshot().rttMs <= 100);
+  assert.equal(jittery.quality(), 'fair');
+});
+
+test('slower links get a share of the tier stream rate, never below the floor', () => {
+  assert.equal(tracker([50]).streamHz(30), 30);
+  assert.equal(tracker([200]).streamHz(30), 15);
+  assert.equal(tracker([400]).streamHz(30), 8);
+  assert.equal(tracker([400]).streamHz(60), 15);
+  assert.equal(tracker([400]).streamHz(12), 5); // 3 Hz is below the 5 Hz floor
+  assert.equal(tracker([400]).streamHz(4), 4); // the floor never exceeds the tier rate
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+
+test('a known registry renders in the text exposition format', () => {
+  const metrics = createMetrics({ prefix: 'pong_' });
+  const messages = metrics.counter('messages_total', 'Messages received', ['type']);
+  metrics.gauge('rooms', 'Open rooms', [], () => 2);
+  const latency = metrics.histogram('llm_seconds', 'LLM latency', ['kind'], [0.5, 1]);
+  messages.inc({ type: 'input' });
+  messages.inc({ type: 'input' }, 2);
+  messages.inc({ type: 'ping' });
+  latency.observe({ kind: 'commentary' }, 0.25);
+  latency.observe({ kind: 'commentary' }, 0.75);
+  latency.observe({ kind: 'commentary' }, 3);
+  assert.equal(metrics.render(), [
+    '# HELP pong_messages_total Messages received',
+    '# TYPE pong_messages_total counter',
+    'pong_messages_total{type="input"} 3',
+    'pong_messages_total{type="ping"} 1',
+    '# HELP pong_rooms Open rooms',
+    '# TYPE pong_rooms gauge',
+    'pong_rooms 2',
+    '# HELP pong_llm_seconds LLM latency',
+    '# TYPE pong_llm_seconds histogram',
+    'pong_llm_seconds_bucket{kind="commentary",le="0.5"} 1',
+    'pong_llm_seconds_bucket{kind="commentary",le="1"} 2',
+    'pong_llm_seconds_bucket{kind="commentary",le="+Inf"} 3',
+    'pong_llm_seconds_sum{kind="commentary"} 4',
+    'pong_llm_seconds_count{kind="commentary"} 3',
+    ''
+  ].join('\n'));
+});
+
+test('label values escape backslashes, quotes and newlines', () => {
+  const metrics = createMetrics();
+  metrics.counter('errors_total', 'Errors', ['reason']).inc({ reason: 'say "hi"\\\nbye' });
+  assert.match(metrics.render(), /^errors_total\{reason="say \\"hi\\"\\\\\\nbye"\} 1$/m);
+});
+
+test('histograms without labels still get le on every bucket', () => {
+  const metrics = createMetrics();
+  metrics.histogram('wait_seconds', 'Queue wait', [], [1]).observe({}, 2);
+  const lines = metrics.render().split('\n');
+  assert.ok(lines.includes('wait_seconds_bucket{le="1"} 0'));
+  assert.ok(lines.includes('wait_seconds_bucket{le="+Inf"} 1'));
+  assert.ok(lines.includes('wait_seconds_sum 2'));
+  assert.ok(lines.includes('wait_seconds_count 1'));
+});
+
+test('gauges set per label set or collected at scrape time', () => {
+  const metrics = createMetrics();
+  const queue = metrics.gauge('queue_depth', 'Queued jobs', ['kind']);
+  queue.set({ kind: 'coach' }, 1);
+  queue.set({ kind: 'coach' }, 4);
+  let live = 1;
+  metrics.gauge('connections', 'Open sockets', ['quality'], () => [[{ quality: 'good' }, live], [{ quality: 'poor' }, 0]]);
+  live = 5;
+  const body = metrics.render();
+  assert.match(body, /^queue_depth\{kind="coach"\} 4$/m);
+  assert.match(body, /^connections\{quality="good"\} 5$/m);
+  assert.match(body, /^connections\{quality="poor"\} 0$/m);
+});
+
+test('a counter with no increments renders only its HELP and TYPE', () => {
+  const metrics = createMetrics();
+  metrics.counter('idle_total', 'Never incremented');
+  assert.equal(metrics.render(), '# HELP idle_total Never incremented\n# TYPE idle_total counter\n');
+});
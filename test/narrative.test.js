@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatchNarrative, findRepeat, similarity, words } = require('../lib/narrative');
+
+const point = (scorer, left, right, rally = 2) => ({ type: 'point_scored', details: { scorer, score: { left, right }, rally } });
+
+test('words ignore case, accents and punctuation', () => {
+  assert.deepEqual(words('¡Qué reflejos!'), ['que', 'reflejos']);
+  assert.deepEqual(words('  '), []);
+});
+
+test('similarity is 1 for the same wording and 0 for nothing in common', () => {
+  assert.equal(similarity('What a rally!', 'what a RALLY'), 1);
+  assert.equal(similarity('Nice block!', 'Off the wall!'), 0);
+  assert.equal(similarity('', 'anything'), 0);
+});
+
+test('findRepeat catches near-duplicates but not lines that share a word or two', () => {
+  const lines = ['What a rally, neither side will give an inch!'];
+  assert.equal(findRepeat('What a rally — neither side will give an inch', lines), lines[0]);
+  assert.equal(findRepeat('What a save at the net!', lines), null);
+});
+
+test('findRepeat with partial compares only the opening words', () => {
+  const lines = ['Amazing reflex from the left paddle!'];
+  assert.equal(findRepeat('Amazing reflex from', lines, { partial: true }), lines[0]);
+  assert.equal(findRepeat('Amazing reflex from', lines), null);
+});
+
+test('only the last `repeatWindow` lines count as repeats, and `lineLimit` lines are kept', () => {
+  const narrative = createMatchNarrative({ lineLimit: 3, repeatWindow: 2 });
+  ['Nice block!', 'Off the wall!', 'Point scored!', 'So close!'].forEach(narrative.remember);
+  assert.deepEqual(narrative.recent(), ['Off the wall!', 'Point scored!', 'So close!']);
+  assert.equal(narrative.repeats('So close!'), 'So close!');
+  assert.equal(narrative.repeats('Off the wall!'), null);
+  assert.equal(narrative.repeats('Nice block!'), null);
+});
+
+test('streaks, lead changes and the longest rally follow the points', () => {
+  const narrative = createMatchNarrative();
+  narrative.record(point('left', 1, 0, 3));
+  narrative.record(point('right', 1, 1, 9));
+  narrative.record(point('right', 1, 2, 1));
+  narrative.record(point('right', 1, 3, 2));
+  const h = narrative.highlights();
+  assert.deepEqual(h.streak, { side: 'right', count: 3 });
+  assert.equal(h.leadChanges, 1);
+  assert.equal(h.longestRally, 9);
+  assert.equal(h.matchPoint, null);
+  assert.deepEqual(narrative.describe({ left: 'Ann', right: 'Bob' }), [
+    'Bob has won 3 points in a row',
+    'the lead has changed hands 1 time',
+    'longest rally so far: 9 hits'
+  ]);
+});
+
+test('match point and the deciding point', () => {
+  const narrative = createMatchNarrative({ matchPoints: 5 });
+  narrative.record(point('left', 4, 3));
+  assert.equal(narrative.highlights().matchPoint, 'left');
+  assert.equal(narrative.describe({ left: 'Ann' })[0], 'match point for Ann');
+  narrative.record(point('right', 4, 4));
+  assert.equal(narrative.highlights().matchPoint, 'both');
+  assert.match(narrative.describe()[0], /next point decides the match/);
+});
+
+test('comebacks are kept as a storyline', () => {
+  const narrative = createMatchNarrative();
+  narrative.record({ type: 'comeback', details: { side: 'left', from: 3, score: { left: 3, right: 3 } } });
+  assert.deepEqual(narrative.highlights().comeback, { side: 'left', from: 3, score: { left: 3, right: 3 } });
+  assert.equal(narrative.describe()[0], 'left came back from 3 points down (at 3-3)');
+});
+
+test('a score that goes backwards starts new storylines but keeps the lines', () => {
+  const narrative = createMatchNarrative();
+  narrative.remember('What a rally!');
+  narrative.record(point('left', 3, 0, 12));
+  narrative.record(point('right', 0, 1));
+  const h = narrative.highlights();
+  assert.deepEqual(h.score, { left: 0, right: 1 });
+  assert.equal(h.longestRally, 2);
+  assert.equal(h.streak, null);
+  assert.deepEqual(narrative.recent(), ['What a rally!']);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { W, H, createGameState, stepGame, snapshot } = require('../lib/physics');
+
+// A running state with the ball placed and moving as given
+function withBall(ball) {
+  const state = createGameState();
+  Object.assign(state.ball, ball);
+  state.running = true;
+  return state;
+}
+
+test('paddles move toward their target at a capped speed and stay on the board', () => {
+  const state = createGameState();
+  const start = state.leftPaddle.y;
+  stepGame(state, { left: start + 500 });
+  assert.equal(state.leftPaddle.y, start + 18);
+  for (let i = 0; i < 50; i++) stepGame(state, { left: 10000, right: -10000 });
+  assert.equal(state.leftPaddle.y, H - state.leftPaddle.height);
+  assert.equal(state.rightPaddle.y, 0);
+});
+
+test('non-numeric paddle targets are ignored', () => {
+  const state = createGameState();
+  const start = state.leftPaddle.y;
+  stepGame(state, { left: NaN, right: 'up' });
+  assert.equal(state.leftPaddle.y, start);
+});
+
+test('the ball does not move before the serve', () => {
+  const state = createGameState();
+  const { x, y } = state.ball;
+  assert.deepEqual(stepGame(state), { scored: null });
+  assert.deepEqual([state.ball.x, state.ball.y], [x, y]);
+});
+
+test('the ball bounces off the top and bottom walls', () => {
+  const top = withBall({ x: W / 2, y: 10, vx: 3, vy: -5 });
+  stepGame(top);
+  assert.equal(top.ball.y, top.ball.r);
+  assert.ok(top.ball.vy > 0);
+
+  const bottom = withBall({ x: W / 2, y: H - 10, vx: 3, vy: 5 });
+  stepGame(bottom);
+  assert.equal(bottom.ball.y, H - bottom.ball.r);
+  assert.ok(bottom.ball.vy < 0);
+});
+
+test('a paddle hit sends the ball back faster and outside the paddle', () => {
+  const state = createGameState();
+  const paddle = state.leftPaddle;
+  Object.assign(state.ball, { x: paddle.x + paddle.width + 10, y: paddle.y + paddle.height / 2, vx: -5, vy: 0 });
+  state.running = true;
+  assert.deepEqual(stepGame(state), { scored: null });
+  assert.ok(state.ball.vx > 0);
+  assert.ok(state.ball.x > paddle.x + paddle.width);
+  assert.ok(Math.hypot(state.ball.vx, state.ball.vy) > 5);
+});
+
+test('hitting off the paddle edge adds spin in that direction', () => {
+  const state = createGameState();
+  const paddle = state.rightPaddle;
+  Object.assign(state.ball, { x: paddle.x - 10, y: paddle.y + 5, vx: 5, vy: 0 });
+  state.running = true;
+  stepGame(state);
+  assert.ok(state.ball.vx < 0);
+  assert.ok(state.ball.vy < 0);
+});
+
+test('ball speed is capped on repeated hits', () => {
+  const state = createGameState();
+  const paddle = state.leftPaddle;
+  for (let i = 0; i < 40; i++) {
+    Object.assign(state.ball, { x: paddle.x + paddle.width + 10, y: paddle.y + paddle.height / 2, vx: -Math.abs(state.ball.vx), vy: 0 });
+    state.running = true;
+    stepGame(state);
+  }
+  assert.ok(Math.hypot(state.ball.vx, state.ball.vy) <= 12 + 1e-9);
+});
+
+test('a ball past a goal line scores for the other side and serves toward the scorer', () => {
+  const state = withBall({ x: 3, y: 20, vx: -5, vy: 0 });
+  assert.deepEqual(stepGame(state), { scored: 'right' });
+  assert.deepEqual(state.score, { left: 0, right: 1 });
+  assert.equal(state.running, false);
+  assert.deepEqual([state.ball.x, state.ball.y], [W / 2, H / 2]);
+  assert.ok(state.ball.vx > 0);
+
+  const other = withBall({ x: W - 3, y: 20, vx: 5, vy: 0 });
+  assert.deepEqual(stepGame(other), { scored: 'left' });
+  assert.deepEqual(other.score, { left: 1, right: 0 });
+  assert.ok(other.ball.vx < 0);
+});
+
+test('snapshot is a rounded, detached copy', () => {
+  const state = withBall({ x: 100.123, y: 200.456, vx: 1.234, vy: -2.345 });
+  const snap = snapshot(state);
+  assert.deepEqual(snap.ball, { x: 100.1, y: 200.5, vx: 1.2, vy: -2.3, r: state.ball.r });
+  snap.score.left = 9;
+  assert.equal(state.score.left, 0);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expectedScore, eloUpdate } = require('../lib/profiles');
+
+test('equal ratings expect an even result and move by half the K factor', () => {
+  assert.equal(expectedScore(1200, 1200), 0.5);
+  assert.deepEqual(eloUpdate(1200, 1200, 32), { winner: 1216, loser: 1184 });
+});
+
+test('beating a stronger player gains more than beating a weaker one', () => {
+  const upset = eloUpdate(1000, 1400, 32);
+  const expected = eloUpdate(1400, 1000, 32);
+  assert.equal(upset.winner - 1000, 29);
+  assert.equal(expected.winner - 1400, 3);
+  assert.equal(upset.winner - 1000, 1400 - upset.loser);
+});
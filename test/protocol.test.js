@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ERROR_CODES, selectProtocol, protocolVersion, isProtocolName,
+  normalizeFrame, isClientMessageType, validateClientMessage, validateServerMessage, errorMessage
+} = require('../lib/protocol');
+
+test('the newest offered protocol wins and the JWT entry is not a protocol', () => {
+  assert.equal(selectProtocol(['pong-proto.v1', 'pong-proto.v2', 'eyJ.token']), 'pong-proto.v2');
+  assert.equal(selectProtocol(['pong-proto.v1', 'eyJ.token']), 'pong-proto.v1');
+  assert.equal(selectProtocol(['pong-proto.v9']), null);
+  assert.equal(protocolVersion('pong-proto.v2'), 2);
+  assert.equal(protocolVersion('pong-proto.v1'), 1);
+  assert.equal(isProtocolName('eyJ.token'), false);
+});
+
+test('JSON frames must be objects with a type', () => {
+  assert.deepEqual(normalizeFrame({ type: 'ping' }, false, 1), { message: { type: 'ping' } });
+  assert.equal(normalizeFrame([1, 2], false, 2).error.code, ERROR_CODES.BAD_FRAME);
+  assert.equal(normalizeFrame({ kind: 'ping' }, false, 2).error.code, ERROR_CODES.BAD_FRAME);
+});
+
+test('binary frames: state on every version, any [type, fields] only on v2', () => {
+  assert.deepEqual(normalizeFrame(['state', { ball: {} }], true, 1), { message: { type: 'state', state: { ball: {} } } });
+  assert.equal(normalizeFrame(['ping', {}], true, 1).error.code, ERROR_CODES.BAD_FRAME);
+  assert.deepEqual(normalizeFrame(['input', { y: 10, type: 'spoofed' }], true, 2), { message: { y: 10, type: 'input' } });
+  assert.deepEqual(normalizeFrame(['ping'], true, 2), { message: { type: 'ping' } });
+  assert.equal(normalizeFrame(['input', [10]], true, 2).error.code, ERROR_CODES.BAD_FRAME);
+  assert.equal(normalizeFrame({ type: 'ping' }, true, 2).error.code, ERROR_CODES.BAD_FRAME);
+});
+
+test('unknown message types are reported as such', () => {
+  assert.deepEqual(validateClientMessage({ type: 'teleport' }), { code: ERROR_CODES.UNKNOWN_TYPE, message: 'unknown message type' });
+});
+
+test('inherited object keys are not message types', () => {
+  for (const type of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    const { message } = normalizeFrame(JSON.parse(`{"type":"${type}"}`), false, 2);
+    assert.equal(isClientMessageType(message.type), false, type);
+    assert.equal(validateClientMessage(message).code, ERROR_CODES.UNKNOWN_TYPE, type);
+    assert.equal(validateServerMessage(message).path, 'type', type);
+  }
+  assert.equal(isClientMessageType('input'), true);
+});
+
+test('schema failures name the offending field', () => {
+  const cases = [
+    [{ type: 'input' }, 'y', 'y is required'],
+    [{ type: 'input', y: 'top' }, 'y', 'y must be a number'],
+    [{ type: 'input', y: 5, seq: 1.5 }, 'seq', 'seq must be an integer'],
+    [{ type: 'input', y: 5, seq: -1 }, 'seq', 'seq must be at least 0'],
+    [{ type: 'coach_ask', question: 'x'.repeat(501) }, 'question', 'question must be at most 500 characters'],
+    [{ type: 'set_encoding', encoding: 'xml' }, 'encoding', 'encoding must be one of json, msgpack'],
+    [{ type: 'ready', ready: 'yes' }, 'ready', 'ready must be a boolean'],
+    [{ type: 'state_key', seq: 1, k: {} }, 'k', 'k must be an array'],
+    [{ type: 'state', state: { ball: { x: 1, y: 2, vx: 3 } } }, 'state.ball.vy', 'state.ball.vy is required'],
+    [{ type: 'state', state: [] }, 'state', 'state must be an object']
+  ];
+  for (const [message, path, text] of cases) {
+    assert.deepEqual(validateClientMessage(message), { code: ERROR_CODES.INVALID_MESSAGE, message: text, path });
+  }
+});
+
+test('valid messages pass and unknown extra fields are ignored', () => {
+  assert.equal(validateClientMessage({ type: 'input', y: 120, seq: 3, extra: true }), null);
+  assert.equal(validateClientMessage({ type: 'ready' }), null);
+  assert.equal(validateClientMessage({ type: 'settings', language: 'fr' }), null);
+  assert.equal(validateClientMessage({ type: 'settings', language: 'xx' }).path, 'language');
+});
+
+test('server messages can be checked too', () => {
+  assert.equal(validateServerMessage({ type: 'pong', ts: 1 }), null);
+  assert.deepEqual(validateServerMessage({ type: 'pong' }), { path: 'ts', message: 'ts is required' });
+  assert.equal(validateServerMessage({ type: 'nope' }).path, 'type');
+});
+
+test('errors are plain on v1 and typed on v2', () => {
+  assert.deepEqual(errorMessage(1, ERROR_CODES.FORBIDDEN, 'nope', { ref: 'kick' }), { type: 'error', message: 'nope' });
+  assert.deepEqual(errorMessage(2, ERROR_CODES.FORBIDDEN, 'nope', { ref: 'kick' }), { type: 'error', code: 'forbidden', message: 'nope', ref: 'kick' });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRole, hasRole, minRoleFor, canSend, requireRole } = require('../lib/roles');
+
+test('roles normalize through aliases, unknown roles get the least privilege', () => {
+  assert.equal(normalizeRole('tester'), 'player');
+  assert.equal(normalizeRole('admin'), 'admin');
+  assert.equal(normalizeRole('root'), 'spectator');
+  assert.equal(normalizeRole(undefined), 'spectator');
+});
+
+test('every role can do what the roles below it can', () => {
+  assert.ok(hasRole('admin', 'player'));
+  assert.ok(hasRole('player', 'spectator'));
+  assert.ok(!hasRole('player', 'admin'));
+  assert.ok(!hasRole('spectator', 'player'));
+});
+
+test('spectators may only watch', () => {
+  for (const type of ['ping', 'list_rooms', 'spectate', 'stop_spectating', 'settings', 'report_line']) {
+    assert.ok(canSend('spectator', type), type);
+  }
+  for (const type of ['input', 'state', 'state_key', 'state_delta', 'create_room', 'join_room', 'quick_match', 'coach_ask']) {
+    assert.ok(!canSend('spectator', type), type);
+    assert.ok(canSend('player', type), type);
+    assert.ok(canSend('tester', type), type);
+  }
+  assert.ok(!canSend('unknown-role', 'input'));
+});
+
+test('unlisted message types need a player', () => {
+  assert.ok(!canSend('spectator', 'something_new'));
+  assert.ok(canSend('player', 'something_new'));
+});
+
+test('inherited object keys are neither roles nor message types', () => {
+  assert.equal(normalizeRole('constructor'), 'spectator');
+  assert.equal(normalizeRole('__proto__'), 'spectator');
+  for (const type of ['constructor', '__proto__', 'toString']) {
+    assert.equal(minRoleFor(type), 'player', type);
+    assert.ok(!canSend('spectator', type), type);
+  }
+});
+
+function call(middleware, user) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  middleware({ user }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('requireRole answers 403 below the minimum role', () => {
+  const admin = requireRole('admin');
+  const asPlayer = call(admin, { sub: 'ann', role: 'player' });
+  assert.equal(asPlayer.nextCalled, false);
+  assert.equal(asPlayer.res.statusCode, 403);
+  assert.deepEqual(asPlayer.res.body, { error: 'requires role admin' });
+  assert.equal(call(admin, null).res.statusCode, 403);
+  assert.equal(call(admin, { sub: 'root', role: 'admin' }).nextCalled, true);
+});
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomManager } = require('../lib/rooms');
+
+// A socket stand-in that records everything sent to it
+function socket(sub) {
+  return { user: { sub }, readyState: 1, OPEN: 1, sent: [] };
+}
+
+const events = (ws) => ws.sent.filter(m => m.type === 'room_event').map(m => m.event);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function manager(t, opts = {}) {
+  const rooms = createRoomManager({ send: (ws, msg) => ws.sent.push(msg), countdownSeconds: 1, serveDelayMs: 0, ...opts });
+  t.after(() => rooms.stop());
+  return rooms;
+}
+
+test('create, join by code, ready up, count down and start', async (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  const { room, side } = rooms.createAndJoin(ann, { name: 'Friday', private: true });
+  assert.equal(side, 'left');
+  assert.equal(rooms.listRooms().length, 0); // private rooms stay out of the list
+  assert.equal(rooms.joinRoom(bob, { code: room.code.toLowerCase() }).side, 'right');
+  rooms.setReady(ann);
+  assert.equal(room.status, 'waiting');
+  rooms.setReady(bob);
+  assert.equal(room.status, 'countdown');
+  await wait(1100);
+  assert.equal(room.status, 'playing');
+  assert.deepEqual(events(ann), ['player_joined', 'player_joined', 'ready', 'ready', 'countdown', 'match_started']);
+  assert.ok(bob.sent.some(m => m.type === 'room_joined' && m.side === 'right'));
+});
+
+test('a full room, a missing code and a private room by id are rejected', (t) => {
+  const rooms = manager(t);
+  const { room } = rooms.createAndJoin(socket('ann'));
+  rooms.joinRoom(socket('bob'), { roomId: room.id });
+  assert.deepEqual(rooms.joinRoom(socket('cat'), { roomId: room.id }), { error: 'room is full' });
+  assert.deepEqual(rooms.joinRoom(socket('cat'), { code: 'NOPE42' }), { error: 'room not found' });
+  const hidden = rooms.createAndJoin(socket('dan'), { private: true }).room;
+  assert.deepEqual(rooms.joinRoom(socket('eve'), { roomId: hidden.id }), { error: 'room not found' });
+});
+
+test('a socket sits in one room at a time', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  rooms.createAndJoin(ann);
+  assert.deepEqual(rooms.createAndJoin(ann), { error: 'already in a room' });
+  assert.deepEqual(rooms.quickMatch(ann), { error: 'already in a room' });
+});
+
+test('quick match pairs two waiting players and goes straight to the countdown', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  assert.deepEqual(rooms.quickMatch(ann), { queued: true, position: 1 });
+  assert.deepEqual(rooms.quickMatch(ann), { queued: true, position: 1 });
+  const { room } = rooms.quickMatch(bob);
+  assert.equal(room.status, 'countdown');
+  assert.equal(rooms.roomOf(ann), room);
+  assert.equal(rooms.roomOf(bob), room);
+  rooms.leave(ann);
+  rooms.leave(bob);
+});
+
+test('leaving the quick-match queue means nobody is paired with you', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  rooms.quickMatch(ann);
+  rooms.leave(ann); // what cancel_quick_match does
+  assert.deepEqual(rooms.quickMatch(socket('bob')), { queued: true, position: 1 });
+  assert.equal(rooms.roomOf(ann), null);
+});
+
+test('closed sockets in the queue are skipped', (t) => {
+  const rooms = manager(t);
+  const gone = socket('gone');
+  rooms.quickMatch(gone);
+  gone.readyState = 3;
+  assert.deepEqual(rooms.quickMatch(socket('bob')), { queued: true, position: 1 });
+});
+
+test('leaving during the countdown abandons it and the room waits again', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  rooms.quickMatch(ann);
+  const { room } = rooms.quickMatch(bob);
+  rooms.leave(bob);
+  assert.equal(room.status, 'waiting');
+  assert.ok(events(ann).includes('abandoned'));
+  assert.equal(events(ann).at(-1), 'player_left');
+  rooms.leave(ann);
+});
+
+test('leaving a running match forfeits it', async (t) => {
+  const ends = [];
+  const rooms = manager(t, { onMatchEnd: (room, result) => ends.push(result) });
+  const ann = socket('ann');
+  const bob = socket('bob');
+  rooms.quickMatch(ann);
+  rooms.quickMatch(bob);
+  await wait(1100);
+  rooms.leave(ann);
+  assert.ok(events(bob).includes('abandoned'));
+  assert.equal(ends[0].winner, 'right');
+  assert.equal(ends[0].reason, 'forfeit');
+  assert.equal(rooms.roomOf(bob), null);
+});
+
+test('a dropped player keeps the seat, the match pauses, and reconnecting resumes it', async (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  rooms.quickMatch(ann);
+  const { room } = rooms.quickMatch(bob);
+  await wait(1100);
+  assert.deepEqual(rooms.disconnect(ann), { room, side: 'left' });
+  assert.ok(events(bob).includes('player_disconnected'));
+  assert.equal(room.game.running, false);
+  const ann2 = socket('ann');
+  rooms.reconnect(ann, ann2);
+  assert.equal(rooms.roomOf(ann2), room);
+  assert.equal(rooms.roomOf(ann), null);
+  assert.ok(ann2.sent.some(m => m.type === 'room_joined' && m.resumed));
+  assert.ok(events(bob).includes('player_reconnected'));
+  rooms.leave(ann2);
+});
+
+test('players only steer their own paddle', async (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  rooms.quickMatch(ann);
+  const { room } = rooms.quickMatch(bob);
+  await wait(1100);
+  rooms.handleInput(ann, 42);
+  assert.deepEqual(room.targets, { left: 42, right: null });
+  rooms.leave(ann);
+});
+
+test('spectators watch read-only: no paddle, no ready, no seat', async (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  const viewer = socket('viewer');
+  rooms.quickMatch(ann);
+  const { room } = rooms.quickMatch(bob);
+  assert.equal(rooms.spectate(viewer, { roomId: room.id }).room, room);
+  assert.equal(rooms.watching(viewer), room);
+  assert.equal(rooms.roomOf(viewer), null);
+  assert.deepEqual(rooms.setReady(viewer), { error: 'not in a room' });
+  assert.deepEqual(rooms.spectate(ann, { roomId: room.id }), { error: 'already playing in a room' });
+  await wait(1100);
+  rooms.handleInput(viewer, 10);
+  assert.deepEqual(room.targets, { left: null, right: null });
+  assert.ok(!rooms.members(room).includes(viewer));
+  rooms.leave(viewer);
+  assert.equal(rooms.watching(viewer), null);
+  assert.equal(room.status, 'playing');
+  rooms.leave(ann);
+});
+
+test('spectators share the room audience that commentary is fanned out to', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const bob = socket('bob');
+  const viewers = [socket('v1'), socket('v2')];
+  rooms.quickMatch(ann);
+  const { room } = rooms.quickMatch(bob);
+  for (const ws of viewers) rooms.spectate(ws, { code: room.code });
+  // server.js builds one commentary target per playing room (key room:<id>) whose audience is
+  // rooms.audience(room); watching sockets are skipped when it builds per-connection targets
+  assert.deepEqual(rooms.audience(room), [ann, bob, ...viewers]);
+  assert.ok(viewers.every(ws => rooms.watching(ws) === room));
+  assert.ok(viewers.every(ws => ws.sent.some(m => m.type === 'spectate_joined' && m.room.id === room.id)));
+  assert.equal(events(ann).filter(e => e === 'spectator_joined').length, 2);
+  rooms.leave(viewers[0]);
+  assert.deepEqual(rooms.audience(room), [ann, bob, viewers[1]]);
+  rooms.leave(ann);
+});
+
+test('spectators are released when the room closes', (t) => {
+  const rooms = manager(t);
+  const ann = socket('ann');
+  const viewer = socket('viewer');
+  const { room } = rooms.createAndJoin(ann);
+  rooms.spectate(viewer, { roomId: room.id });
+  rooms.leave(ann);
+  assert.equal(rooms.watching(viewer), null);
+});
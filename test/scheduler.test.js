@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmScheduler } = require('../lib/scheduler');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A job that runs until finish() (or its signal aborts) and logs what happened to it
+function job(name, log, kind = name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return {
+    kind,
+    name,
+    finish: () => finish(),
+    run(signal) {
+      log.push(`start ${name}`);
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => { log.push(`abort ${name}`); reject(new Error('aborted')); });
+        done.then(() => { log.push(`end ${name}`); resolve(); });
+      });
+    }
+  };
+}
+
+test('at most `concurrency` jobs run across all keys', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler({ concurrency: 2 });
+  const jobs = ['a', 'b', 'c'].map(key => job(key, log));
+  jobs.forEach((j, i) => scheduler.submit(['a', 'b', 'c'][i], j));
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+  assert.equal(scheduler.stats().running, 2);
+  jobs[0].finish();
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b', 'end a', 'start c']);
+});
+
+test('one key runs one job at a time, in order', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler({ concurrency: 4 });
+  const first = job('first', log);
+  const second = job('second', log);
+  scheduler.submit('conn', first);
+  scheduler.submit('conn', second);
+  await tick();
+  assert.deepEqual(log, ['start first']);
+  assert.equal(scheduler.active('conn'), first);
+  assert.ok(scheduler.has('conn', 'second'));
+  first.finish();
+  await tick();
+  assert.deepEqual(log, ['start first', 'end first', 'start second']);
+});
+
+test('a queued job of the same kind is replaced; otherwise the oldest queued job is dropped', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler({ concurrency: 1, queueLimit: 2 });
+  const busy = job('busy', log);
+  scheduler.submit('conn', busy);
+  scheduler.submit('conn', job('old line', log, 'commentary'));
+  scheduler.submit('conn', job('new line', log, 'commentary'));
+  scheduler.submit('conn', job('tip', log, 'coach'));
+  scheduler.submit('conn', job('answer', log, 'coach_answer'));
+  assert.equal(scheduler.stats().dropped, 2);
+  assert.equal(scheduler.stats().queued, 2);
+  busy.finish();
+  await tick();
+  assert.deepEqual(log, ['start busy', 'end busy', 'start tip']);
+});
+
+test('abort stops the running job and the next queued one starts', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler();
+  scheduler.submit('conn', job('stale', log));
+  scheduler.submit('conn', job('fresh', log));
+  await tick();
+  assert.equal(scheduler.abort('conn'), true);
+  await tick();
+  assert.deepEqual(log, ['start stale', 'abort stale', 'start fresh']);
+  assert.equal(scheduler.stats().aborted, 1);
+  assert.equal(scheduler.stats().failed, 0);
+  assert.equal(scheduler.abort('nobody'), false);
+});
+
+test('cancel aborts the running job and empties the queue', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler();
+  scheduler.submit('conn', job('running', log));
+  scheduler.submit('conn', job('queued', log));
+  scheduler.submit('other', job('other', log));
+  await tick();
+  scheduler.cancel('conn');
+  await tick();
+  assert.deepEqual(log, ['start running', 'start other', 'abort running']);
+  assert.equal(scheduler.has('conn', 'queued'), false);
+  assert.equal(scheduler.stats().queued, 0);
+});
+
+test('jobs whose holder is gone are skipped', async () => {
+  const log = [];
+  const scheduler = createLlmScheduler();
+  scheduler.submit('conn', { ...job('dead', log), isAlive: () => false });
+  await tick();
+  assert.deepEqual(log, []);
+  assert.equal(scheduler.stats().skipped, 1);
+});
+
+test('a failing job is reported and does not block the key', async () => {
+  const errors = [];
+  const log = [];
+  const scheduler = createLlmScheduler({ onError: (err, j) => errors.push(`${j.kind}: ${err.message}`) });
+  scheduler.submit('conn', { kind: 'broken', run: async () => { throw new Error('boom'); } });
+  const next = job('next', log);
+  scheduler.submit('conn', next);
+  await tick();
+  await tick();
+  assert.deepEqual(errors, ['broken: boom']);
+  assert.deepEqual(log, ['start next']);
+  assert.equal(scheduler.stats().failed, 1);
+});
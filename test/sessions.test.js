@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionRegistry, TAKEOVER_CLOSE_CODE } = require('../lib/sessions');
+
+function socket(sub) {
+  return { user: { sub }, closed: null, close(code, reason) { this.closed = { code, reason }; } };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function registry(opts = {}) {
+  const log = [];
+  const connections = new Map();
+  const sessions = createSessionRegistry({
+    graceMs: 50,
+    connections,
+    onDetach: (ws) => { log.push(['detach', ws.user.sub]); return { spectating: ws.watching || null }; },
+    onExpire: (ws, meta) => log.push(['expire', meta.sessionId]),
+    onReplace: (ws, meta) => log.push(['replace', meta.sessionId]),
+    ...opts
+  });
+  return { sessions, connections, log };
+}
+
+test('a dropped session is resumed by the same user within the grace period', async () => {
+  const { sessions, log } = registry();
+  const old = socket('ann');
+  old.watching = { roomId: 'r1', code: null };
+  const meta = { sessionId: 's1' };
+  sessions.detach(old, meta);
+  assert.equal(sessions.size(), 1);
+  await wait(10);
+  const session = sessions.resume('s1', socket('ann'));
+  assert.equal(session.meta, meta);
+  assert.equal(session.ws, old);
+  assert.deepEqual(session.spectating, { roomId: 'r1', code: null });
+  assert.equal(sessions.size(), 0);
+  await wait(60);
+  assert.deepEqual(log, [['detach', 'ann']]); // claimed sessions never expire
+});
+
+test('only the same user can resume, and only once', () => {
+  const { sessions } = registry();
+  sessions.detach(socket('ann'), { sessionId: 's1' });
+  assert.equal(sessions.resume('s1', socket('bob')), null);
+  assert.equal(sessions.resume('nope', socket('ann')), null);
+  assert.equal(sessions.resume(null, socket('ann')), null);
+  assert.ok(sessions.resume('s1', socket('ann')));
+  assert.equal(sessions.resume('s1', socket('ann')), null);
+});
+
+test('a session expires after graceMs', async () => {
+  const { sessions, log } = registry();
+  sessions.detach(socket('ann'), { sessionId: 's1' });
+  await wait(80);
+  assert.deepEqual(log, [['detach', 'ann'], ['expire', 's1']]);
+  assert.equal(sessions.size(), 0);
+  assert.equal(sessions.resume('s1', socket('ann')), null);
+});
+
+test('a resume that beats the old close takes the session over and closes the old socket with 4002', () => {
+  const { sessions, connections, log } = registry();
+  const old = socket('ann');
+  const meta = { sessionId: 's1' };
+  connections.set(old, meta);
+  const fresh = socket('ann');
+  const session = sessions.resume('s1', fresh);
+  assert.equal(session.meta, meta);
+  assert.equal(connections.has(old), false);
+  assert.equal(old.closed.code, TAKEOVER_CLOSE_CODE);
+  assert.equal(TAKEOVER_CLOSE_CODE, 4002);
+  assert.deepEqual(log, [['replace', 's1'], ['detach', 'ann']]);
+});
+
+test('another user cannot take over an attached session', () => {
+  const { sessions, connections, log } = registry();
+  const old = socket('ann');
+  connections.set(old, { sessionId: 's1' });
+  assert.equal(sessions.resume('s1', socket('bob')), null);
+  assert.equal(old.closed, null);
+  assert.equal(connections.has(old), true);
+  assert.deepEqual(log, []);
+});
+
+test('without a grace period nothing is resumed or taken over', () => {
+  const { sessions, connections } = registry({ graceMs: 0 });
+  const old = socket('ann');
+  connections.set(old, { sessionId: 's1' });
+  assert.equal(sessions.resume('s1', socket('ann')), null);
+  assert.equal(old.closed, null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const {
+  DEFAULT_SETTINGS, OPTIONS, mergeSettings, describeOptions, commentatorPersona, languageRule, lengthOf, coachTopic, createSettingsStore
+} = require('../lib/settings');
+const { validateClientMessage, ERROR_CODES } = require('../lib/protocol');
+
+test('a partial update changes only the fields it names', () => {
+  const current = { persona: 'retro', language: 'es', verbosity: 'short', coachFocus: 'timing' };
+  assert.deepEqual(mergeSettings(current, { language: 'de' }), { ...current, language: 'de' });
+  assert.deepEqual(mergeSettings(current, {}), current);
+  assert.deepEqual(mergeSettings(undefined, { verbosity: 'long' }), { ...DEFAULT_SETTINGS, verbosity: 'long' });
+});
+
+test('unknown fields and values keep the current setting', () => {
+  const current = { ...DEFAULT_SETTINGS, persona: 'analyst' };
+  const merged = mergeSettings(current, { persona: 'pirate', language: 'xx', volume: 11, type: 'settings' });
+  assert.deepEqual(merged, current);
+  assert.deepEqual(mergeSettings(current, { persona: 'constructor', language: '__proto__' }), current);
+});
+
+test('the protocol rejects option values that are not on the list', () => {
+  assert.equal(validateClientMessage({ type: 'settings', persona: 'retro', coachFocus: 'strategy' }), null);
+  const problem = validateClientMessage({ type: 'settings', persona: 'pirate' });
+  assert.equal(problem.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(problem.path, 'persona');
+  assert.equal(validateClientMessage({ type: 'settings', language: 42 }).path, 'language');
+});
+
+test('clients get every option with its label, TTS language and voice', () => {
+  const options = describeOptions();
+  for (const field of Object.keys(OPTIONS)) {
+    assert.deepEqual(options[field].map(o => o.id), Object.keys(OPTIONS[field]), field);
+    assert.ok(options[field].every(o => typeof o.label === 'string'), field);
+  }
+  assert.deepEqual(options.language.find(o => o.id === 'fr'), { id: 'fr', label: 'Français', tts: 'fr-FR' });
+  assert.deepEqual(options.persona.find(o => o.id === 'hype').voice, { rate: 1.15, pitch: 1.2 });
+});
+
+test('settings shape the prompt pieces', () => {
+  const settings = { persona: 'analyst', language: 'es', verbosity: 'short', coachFocus: 'timing' };
+  assert.match(commentatorPersona(settings), /dry, understated/);
+  assert.equal(languageRule(settings), 'Always reply in Spanish.');
+  assert.equal(lengthOf(settings).words, 12);
+  assert.match(coachTopic(settings), /reading the ball early/);
+});
+
+test('the store saves validated settings and falls back to the defaults', async () => {
+  const redis = new Redis();
+  await redis.flushall(); // ioredis-mock instances share one keyspace
+  const store = createSettingsStore({ redis });
+  assert.deepEqual(await store.get('ann'), DEFAULT_SETTINGS);
+  await store.save('ann', { persona: 'retro', language: 'klingon' });
+  assert.deepEqual(await store.get('ann'), { ...DEFAULT_SETTINGS, persona: 'retro' });
+  await redis.set('settings:bob', '{not json');
+  assert.deepEqual(await store.get('bob'), DEFAULT_SETTINGS);
+});
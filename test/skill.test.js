@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSkillModel, predictInterceptY } = require('../lib/skill');
+
+function state({ vx = -5, left = 0, right = 0, running = true } = {}) {
+  return {
+    ball: { x: 400, y: 250, vx, vy: 0, r: 8 },
+    leftPaddle: { x: 10, y: 200, width: 12, height: 100 },
+    rightPaddle: { x: 778, y: 200, width: 12, height: 100 },
+    score: { left, right },
+    running
+  };
+}
+
+const point = (scorer, rally = 2) => ({ type: 'point_scored', details: { scorer, rally, missDistance: 30 } });
+
+test('predictInterceptY follows the ball straight or folds wall bounces back into the field', () => {
+  assert.equal(predictInterceptY({ x: 400, y: 250, vx: -5, vy: 0, r: 8 }, 22), 250);
+  // 300px down from y 250 in a 500px field reflects off the bottom wall
+  assert.equal(predictInterceptY({ x: 400, y: 250, vx: -5, vy: 5, r: 8 }, 100), 434);
+  // moving away: no intercept ahead, the current y is returned
+  assert.equal(predictInterceptY({ x: 400, y: 250, vx: 5, vy: 5, r: 8 }, 100), 250);
+});
+
+test('a losing player gets an easier computer, a bounded step at a time', () => {
+  const model = createSkillModel();
+  const control = model.observe(state({ right: 1 }), [point('right', 0)]);
+  assert.equal(control.type, 'adjust');
+  assert.ok(control.aiSpeed < 4 && control.aiSpeed >= 4 - 0.4);
+  assert.ok(control.aiError > 0 && control.aiError <= 6);
+});
+
+test('a winning player gets a harder computer, stopping at the configured range', () => {
+  const model = createSkillModel({ initial: { aiSpeed: 6, aiError: 30 } });
+  const controls = [];
+  for (let i = 1; i <= 8; i++) controls.push(model.observe(state({ left: i }), [point('left', 10)]));
+  assert.deepEqual(controls[0], { type: 'adjust', aiSpeed: 6.35, aiError: 24 });
+  for (let i = 1; i < 5; i++) assert.ok(controls[i].aiSpeed - controls[i - 1].aiSpeed <= 0.4 + 1e-9);
+  assert.deepEqual(model.current(), { type: 'adjust', aiSpeed: 8, aiError: 0 });
+  assert.equal(controls.at(-1), null); // nothing left to change
+});
+
+test('replaying a stream with the same timestamps gives the same adjustments', () => {
+  const run = () => {
+    const model = createSkillModel();
+    return ['left', 'right', 'right', 'left', 'right'].map((side, i) => model.observe(state({ [side]: i + 1 }), [point(side, i)], i * 1000));
+  };
+  assert.deepEqual(run(), run());
+});
+
+test('returns and misses feed the measured stats', () => {
+  const model = createSkillModel();
+  model.observe(state(), [{ type: 'paddle_hit', details: { side: 'left' } }]);
+  model.observe(state(), [{ type: 'paddle_hit', details: { side: 'right' } }]);
+  model.observe(state({ right: 1 }), [point('right', 3)]);
+  const { stats } = model.inspect();
+  assert.equal(stats.returns, 1);
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.returnRate, 0.5);
+  assert.equal(stats.avgMissDistance, 30);
+  assert.equal(stats.avgRally, 3);
+});
+
+test('reaction time is measured from the ball turning toward the player until the paddle moves', () => {
+  const model = createSkillModel();
+  const away = state({ vx: 5 });
+  away.ball.vy = 5; // heading for the bottom, far from the paddle
+  model.observe(away, [], 0);
+  const toward = state({ vx: -5 });
+  toward.ball.vy = 5;
+  model.observe(toward, [], 1000);
+  const moved = state({ vx: -5 });
+  moved.ball.vy = 5;
+  moved.leftPaddle.y += 20;
+  model.observe(moved, [], 1300);
+  assert.equal(model.inspect().stats.avgReactionMs, 300);
+});
+
+test('invalid states are ignored', () => {
+  const model = createSkillModel();
+  assert.equal(model.observe({ ball: {} }, [point('right')]), null);
+  assert.deepEqual(model.current(), { type: 'adjust', aiSpeed: 4, aiError: 0 });
+});
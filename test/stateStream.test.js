@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STREAM_FIELDS, createStateStreamDecoder } = require('../lib/stateStream');
+
+const field = (name) => STREAM_FIELDS.findIndex(([n]) => n === name);
+// ball at (400, 250), paddles at y 200, score 1-2, running
+const KEY = [4000, 2500, 500, -300, 8, 10, 2000, 12, 100, 778, 2000, 12, 100, 400, 1, 2, 1];
+
+const key = (seq, k = KEY) => ({ type: 'state_key', seq, k });
+// A delta moving ballX by dx (and ballY by dy when given)
+function delta(seq, base, dx, dy) {
+  const mask = (1 << field('ballX')) | (dy === undefined ? 0 : 1 << field('ballY'));
+  return { type: 'state_delta', seq, base, mask, d: dy === undefined ? [dx] : [dx, dy] };
+}
+
+test('a keyframe decodes to a solo state with each field scaled back', () => {
+  const { state } = createStateStreamDecoder().accept(key(0));
+  assert.deepEqual(state, {
+    ball: { x: 400, y: 250, vx: 5, vy: -3, r: 8 },
+    leftPaddle: { x: 10, y: 200, width: 12, height: 100 },
+    rightPaddle: { x: 778, y: 200, width: 12, height: 100, speed: 4 },
+    score: { player: 1, ai: 2 },
+    running: true
+  });
+});
+
+test('deltas apply the masked differences to their keyframe, not to the previous delta', () => {
+  const decoder = createStateStreamDecoder();
+  decoder.accept(key(0));
+  assert.equal(decoder.accept(delta(1, 0, 50)).state.ball.x, 405);
+  const { state } = decoder.accept(delta(2, 0, 100, -20));
+  assert.equal(state.ball.x, 410);
+  assert.equal(state.ball.y, 248);
+});
+
+test('frames older than the newest applied one are ignored', () => {
+  const decoder = createStateStreamDecoder();
+  decoder.accept(key(0));
+  decoder.accept(delta(3, 0, 30));
+  assert.deepEqual(decoder.accept(delta(2, 0, 20)), { ignored: 'out_of_order' });
+  assert.deepEqual(decoder.accept(delta(3, 0, 20)), { ignored: 'out_of_order' });
+  assert.equal(decoder.accept(delta(5, 0, 50)).state.ball.x, 405);
+  const stats = decoder.stats();
+  assert.equal(stats.outOfOrder, 2);
+  assert.equal(stats.missing, 3); // 1, 2 and 4 never applied
+  assert.equal(stats.lastSeq, 5);
+});
+
+test('a late keyframe is kept for newer deltas but does not roll the state back', () => {
+  const decoder = createStateStreamDecoder();
+  decoder.accept(key(0));
+  decoder.accept(delta(6, 0, 10));
+  const late = KEY.slice();
+  late[field('ballX')] = 1000;
+  assert.deepEqual(decoder.accept(key(5, late)), { ignored: 'out_of_order' });
+  assert.equal(decoder.accept(delta(7, 5, 10)).state.ball.x, 101);
+});
+
+test('a delta whose keyframe never arrived asks for a resync', () => {
+  const decoder = createStateStreamDecoder();
+  assert.deepEqual(decoder.accept(delta(1, 0, 10)), { resync: true });
+  decoder.accept(key(2));
+  assert.equal(decoder.accept(delta(3, 2, 10)).state.ball.x, 401);
+});
+
+test('only the last few keyframes are kept', () => {
+  const decoder = createStateStreamDecoder({ keyframeHistory: 2 });
+  decoder.accept(key(0));
+  decoder.accept(key(1));
+  decoder.accept(key(2));
+  assert.deepEqual(decoder.accept(delta(3, 0, 10)), { resync: true });
+  assert.ok(decoder.accept(delta(4, 1, 10)).state);
+});
+
+test('malformed frames are errors', () => {
+  const decoder = createStateStreamDecoder();
+  assert.match(decoder.accept(key(0, [1, 2, 3])).error, /k must be 17 integers/);
+  assert.match(decoder.accept(key(0, KEY.map(v => v + 0.5))).error, /integers/);
+  decoder.accept(key(0));
+  assert.match(decoder.accept({ type: 'state_delta', seq: 1, base: 0, mask: 3, d: [1] }).error, /one integer per bit/);
+  assert.match(decoder.accept({ type: 'state_delta', seq: 1, base: 0, mask: 1, d: [1, 2] }).error, /one integer per bit/);
+});
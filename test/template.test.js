@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTemplateProvider } = require('../lib/providers/template');
+const { loadControlLimits, controlFunction, validateControl } = require('../lib/controls');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+const limits = loadControlLimits({});
+const state = { rightPaddle: { speed: 4 }, leftPaddle: { height: 100 } };
+
+test('simulated adjustments only use the levers the tool allows', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const provider = createTemplateProvider();
+  const tool = controlFunction(limits, ['ballSpeedCap']);
+  const [item] = await collect(provider.stream({ context: { kind: 'commentary', state }, tools: [tool] }));
+  assert.equal(item.type, 'tool_call');
+  assert.deepEqual(Object.keys(item.arguments), ['ballSpeedCap', 'reason']);
+  const { control, rejected } = validateControl(item.arguments, limits, ['ballSpeedCap']);
+  assert.deepEqual(rejected, []);
+  assert.ok(control.ballSpeedCap >= 8 && control.ballSpeedCap <= 16);
+});
+
+test('adjusted values stay inside the lever range', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const provider = createTemplateProvider();
+  const tool = controlFunction(limits, ['aiSpeed']);
+  const [item] = await collect(provider.stream({ context: { kind: 'commentary', state: { rightPaddle: { speed: 2 } } }, tools: [tool] }));
+  assert.equal(item.arguments.aiSpeed, 2);
+});
+
+test('with no lever allowed there is no adjustment and the commentary still comes', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const provider = createTemplateProvider();
+  const tool = controlFunction(limits, []);
+  const items = await collect(provider.stream({ context: { kind: 'commentary', state, event: { type: 'paddle_hit', details: {} } }, tools: [tool] }));
+  assert.ok(items.length > 0);
+  assert.ok(items.every(item => item.type === 'text'));
+});
+
+test('commentary steers clear of recent lines while the bank has fresh ones', async () => {
+  const provider = createTemplateProvider();
+  const recent = ['Nice block!', 'Amazing reflex!', 'Fast return!', 'Deep to the corner!'];
+  for (let i = 0; i < 10; i++) {
+    const line = await provider.complete({ context: { kind: 'commentary', event: { type: 'paddle_hit' }, recent } });
+    assert.equal(line, 'Solid contact!');
+  }
+});
+
+test('with every phrase recently used, the one used longest ago comes back', async () => {
+  const provider = createTemplateProvider();
+  const recent = ['Banked shot!', 'Off the wall!', 'Watch the angle!'];
+  const line = await provider.complete({ context: { kind: 'commentary', event: { type: 'wall_bounce' }, recent } });
+  assert.equal(line, 'Banked shot!');
+});
+
+test('a point on a streak adds the storyline', async () => {
+  const provider = createTemplateProvider();
+  const line = await provider.complete({
+    context: { kind: 'commentary', event: { type: 'point_scored' }, narrative: { streak: { side: 'left', count: 3 }, matchPoint: null } }
+  });
+  assert.match(line, /3/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTiers } = require('../lib/tiers');
+
+test('free follows the plain env limits, pro gets at least its own minimums', () => {
+  const tiers = loadTiers({ STATE_SEND_LIMIT_PER_SECOND: '20', COMMENTARY_LIMIT_PER_MINUTE: '10', MODEL_NAME: 'gpt-4o' });
+  assert.deepEqual(tiers.get('free'), {
+    name: 'free', stateLimitPerSecond: 20, stateStreamHz: 30, commentaryLimitPerMinute: 10, model: 'gpt-4o', dailyCostCapUsd: 0.05
+  });
+  const pro = tiers.get('pro');
+  assert.equal(pro.stateLimitPerSecond, 20);
+  assert.equal(pro.commentaryLimitPerMinute, 120);
+  assert.equal(pro.model, 'gpt-4o');
+  assert.equal(pro.dailyCostCapUsd, 1);
+});
+
+test('TIERS_JSON overrides fields and adds tiers on top of free', () => {
+  const tiers = loadTiers({ TIERS_JSON: '{"pro":{"commentaryLimitPerMinute":200},"team":{"model":"gpt-4.1","dailyCostCapUsd":"5","stateStreamHz":"fast"}}' });
+  assert.equal(tiers.get('pro').commentaryLimitPerMinute, 200);
+  assert.equal(tiers.get('pro').stateStreamHz, 60);
+  assert.deepEqual(tiers.get('team'), {
+    name: 'team', stateLimitPerSecond: 5, stateStreamHz: 30, commentaryLimitPerMinute: 40, model: 'gpt-4.1', dailyCostCapUsd: 5
+  });
+  assert.deepEqual(tiers.names(), ['free', 'pro', 'team']);
+  assert.throws(() => loadTiers({ TIERS_JSON: '{nope' }), /TIERS_JSON is not valid JSON/);
+});
+
+test('missing, unknown and prototype tier names get the default tier', () => {
+  const tiers = loadTiers({ DEFAULT_TIER: 'pro' });
+  assert.equal(tiers.defaultTier, 'pro');
+  assert.equal(tiers.nameOf(null), 'pro');
+  assert.equal(tiers.nameOf({ tier: 'gold' }), 'pro');
+  assert.equal(tiers.nameOf({ tier: 'constructor' }), 'pro');
+  assert.equal(tiers.nameOf({ tier: 'free' }), 'free');
+  assert.equal(tiers.get('gold').name, 'pro');
+  assert.equal(loadTiers({ DEFAULT_TIER: 'gold' }).defaultTier, 'free');
+});
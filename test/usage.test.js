@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { createUsageTracker, loadPrices, overDailyCap, dayOf, DEFAULT_PRICES } = require('../lib/usage');
+
+async function tracker(opts = {}) {
+  const redis = new Redis();
+  await redis.flushall(); // ioredis-mock instances share one keyspace
+  return createUsageTracker({ redis, ...opts });
+}
+
+const NOON = Date.UTC(2024, 4, 10, 12);
+
+test('cost is micro-USD per token from the price table, dated snapshots use their base model', async () => {
+  const usage = await tracker();
+  // 1000 * 0.15 + 500 * 0.6
+  assert.equal(usage.costMicroUsd('gpt-4o-mini', 1000, 500), 450);
+  assert.equal(usage.costMicroUsd('gpt-4o-mini-2024-07-18', 1000, 500), 450);
+  assert.equal(usage.costMicroUsd('gpt-4o-2024-08-06', 1000, 0), 2500);
+  assert.equal(usage.costMicroUsd('llama-3-local', 1000, 500), 0);
+});
+
+test('MODEL_PRICES extends the defaults', () => {
+  const prices = loadPrices({ MODEL_PRICES: '{"llama-3":{"prompt":0.1,"completion":0.2}}' });
+  assert.deepEqual(prices['llama-3'], { prompt: 0.1, completion: 0.2 });
+  assert.deepEqual(prices['gpt-4o'], DEFAULT_PRICES['gpt-4o']);
+  assert.throws(() => loadPrices({ MODEL_PRICES: 'nope' }), /MODEL_PRICES is not valid JSON/);
+});
+
+test('records add up per UTC day and the history fills days without usage with zeros', async () => {
+  const usage = await tracker();
+  await usage.record('ann', { model: 'gpt-4o-mini', promptTokens: 1000, completionTokens: 500 }, NOON);
+  const totals = await usage.record('ann', { model: 'gpt-4o-mini', promptTokens: 1000.4, completionTokens: -5 }, NOON);
+  assert.deepEqual(totals, { date: '2024-05-10', promptTokens: 2000, completionTokens: 500, calls: 2, costUsd: 0.0006 });
+  assert.deepEqual(await usage.today('ann', NOON), totals);
+  const history = await usage.history('ann', 3, NOON + 24 * 3600 * 1000);
+  assert.deepEqual(history.map(d => [d.date, d.calls]), [['2024-05-11', 0], ['2024-05-10', 2], ['2024-05-09', 0]]);
+  assert.equal(dayOf(NOON), '2024-05-10');
+});
+
+test('the daily cap switches on once the cost reaches it, never without a tier', () => {
+  const tier = { dailyCostCapUsd: 0.05 };
+  assert.equal(overDailyCap(tier, { costUsd: 0.0499 }), false);
+  assert.equal(overDailyCap(tier, { costUsd: 0.05 }), true);
+  assert.equal(overDailyCap(tier, { costUsd: 1 }), true);
+  assert.equal(overDailyCap(null, { costUsd: 1000 }), false);
+  assert.equal(overDailyCap({ dailyCostCapUsd: 0 }, { costUsd: 0 }), true);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const msgpack = require('msgpack-lite');
+const { SNAPSHOT_FIELDS, packSnapshot, unpackSnapshot, createFrameEncoder } = require('../lib/wire');
+
+function snapshot() {
+  return {
+    ball: { x: 400.04, y: 250.26, vx: -6.5, vy: 3.33, r: 8 },
+    leftPaddle: { x: 10, y: 180.5, width: 12, height: 100 },
+    rightPaddle: { x: 778, y: 201.25, width: 12, height: 100 },
+    score: { left: 3, right: 4 },
+    running: true
+  };
+}
+
+test('snapshots pack into SNAPSHOT_FIELDS order in tenths of a pixel and unpack back', () => {
+  const packed = packSnapshot(snapshot());
+  assert.equal(packed.length, SNAPSHOT_FIELDS.length);
+  assert.deepEqual(packed, [4000, 2503, -65, 33, 1805, 2013, 100, 100, 3, 4, 1]);
+  assert.deepEqual(unpackSnapshot(packed), {
+    ball: { x: 400, y: 250.3, vx: -6.5, vy: 3.3 },
+    leftPaddle: { y: 180.5, height: 100 },
+    rightPaddle: { y: 201.3, height: 100 },
+    score: { left: 3, right: 4 },
+    running: true
+  });
+});
+
+test('msgpack frames are [type, fields] with match snapshots packed', () => {
+  const encode = createFrameEncoder();
+  for (const message of [
+    { type: 'match_state', roomId: 'r1', tick: 42, state: snapshot() },
+    { type: 'spectate_joined', room: { id: 'r1', name: 'Friday' }, state: snapshot() }
+  ]) {
+    const { type, state, ...rest } = message;
+    const [decodedType, fields] = msgpack.decode(encode(message, 'msgpack'));
+    assert.equal(decodedType, type);
+    assert.deepEqual(fields, { ...rest, state: packSnapshot(state) });
+    assert.equal(unpackSnapshot(fields.state).score.right, 4);
+  }
+});
+
+test('other messages, solo states included, round-trip unchanged', () => {
+  const encode = createFrameEncoder();
+  const solo = { type: 'state', state: { ...snapshot(), score: { player: 1, ai: 2 } } };
+  assert.deepEqual(msgpack.decode(encode(solo, 'msgpack')), ['state', { state: solo.state }]);
+  const commentary = { type: 'commentary', text: 'What a return! ¡Qué golpe!' };
+  assert.deepEqual(msgpack.decode(encode(commentary, 'msgpack')), ['commentary', { text: commentary.text }]);
+  assert.deepEqual(JSON.parse(encode(commentary, 'json')), commentary);
+});
+
+test('a message is serialized once per encoding', () => {
+  const encode = createFrameEncoder();
+  const message = { type: 'match_state', roomId: 'r1', tick: 1, state: snapshot() };
+  assert.equal(encode(message, 'msgpack'), encode(message, 'msgpack'));
+  assert.equal(encode(message, 'json'), encode(message, 'json'));
+  assert.equal(JSON.parse(encode(message, 'json')).state.ball.x, 400.04); // JSON keeps the full snapshot
+});